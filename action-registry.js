@@ -0,0 +1,260 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { WriteQueue, writeFileAtomic } from './json-store.js';
+
+/**
+ * Action Registry
+ *
+ * One list of named transformations (ARTICULATE, REFINE, EDIT, SHORTEN, ...)
+ * that the API and the server dispatch through. Built-in actions take their
+ * instruction from the active prompt set; teams can add custom actions with
+ * their own instruction template, system prompt and default options, stored
+ * in a local JSON file that can also be edited by hand.
+ */
+
+// Prompt templates an action can build on (see prompts/<locale>/)
+const PROMPT_TYPES = ['articulate', 'refine', 'edit', 'transform'];
+
+const BUILT_IN_ACTIONS = [
+  {
+    name: 'ARTICULATE',
+    label: 'Articulate',
+    description: 'Turn rough notes and fragments into fully written copy',
+    promptType: 'articulate',
+    instructionKey: 'articulate'
+  },
+  {
+    name: 'REFINE',
+    label: 'Refine',
+    description: 'Polish wording, grammar and flow without changing the message',
+    promptType: 'refine',
+    instructionKey: 'refine'
+  },
+  {
+    name: 'EDIT',
+    label: 'Edit',
+    description: 'Apply a specific editing instruction',
+    promptType: 'edit',
+    instruction: '{{instruction}}',
+    requiresInstruction: true
+  },
+  {
+    name: 'SHORTEN',
+    label: 'Shorten',
+    description: 'Make the copy more concise while keeping all key information',
+    promptType: 'transform',
+    instructionKey: 'shorten',
+    defaults: { targetReduction: '30-50%' }
+  },
+  {
+    name: 'ELONGATE',
+    label: 'Elongate',
+    description: 'Expand the copy with relevant detail and examples',
+    promptType: 'transform',
+    instructionKey: 'elongate',
+    defaults: { expansionType: '' }
+  },
+  {
+    name: 'SIMPLIFY',
+    label: 'Simplify',
+    description: 'Make the copy easier to understand',
+    promptType: 'transform',
+    instructionKey: 'simplify',
+    defaults: { targetAudience: '' }
+  }
+].map(action => ({ ...action, defaults: action.defaults || {}, requiresInstruction: !!action.requiresInstruction, builtIn: true }));
+
+const ACTION_NAME_PATTERN = /^[A-Z][A-Z0-9_]{1,39}$/;
+
+/**
+ * Normalize an action name, e.g. "tone down" → "TONE_DOWN"
+ */
+function normalizeActionName(name) {
+  return String(name || '').trim().toUpperCase().replace(/[\s-]+/g, '_');
+}
+
+function isTemplate(value) {
+  return typeof value === 'string'
+    ? value.trim().length > 0
+    : !!value && typeof value === 'object' && !Array.isArray(value) &&
+      Object.keys(value).length > 0 && Object.values(value).every(text => typeof text === 'string' && text.trim());
+}
+
+/**
+ * Validate a custom action definition, returning an error message or null.
+ * With partial set, only the given fields are checked (for updates).
+ */
+function validateActionDefinition(definition = {}, { partial = false } = {}) {
+  const { name, instruction, systemPrompt, promptType, defaults, requiresInstruction } = definition;
+
+  if (!partial && !ACTION_NAME_PATTERN.test(normalizeActionName(name))) {
+    return 'Action name must be 2-40 letters, digits or underscores, starting with a letter';
+  }
+  if ((!partial || instruction !== undefined) && !isTemplate(instruction)) {
+    return 'Missing required field: instruction (a template string, or templates keyed by language)';
+  }
+  if (systemPrompt !== undefined && systemPrompt !== null && !isTemplate(systemPrompt)) {
+    return 'systemPrompt must be a template string, or templates keyed by language';
+  }
+  if (promptType !== undefined && !PROMPT_TYPES.includes(promptType)) {
+    return `promptType must be one of: ${PROMPT_TYPES.join(', ')}`;
+  }
+  if (defaults !== undefined && (typeof defaults !== 'object' || defaults === null || Array.isArray(defaults))) {
+    return 'defaults must be an object';
+  }
+  if (requiresInstruction !== undefined && typeof requiresInstruction !== 'boolean') {
+    return 'requiresInstruction must be a boolean';
+  }
+  return null;
+}
+
+/**
+ * Pick a template for a language from a string or { locale: template } map,
+ * falling back to the base language, then the first template given
+ */
+function localizedTemplate(template, locale) {
+  if (!template || typeof template === 'string') {
+    return template || null;
+  }
+  return template[locale] || template[locale.split('-')[0]] || Object.values(template)[0];
+}
+
+class ActionRegistry {
+  constructor(filePath = null) {
+    this.filePath = filePath || path.join(process.env.DATA_DIR || 'data', 'actions.json');
+    this.custom = null;
+    this.loading = null;
+    this.writeQueue = new WriteQueue();
+  }
+
+  /**
+   * Load custom actions from disk on first access
+   */
+  async load() {
+    // Share one read between concurrent callers
+    this.loading = this.loading || (async () => {
+      try {
+        const raw = await fs.readFile(this.filePath, 'utf8');
+        this.custom = JSON.parse(raw).actions || {};
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          this.loading = null;
+          throw error;
+        }
+        this.custom = {};
+      }
+      return this.custom;
+    })();
+
+    return await this.loading;
+  }
+
+  /**
+   * Write custom actions to disk
+   */
+  async save() {
+    const data = JSON.stringify({ actions: this.custom }, null, 2);
+
+    return await this.writeQueue.run(() => writeFileAtomic(this.filePath, data));
+  }
+
+  /**
+   * Built-in actions first, then custom actions by name
+   */
+  async list() {
+    const custom = await this.load();
+    return [
+      ...BUILT_IN_ACTIONS,
+      ...Object.values(custom).sort((a, b) => a.name.localeCompare(b.name))
+    ];
+  }
+
+  /**
+   * Get an action by name (case-insensitive), or null if it doesn't exist
+   */
+  async get(name) {
+    const actionName = normalizeActionName(name);
+    const custom = await this.load();
+    return BUILT_IN_ACTIONS.find(action => action.name === actionName) || custom[actionName] || null;
+  }
+
+  isBuiltIn(name) {
+    return BUILT_IN_ACTIONS.some(action => action.name === normalizeActionName(name));
+  }
+
+  /**
+   * Register a custom action. Callers validate the definition first.
+   */
+  async create({ name, label, description = '', instruction, systemPrompt = null, promptType = 'transform', defaults = {}, requiresInstruction = false }) {
+    const custom = await this.load();
+    const actionName = normalizeActionName(name);
+    if (this.isBuiltIn(actionName) || custom[actionName]) {
+      throw new Error(`Action already exists: ${actionName}`);
+    }
+
+    const now = new Date().toISOString();
+    custom[actionName] = {
+      name: actionName,
+      label: label || actionName.charAt(0) + actionName.slice(1).toLowerCase().replace(/_/g, ' '),
+      description,
+      instruction,
+      systemPrompt,
+      promptType,
+      defaults,
+      requiresInstruction,
+      builtIn: false,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await this.save();
+    return custom[actionName];
+  }
+
+  /**
+   * Update a custom action; built-in actions can't be changed
+   */
+  async update(name, changes = {}) {
+    const custom = await this.load();
+    const action = custom[normalizeActionName(name)];
+    if (!action) {
+      return null;
+    }
+
+    for (const field of ['label', 'description', 'instruction', 'systemPrompt', 'promptType', 'defaults', 'requiresInstruction']) {
+      if (changes[field] !== undefined) {
+        action[field] = changes[field];
+      }
+    }
+    action.updatedAt = new Date().toISOString();
+
+    await this.save();
+    return action;
+  }
+
+  /**
+   * Delete a custom action
+   */
+  async delete(name) {
+    const custom = await this.load();
+    const actionName = normalizeActionName(name);
+    if (!custom[actionName]) {
+      return false;
+    }
+
+    delete custom[actionName];
+    await this.save();
+    return true;
+  }
+}
+
+export {
+  PROMPT_TYPES,
+  BUILT_IN_ACTIONS,
+  normalizeActionName,
+  validateActionDefinition,
+  localizedTemplate,
+  ActionRegistry
+};
+
+export default ActionRegistry;
@@ -1,14 +1,17 @@
+import { AnthropicHTTPProvider } from './providers/anthropic-http.js';
+
 /**
  * Browser-compatible Text Transformation API using Claude HTTP API
  *
  * This module provides text transformation functions that use Claude's HTTP API
- * directly from the browser, without requiring Node.js dependencies.
+ * directly from the browser, without requiring Node.js dependencies. Pass
+ * { provider } (e.g. a MockProvider) to run without an API key.
  */
 
 class TextTransformAPI {
-  constructor(apiKey = null) {
+  constructor(apiKey = null, options = {}) {
     this.apiKey = apiKey;
-    this.baseURL = 'https://api.anthropic.com/v1/messages';
+    this.provider = options.provider || new AnthropicHTTPProvider({ apiKey });
     this.model = 'claude-3-5-sonnet-20241022'; // Using a stable model
     this.defaultParams = {
       max_tokens: 1000,
@@ -37,33 +40,19 @@ ${additionalParams.context ? `Additional context: ${additionalParams.context}` :
 ${additionalParams.tone ? `Desired tone: ${additionalParams.tone}` : ''}
 ${additionalParams.targetLength ? `Target length: ${additionalParams.targetLength}` : ''}`;
 
-      const response = await fetch(this.baseURL, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'x-api-key': this.apiKey,
-          'anthropic-version': '2023-06-01'
-        },
-        body: JSON.stringify({
-          model: this.model,
-          max_tokens: this.defaultParams.max_tokens,
-          temperature: additionalParams.temperature || this.defaultParams.temperature,
-          system: systemPrompt,
-          messages: [
-            {
-              role: 'user',
-              content: userPrompt
-            }
-          ]
-        })
+      const data = await this.provider.createMessage({
+        model: this.model,
+        max_tokens: this.defaultParams.max_tokens,
+        temperature: additionalParams.temperature || this.defaultParams.temperature,
+        system: systemPrompt,
+        messages: [
+          {
+            role: 'user',
+            content: userPrompt
+          }
+        ]
       });
 
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        throw new Error(`API Error ${response.status}: ${errorData.error?.message || response.statusText}`);
-      }
-
-      const data = await response.json();
       const transformedText = data.content[0].text.trim();
 
       return {
@@ -135,33 +124,17 @@ ${additionalParams.targetLength ? `Target length: ${additionalParams.targetLengt
    */
   async validateConnection() {
     try {
-      const testResponse = await fetch(this.baseURL, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'x-api-key': this.apiKey,
-          'anthropic-version': '2023-06-01'
-        },
-        body: JSON.stringify({
-          model: this.model,
-          max_tokens: 10,
-          messages: [{ role: 'user', content: 'Hello' }]
-        })
+      await this.provider.createMessage({
+        model: this.model,
+        max_tokens: 10,
+        messages: [{ role: 'user', content: 'Hello' }]
       });
 
-      if (testResponse.ok) {
-        return {
-          success: true,
-          message: 'API connection successful',
-          model: this.model
-        };
-      } else {
-        const errorData = await testResponse.json().catch(() => ({}));
-        return {
-          success: false,
-          error: `${testResponse.status}: ${errorData.error?.message || testResponse.statusText}`
-        };
-      }
+      return {
+        success: true,
+        message: 'API connection successful',
+        model: this.model
+      };
     } catch (error) {
       return {
         success: false,
@@ -4,17 +4,34 @@
  */
 
 class TextTransformAPIClient {
-  constructor(baseURL = '') {
+  /**
+   * @param {string} baseURL - Backend URL, '' for the same origin
+   * @param {object} options
+   * @param {string|null} [options.apiKey] - API key sent as a bearer token
+   */
+  constructor(baseURL = '', { apiKey = null } = {}) {
     this.baseURL = baseURL;
+    this.apiKey = apiKey;
+  }
+
+  setApiKey(apiKey) {
+    this.apiKey = apiKey || null;
+  }
+
+  /**
+   * Request headers including the API key, if one is set
+   */
+  headers(extra = {}) {
+    return this.apiKey ? { ...extra, Authorization: `Bearer ${this.apiKey}` } : extra;
   }
 
   async callAPI(text, action, options = {}) {
     try {
       const response = await fetch(`${this.baseURL}/api/transform`, {
         method: 'POST',
-        headers: {
+        headers: this.headers({
           'Content-Type': 'application/json'
-        },
+        }),
         body: JSON.stringify({
           text,
           action,
@@ -40,6 +57,89 @@ class TextTransformAPIClient {
     }
   }
 
+  /**
+   * Streaming variant of callAPI. Reads Server-Sent Events from
+   * /api/transform/stream and calls onText(delta, fullText) as text arrives.
+   * Pass an AbortController signal to cancel the transformation.
+   */
+  async callAPIStream(text, action, options = {}, { onText = () => {}, signal = null } = {}) {
+    let streamedText = '';
+
+    try {
+      const response = await fetch(`${this.baseURL}/api/transform/stream`, {
+        method: 'POST',
+        headers: this.headers({
+          'Content-Type': 'application/json'
+        }),
+        body: JSON.stringify({
+          text,
+          action,
+          options
+        }),
+        signal
+      });
+
+      if (!response.ok) {
+        const result = await response.json().catch(() => ({}));
+        throw new Error(result.error || `Server error: ${response.status}`);
+      }
+
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+      let result = null;
+
+      while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+
+        // SSE frames are separated by a blank line
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+          const frame = buffer.slice(0, boundary);
+          buffer = buffer.slice(boundary + 2);
+
+          let event = 'message';
+          let data = '';
+          for (const line of frame.split('\n')) {
+            if (line.startsWith('event:')) event = line.slice(6).trim();
+            if (line.startsWith('data:')) data += line.slice(5).trim();
+          }
+          if (!data) continue;
+
+          const payload = JSON.parse(data);
+          if (event === 'delta') {
+            streamedText += payload.text;
+            onText(payload.text, streamedText);
+          } else if (event === 'done' || event === 'error') {
+            result = payload;
+          }
+        }
+      }
+
+      if (!result) {
+        throw new Error('Stream ended before the transformation completed');
+      }
+
+      return result;
+    } catch (error) {
+      const cancelled = error.name === 'AbortError';
+      if (!cancelled) {
+        console.error('API Client Stream Error:', error);
+      }
+      return {
+        success: false,
+        cancelled,
+        error: cancelled ? 'Transformation cancelled' : error.message,
+        originalText: text,
+        partialText: streamedText,
+        timestamp: new Date().toISOString()
+      };
+    }
+  }
+
   async articulate(text, options = {}) {
     return await this.callAPI(text, 'ARTICULATE', options);
   }
@@ -52,16 +152,22 @@ class TextTransformAPIClient {
     return await this.callAPI(text, 'EDIT', { ...options, instruction });
   }
 
-  async generateStyleGuide(exampleText, additionalInstructions = '') {
+  /**
+   * Generate a style guide from pasted example text and/or options.samples,
+   * a list of { name, type, content, weight } (e.g. uploaded files)
+   */
+  async generateStyleGuide(exampleText, additionalInstructions = '', options = {}) {
     try {
       const response = await fetch(`${this.baseURL}/api/generate-style-guide`, {
         method: 'POST',
-        headers: {
+        headers: this.headers({
           'Content-Type': 'application/json'
-        },
+        }),
         body: JSON.stringify({
           exampleText,
-          additionalInstructions
+          samples: options.samples,
+          additionalInstructions,
+          model: options.model
         })
       });
 
@@ -82,10 +188,223 @@ class TextTransformAPIClient {
     }
   }
 
+  /**
+   * Send a JSON request to the backend and return the parsed result,
+   * or a { success: false, error, status } object on failure
+   */
+  async request(path, { method = 'GET', body, signal = null } = {}) {
+    let status = null;
+
+    try {
+      const response = await fetch(`${this.baseURL}${path}`, {
+        method,
+        headers: this.headers(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+        body: body !== undefined ? JSON.stringify(body) : undefined,
+        signal
+      });
+
+      status = response.status;
+      const result = await response.json();
+
+      if (!response.ok) {
+        throw new Error(result.error || `Server error: ${response.status}`);
+      }
+
+      return result;
+    } catch (error) {
+      const cancelled = error.name === 'AbortError';
+      if (!cancelled) {
+        console.error(`API Request Error (${method} ${path}):`, error);
+      }
+      return {
+        success: false,
+        cancelled,
+        status,
+        error: cancelled ? 'Request cancelled' : error.message
+      };
+    }
+  }
+
+  /**
+   * Transform the copy fields of a JSON template. options.fields selects
+   * fields by key, options.paths by JSONPath; both default to all copy fields.
+   */
+  async transformJSON(template, action, options = {}, { signal = null } = {}) {
+    return await this.request('/api/transform/json', {
+      method: 'POST',
+      body: { template, action, options },
+      signal
+    });
+  }
+
+  /**
+   * Run many transformations at once. Items are { text, action, options }
+   * or { template, action, options }. With { async: true } the server
+   * returns a jobId to poll with getBatchJob().
+   */
+  async transformBatch(items, { concurrency, async = false, signal = null } = {}) {
+    return await this.request('/api/transform/batch', {
+      method: 'POST',
+      body: { items, concurrency, async },
+      signal
+    });
+  }
+
+  async getBatchJob(jobId) {
+    return await this.request(`/api/transform/batch/${encodeURIComponent(jobId)}`);
+  }
+
+  /**
+   * Cancel a running batch job; items that haven't finished are not run
+   */
+  async cancelBatchJob(jobId) {
+    return await this.request(`/api/transform/batch/${encodeURIComponent(jobId)}/cancel`, { method: 'POST' });
+  }
+
+  /**
+   * Get aggregated token usage and estimated cost by model, action and day.
+   * Filters: { from, to } as YYYY-MM-DD, { model, action }
+   */
+  async getUsage(filters = {}) {
+    const query = new URLSearchParams(Object.entries(filters).filter(([, value]) => value)).toString();
+    return await this.request(`/api/usage${query ? `?${query}` : ''}`);
+  }
+
+  // Shared style guide library
+  async listStyleGuides() {
+    return await this.request('/api/style-guides');
+  }
+
+  async getStyleGuide(id, version = null) {
+    return await this.request(`/api/style-guides/${encodeURIComponent(id)}${version ? `?version=${version}` : ''}`);
+  }
+
+  async createStyleGuide(name, styleGuide, description = '') {
+    return await this.request('/api/style-guides', {
+      method: 'POST',
+      body: { ...styleGuide, name, description }
+    });
+  }
+
+  async updateStyleGuide(id, changes) {
+    return await this.request(`/api/style-guides/${encodeURIComponent(id)}`, {
+      method: 'PUT',
+      body: changes
+    });
+  }
+
+  async deleteStyleGuide(id) {
+    return await this.request(`/api/style-guides/${encodeURIComponent(id)}`, {
+      method: 'DELETE'
+    });
+  }
+
+  /**
+   * Score text against a style guide (ANALYZE). Options: { styleGuide } or
+   * { styleGuideId, styleGuideVersion }, guide ('comprehensive' | 'concise'),
+   * model, language
+   */
+  async checkStyle(text, options = {}, { signal = null } = {}) {
+    return await this.request('/api/style-check', {
+      method: 'POST',
+      body: { text, options },
+      signal
+    });
+  }
+
+  // Saved documents and their revision history
+  async listDocuments() {
+    return await this.request('/api/documents');
+  }
+
+  async getDocument(id, revision = null) {
+    return await this.request(`/api/documents/${encodeURIComponent(id)}${revision ? `?revision=${revision}` : ''}`);
+  }
+
+  async createDocument(document) {
+    return await this.request('/api/documents', {
+      method: 'POST',
+      body: document
+    });
+  }
+
+  async updateDocument(id, changes) {
+    return await this.request(`/api/documents/${encodeURIComponent(id)}`, {
+      method: 'PUT',
+      body: changes
+    });
+  }
+
+  async deleteDocument(id) {
+    return await this.request(`/api/documents/${encodeURIComponent(id)}`, {
+      method: 'DELETE'
+    });
+  }
+
+  async getDocumentRevisions(id) {
+    return await this.request(`/api/documents/${encodeURIComponent(id)}/revisions`);
+  }
+
+  /**
+   * Record a transformation: { action, instruction, model, before, after, content, html }
+   */
+  async addDocumentRevision(id, revision) {
+    return await this.request(`/api/documents/${encodeURIComponent(id)}/revisions`, {
+      method: 'POST',
+      body: revision
+    });
+  }
+
+  async restoreDocument(id, revision) {
+    return await this.request(`/api/documents/${encodeURIComponent(id)}/restore`, {
+      method: 'POST',
+      body: { revision }
+    });
+  }
+
+  async diffDocument(id, from = null, to = null) {
+    const query = new URLSearchParams(Object.entries({ from, to }).filter(([, value]) => value)).toString();
+    return await this.request(`/api/documents/${encodeURIComponent(id)}/diff${query ? `?${query}` : ''}`);
+  }
+
+  // Built-in and custom actions
+  async listActions() {
+    return await this.request('/api/actions');
+  }
+
+  async createAction(definition) {
+    return await this.request('/api/actions', {
+      method: 'POST',
+      body: definition
+    });
+  }
+
+  async updateAction(name, changes) {
+    return await this.request(`/api/actions/${encodeURIComponent(name)}`, {
+      method: 'PUT',
+      body: changes
+    });
+  }
+
+  async deleteAction(name) {
+    return await this.request(`/api/actions/${encodeURIComponent(name)}`, {
+      method: 'DELETE'
+    });
+  }
+
+  // Prompt sets per language
+  async getPrompts() {
+    return await this.request('/api/prompts');
+  }
+
+  // The key being used, with its role, limits and tokens used today
+  async getCurrentKey() {
+    return await this.request('/api/keys/me');
+  }
 
   async getModels() {
     try {
-      const response = await fetch(`${this.baseURL}/api/models`);
+      const response = await fetch(`${this.baseURL}/api/models`, { headers: this.headers() });
       const result = await response.json();
 
       if (!response.ok) {
@@ -106,9 +425,9 @@ class TextTransformAPIClient {
     try {
       const response = await fetch(`${this.baseURL}/api/models/set`, {
         method: 'POST',
-        headers: {
+        headers: this.headers({
           'Content-Type': 'application/json'
-        },
+        }),
         body: JSON.stringify({ modelId })
       });
 
@@ -139,13 +458,27 @@ class TextTransformAPIClient {
       };
     }
   }
+
+  async checkModel() {
+    try {
+      const response = await fetch(`${this.baseURL}/api/health/model`, {
+        headers: this.headers()
+      });
+      return await response.json();
+    } catch (error) {
+      return {
+        status: 'error',
+        error: error.message
+      };
+    }
+  }
 }
 
 // Export functions for direct use (matches the interface expected by v2.html)
 let apiClient = null;
 
-function initializeAPI() {
-  apiClient = new TextTransformAPIClient();
+function initializeAPI(options = {}) {
+  apiClient = new TextTransformAPIClient('', options);
   return apiClient;
 }
 
@@ -170,11 +503,18 @@ async function editText(text, instruction, options = {}) {
   return await apiClient.edit(text, instruction, options);
 }
 
-async function generateStyleGuide(exampleText, additionalInstructions = '') {
+async function transformTextStream(text, action, options = {}, handlers = {}) {
+  if (!apiClient) {
+    throw new Error('API not initialized. Call initializeAPI() first.');
+  }
+  return await apiClient.callAPIStream(text, action, options, handlers);
+}
+
+async function generateStyleGuide(exampleText, additionalInstructions = '', options = {}) {
   if (!apiClient) {
     throw new Error('API not initialized. Call initializeAPI() first.');
   }
-  return await apiClient.generateStyleGuide(exampleText, additionalInstructions);
+  return await apiClient.generateStyleGuide(exampleText, additionalInstructions, options);
 }
 
 async function getModels() {
@@ -198,6 +538,7 @@ export {
   articulateText,
   refineText,
   editText,
+  transformTextStream,
   generateStyleGuide,
   getModels,
   setModel
@@ -0,0 +1,185 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { randomUUID, randomBytes, createHash } from 'crypto';
+import { WriteQueue, writeFileAtomic } from './json-store.js';
+
+/**
+ * API Key Store
+ *
+ * Keeps the API keys of server users in a local JSON file. Only a SHA-256
+ * hash of each key is stored; the key itself is shown once, when created.
+ * Every key has a role ('admin' or 'user') and optional limits that
+ * override the server defaults.
+ */
+
+const ROLES = ['admin', 'user'];
+const KEY_PREFIX = 'cr_';
+
+// Per-key limits; null means "use the server default", 0 means unlimited
+const LIMIT_FIELDS = ['requestsPerMinute', 'tokensPerDay'];
+
+function hashKey(apiKey) {
+  return createHash('sha256').update(apiKey).digest('hex');
+}
+
+/**
+ * Validate a key definition, returning an error message or null
+ */
+function validateKeyDefinition(definition = {}, { partial = false } = {}) {
+  const { name, role, limits } = definition;
+
+  if ((!partial || name !== undefined) && (typeof name !== 'string' || !name.trim())) {
+    return 'Missing required field: name';
+  }
+  if (role !== undefined && !ROLES.includes(role)) {
+    return `role must be one of: ${ROLES.join(', ')}`;
+  }
+  if (limits !== undefined) {
+    if (typeof limits !== 'object' || limits === null || Array.isArray(limits)) {
+      return 'limits must be an object';
+    }
+    for (const field of LIMIT_FIELDS) {
+      const value = limits[field];
+      if (value !== undefined && value !== null && !(Number.isInteger(value) && value >= 0)) {
+        return `limits.${field} must be a non-negative integer or null`;
+      }
+    }
+  }
+  return null;
+}
+
+function pickLimits(limits = {}) {
+  return Object.fromEntries(LIMIT_FIELDS.map(field => [field, limits[field] ?? null]));
+}
+
+class ApiKeyStore {
+  constructor(filePath = null) {
+    this.filePath = filePath || path.join(process.env.DATA_DIR || 'data', 'api-keys.json');
+    this.keys = null;
+    this.loading = null;
+    this.writeQueue = new WriteQueue();
+  }
+
+  /**
+   * Load keys from disk on first access
+   */
+  async load() {
+    // Share one read between concurrent callers
+    this.loading = this.loading || (async () => {
+      try {
+        const raw = await fs.readFile(this.filePath, 'utf8');
+        this.keys = JSON.parse(raw).keys || {};
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          this.loading = null;
+          throw error;
+        }
+        this.keys = {};
+      }
+      return this.keys;
+    })();
+
+    return await this.loading;
+  }
+
+  /**
+   * Write all keys to disk
+   */
+  async save() {
+    const data = JSON.stringify({ keys: this.keys }, null, 2);
+
+    return await this.writeQueue.run(() => writeFileAtomic(this.filePath, data, { mode: 0o600 }));
+  }
+
+  /**
+   * Key metadata without the hash
+   */
+  toSummary(record) {
+    const { keyHash, ...summary } = record;
+    return summary;
+  }
+
+  async list() {
+    const keys = await this.load();
+    return Object.values(keys)
+      .map(record => this.toSummary(record))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  async get(id) {
+    const keys = await this.load();
+    return keys[id] ? this.toSummary(keys[id]) : null;
+  }
+
+  /**
+   * Look up the key record for a bearer token, or null if it is unknown
+   */
+  async authenticate(apiKey) {
+    if (typeof apiKey !== 'string' || !apiKey.startsWith(KEY_PREFIX)) {
+      return null;
+    }
+    const keys = await this.load();
+    const keyHash = hashKey(apiKey);
+    const record = Object.values(keys).find(entry => entry.keyHash === keyHash);
+    return record ? this.toSummary(record) : null;
+  }
+
+  /**
+   * Create a key. Returns { key, apiKey }; apiKey is not stored and can't be
+   * retrieved later.
+   */
+  async create({ name, role = 'user', limits = {} }) {
+    const keys = await this.load();
+    const apiKey = `${KEY_PREFIX}${randomBytes(24).toString('base64url')}`;
+    const record = {
+      id: randomUUID(),
+      name: name.trim(),
+      role,
+      prefix: apiKey.slice(0, KEY_PREFIX.length + 6),
+      keyHash: hashKey(apiKey),
+      limits: pickLimits(limits),
+      createdAt: new Date().toISOString()
+    };
+
+    keys[record.id] = record;
+    await this.save();
+    return { key: this.toSummary(record), apiKey };
+  }
+
+  /**
+   * Update a key's name, role or limits
+   */
+  async update(id, { name, role, limits }) {
+    const keys = await this.load();
+    const record = keys[id];
+    if (!record) {
+      return null;
+    }
+
+    if (name !== undefined) record.name = name.trim();
+    if (role !== undefined) record.role = role;
+    if (limits !== undefined) record.limits = pickLimits({ ...record.limits, ...limits });
+    record.updatedAt = new Date().toISOString();
+
+    await this.save();
+    return this.toSummary(record);
+  }
+
+  /**
+   * Revoke a key
+   */
+  async delete(id) {
+    const keys = await this.load();
+    if (!keys[id]) {
+      return false;
+    }
+
+    delete keys[id];
+    await this.save();
+    return true;
+  }
+}
+
+export { ApiKeyStore, ROLES, LIMIT_FIELDS, validateKeyDefinition };
+
+export default ApiKeyStore;
@@ -1,18 +1,161 @@
-import Anthropic from '@anthropic-ai/sdk';
+import { createProvider, AnthropicProvider } from './providers/index.js';
+import { findCopyFields, setAtPath, replaceStrings } from './json-template.js';
+import { mapWithConcurrency } from './concurrency.js';
+import { PromptLibrary, renderTemplate } from './prompt-templates.js';
+import { ActionRegistry, localizedTemplate } from './action-registry.js';
+import { prepareSamples, fitSamples, describeSources } from './style-samples.js';
+import { parseStyleGuideData, renderStyleGuide } from './style-guide-schema.js';
+import { cacheKey } from './response-cache.js';
+import { splitIntoChunks, joinChunks, headOf, tailOf } from './text-chunks.js';
+import { cleanOutput, checkConstraints, hasConstraints, describeConstraints } from './output-guardrails.js';
+import { parseHTML, toHTML, plainTextOf } from './rich-text.js';
 
 /**
  * Text Transformation API using Claude
  *
  * This module provides text transformation functions that use Claude's AI
- * to intelligently modify text based on specific instructions.
+ * to intelligently modify text based on specific instructions. Requests go
+ * through a pluggable LLM provider (see providers/), selected with LLM_PROVIDER.
  */
 
+// Variants per request; each prompt set defines a distinct angle per variant
+const MAX_VARIANTS = 5;
+
+// Character budget for the example text of a style guide, roughly 30k tokens
+const STYLE_SAMPLE_MAX_CHARS = 120000;
+
+// How much of the neighbouring chunks each chunk of a long text sees
+const CHUNK_CONTEXT_CHARS = 1500;
+
+// Add up usage objects from several calls, skipping calls without usage
+function sumUsage(usages) {
+  const valid = usages.filter(Boolean);
+  return {
+    inputTokens: valid.reduce((sum, u) => sum + u.inputTokens, 0),
+    outputTokens: valid.reduce((sum, u) => sum + u.outputTokens, 0),
+    totalTokens: valid.reduce((sum, u) => sum + u.totalTokens, 0),
+    cost: Math.round(valid.reduce((sum, u) => sum + (u.cost || 0), 0) * 1_000_000) / 1_000_000
+  };
+}
+
+// HTTP statuses worth retrying: timeouts, conflicts, rate limits, server errors and overload
+const RETRYABLE_STATUSES = [408, 409, 429, 500, 502, 503, 504, 529];
+
+// Network error codes worth retrying: Node socket and DNS errors, and undici's for fetch
+const RETRYABLE_CODES = [
+  'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH',
+  'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_HEADERS_TIMEOUT', 'UND_ERR_BODY_TIMEOUT'
+];
+
+const DEFAULT_MAX_RETRIES = 3;
+
+// Retryable statuses, the SDK's connection errors and known network error codes.
+// Anything else (bad requests, programming errors, missing recordings) fails at once.
+function isRetryableError(error) {
+  if (!error || error.name === 'AbortError' || error.constructor?.name === 'APIUserAbortError') {
+    return false;
+  }
+  if (error.status !== undefined) {
+    return RETRYABLE_STATUSES.includes(error.status);
+  }
+  if (['APIConnectionError', 'APIConnectionTimeoutError'].includes(error.constructor?.name)) {
+    return true;
+  }
+  return [error.code, error.cause?.code].some(code => RETRYABLE_CODES.includes(code));
+}
+
+// Non-negative count from the environment; unset or invalid values use the fallback
+function parseCount(value, fallback) {
+  const count = Number(value);
+  return value !== undefined && value !== '' && Number.isInteger(count) && count >= 0 ? count : fallback;
+}
+
+// Delay in ms requested by a retry-after header, if any
+function retryAfterMs(error) {
+  const headers = error.headers;
+  const value = typeof headers?.get === 'function' ? headers.get('retry-after') : headers?.['retry-after'];
+  const seconds = Number(value);
+  return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : 0;
+}
+
+function parseModelList(value) {
+  return (value || '').split(',').map(model => model.trim()).filter(Boolean);
+}
+
+const SEVERITIES = ['low', 'medium', 'high'];
+
+// Parse the JSON object in a model response, ignoring surrounding prose or code fences
+function parseJSONResponse(text) {
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end < start) {
+    throw new Error('Response did not contain a JSON object');
+  }
+  return JSON.parse(text.slice(start, end + 1));
+}
+
+// Parse and validate a style guide response, see style-guide-schema.js
+function parseStyleGuideResponse(text) {
+  try {
+    return parseStyleGuideData(parseJSONResponse(text));
+  } catch (error) {
+    return { data: null, errors: [`Invalid JSON: ${error.message}`] };
+  }
+}
+
+// Locate each violation's quote in the text as a [start, end) span. Violations
+// come in reading order, so repeated quotes resolve to the next occurrence.
+function locateViolations(text, violations) {
+  const lowerText = text.toLowerCase();
+  let cursor = 0;
+
+  return violations.map(violation => {
+    const quote = String(violation.quote || '');
+    const find = (from) => {
+      const index = text.indexOf(quote, from);
+      return index !== -1 ? index : lowerText.indexOf(quote.toLowerCase(), from);
+    };
+
+    let start = quote ? find(cursor) : -1;
+    if (start === -1 && quote) {
+      start = find(0);
+    }
+    if (start !== -1) {
+      cursor = start + quote.length;
+    }
+
+    return {
+      quote,
+      rule: String(violation.rule || ''),
+      explanation: String(violation.explanation || ''),
+      suggestion: String(violation.suggestion ?? ''),
+      severity: SEVERITIES.includes(violation.severity) ? violation.severity : 'medium',
+      start: start === -1 ? null : start,
+      end: start === -1 ? null : start + quote.length
+    };
+  });
+}
+
 class TextTransformAPI {
-  constructor(apiKey = null) {
-    // Initialize Claude client
-    this.client = new Anthropic({
-      apiKey: apiKey || process.env.ANTHROPIC_API_KEY
-    });
+  /**
+   * @param {string|null} apiKey - Anthropic API key (defaults to ANTHROPIC_API_KEY)
+   * @param {object} options
+   * @param {object} [options.provider] - LLM provider (defaults to LLM_PROVIDER, see providers/)
+   * @param {object} [options.client] - Pre-built Anthropic client, e.g. a mock in tests
+   * @param {object} [options.retry] - { maxRetries, baseDelayMs, maxDelayMs, sleep }
+   * @param {string[]} [options.fallbackModels] - Models to try, in order, when the requested one keeps failing
+   * @param {PromptLibrary} [options.prompts] - Prompt sets per language (defaults to prompts/)
+   * @param {ActionRegistry} [options.actions] - Named actions (defaults to built-ins plus DATA_DIR/actions.json)
+   * @param {boolean} [options.debugPrompts] - Echo texts and prompts to the console (defaults to DEBUG_PROMPTS=true)
+   * @param {ResponseCache} [options.cache] - Cache for transformation responses (defaults to none)
+   * @param {number} [options.chunkMaxChars] - Split longer copy into chunks (defaults to CHUNK_MAX_CHARS or 12000; 0 disables)
+   * @param {number} [options.maxContinuations] - Continue responses cut off at max_tokens this often (defaults to MAX_CONTINUATIONS or 3)
+   * @param {number} [options.guardrailRetries] - Re-prompts when a result violates its constraints (defaults to GUARDRAIL_MAX_RETRIES or 2)
+   */
+  constructor(apiKey = null, options = {}) {
+    // Initialize the LLM provider. Retries are handled in createMessage(), not by the provider.
+    this.provider = options.provider
+      || (options.client ? new AnthropicProvider({ client: options.client }) : createProvider(undefined, { apiKey }));
 
     // Available models with metadata
     this.availableModels = {
@@ -20,39 +163,99 @@ class TextTransformAPI {
         name: 'Claude Sonnet 4.5',
         description: 'Latest & most intelligent - exceptional agent & coding capabilities',
         pricing: '$3/$15 per MTok',
+        pricePerMTok: { input: 3, output: 15 },
         recommended: true
       },
       'claude-opus-4-1-20250805': {
         name: 'Claude Opus 4.1',
         description: 'Premium model for complex tasks requiring advanced reasoning',
         pricing: '$15/$75 per MTok',
+        pricePerMTok: { input: 15, output: 75 },
         premium: true
       },
       'claude-sonnet-4-20250514': {
         name: 'Claude Sonnet 4',
         description: 'Balanced performance - current default',
-        pricing: '$3/$15 per MTok'
+        pricing: '$3/$15 per MTok',
+        pricePerMTok: { input: 3, output: 15 }
       },
       'claude-3-5-haiku-20241022': {
         name: 'Claude Haiku 3.5',
         description: 'Fast & cost-effective for quick responses',
         pricing: '$0.80/$4 per MTok',
+        pricePerMTok: { input: 0.8, output: 4 },
         fast: true
       }
     };
 
+    // Providers with their own catalog (e.g. a local llama server) replace the Claude models
+    if (this.provider.availableModels) {
+      this.availableModels = this.provider.availableModels;
+    }
+
     // Default model - using latest Sonnet 4.5
-    this.model = 'claude-sonnet-4-5-20250929';
+    this.model = this.provider.defaultModel || 'claude-sonnet-4-5-20250929';
+
+    // Optional hook called with { model, action, inputTokens, outputTokens, cost, timestamp }
+    // after every Claude call, e.g. to aggregate spend on the server
+    this.onUsage = null;
+
+    // Optional hook called once per transformation, style guide or style check
+    // with its outcome, latency, usage and payloads, e.g. for the audit log
+    this.onAudit = null;
+
+    // Optional hook awaited before every model call (variants, batch items, JSON
+    // fields and repairs included); throwing stops the call, e.g. when a quota is used up
+    this.beforeCall = null;
+
+    // Copy and prompts only go to the console when asked for
+    this.debugPrompts = options.debugPrompts ?? process.env.DEBUG_PROMPTS === 'true';
+
+    // Retry with exponential backoff and full jitter for retryable errors
+    this.retry = {
+      maxRetries: parseCount(process.env.ANTHROPIC_MAX_RETRIES, DEFAULT_MAX_RETRIES),
+      baseDelayMs: 500,
+      maxDelayMs: 8000,
+      sleep: (ms) => new Promise(resolve => setTimeout(resolve, ms)),
+      ...options.retry
+    };
+
+    // Fallback chain used after the requested model exhausts its retries (e.g. Sonnet → Haiku)
+    this.fallbackModels = (options.fallbackModels || parseModelList(process.env.ANTHROPIC_FALLBACK_MODELS))
+      .filter(modelId => {
+        if (!this.availableModels[modelId]) {
+          console.warn(`Ignoring unknown fallback model: ${modelId}`);
+          return false;
+        }
+        return true;
+      });
+
+    // Prompt templates per language, selected per call with options.language
+    this.prompts = options.prompts || new PromptLibrary();
+
+    // Built-in and custom actions dispatched by runAction()
+    this.actions = options.actions || new ActionRegistry();
+
+    // Unchanged transformations are answered from the cache when one is set
+    this.cache = options.cache || null;
 
     // Default parameters
     this.defaultParams = {
-      max_tokens: 8000, // High limit for complex transformations and JSON templates
+      max_tokens: Number(process.env.MAX_OUTPUT_TOKENS) || 8000, // High limit for complex transformations and JSON templates
       temperature: 0.3 // Lower temperature for more consistent transformations
     };
+
+    // Copy longer than this is transformed in chunks; responses that hit
+    // max_tokens are continued where they stopped
+    this.chunkMaxChars = options.chunkMaxChars ?? parseCount(process.env.CHUNK_MAX_CHARS, 12000);
+    this.maxContinuations = options.maxContinuations ?? parseCount(process.env.MAX_CONTINUATIONS, 3);
+
+    // Results that break options.constraints (length, kept tokens) are re-prompted this often
+    this.guardrailRetries = options.guardrailRetries ?? parseCount(process.env.GUARDRAIL_MAX_RETRIES, 2);
   }
 
   /**
-   * Set the model to use for API calls
+   * Set the default model used when a call doesn't specify options.model
    */
   setModel(modelId) {
     if (this.availableModels[modelId]) {
@@ -69,6 +272,99 @@ class TextTransformAPI {
     return this.availableModels;
   }
 
+  /**
+   * Resolve the model for a single call: the requested model if given,
+   * otherwise the instance default. Throws for unknown model IDs.
+   */
+  resolveModel(modelId = null) {
+    if (!modelId) {
+      return this.model;
+    }
+    if (!this.availableModels[modelId]) {
+      throw new Error(`Invalid model ID: ${modelId}`);
+    }
+    return modelId;
+  }
+
+  /**
+   * Estimate the cost of a call in USD from the model's per-MTok pricing
+   */
+  calculateCost(modelId, inputTokens, outputTokens) {
+    const price = this.availableModels[modelId]?.pricePerMTok;
+    if (!price) {
+      return null;
+    }
+    const cost = (inputTokens * price.input + outputTokens * price.output) / 1_000_000;
+    return Math.round(cost * 1_000_000) / 1_000_000;
+  }
+
+  /**
+   * Convert Claude's usage block into token counts with estimated cost
+   * and report it to the onUsage hook
+   */
+  recordUsage(model, action, messageUsage = {}) {
+    const inputTokens = messageUsage.input_tokens || 0;
+    const outputTokens = messageUsage.output_tokens || 0;
+    const usage = {
+      inputTokens,
+      outputTokens,
+      totalTokens: inputTokens + outputTokens,
+      cost: this.calculateCost(model, inputTokens, outputTokens)
+    };
+
+    if (this.onUsage) {
+      try {
+        this.onUsage({ model, action, ...usage, timestamp: new Date().toISOString() });
+      } catch (error) {
+        console.error('Usage hook error:', error);
+      }
+    }
+
+    return usage;
+  }
+
+  /**
+   * Report a finished call to the onAudit hook
+   */
+  audit(event) {
+    if (!this.onAudit) {
+      return;
+    }
+    try {
+      this.onAudit(event);
+    } catch (error) {
+      console.error('Audit hook error:', error);
+    }
+  }
+
+  /**
+   * Get the prompt set for a call's options.language (or options.locale).
+   * Throws for unsupported languages.
+   */
+  getPromptSet(params = {}) {
+    return this.prompts.get(params.language || params.locale);
+  }
+
+  /**
+   * Validate per-call sampling parameters, returning an error message or
+   * null. max_tokens may lower the output limit but not raise it above
+   * MAX_OUTPUT_TOKENS; temperature and temperatureSpread are between 0 and 1.
+   * prefix is put in front of the parameter names.
+   */
+  validateSamplingParams(params = {}, prefix = '') {
+    const maxTokens = this.defaultParams.max_tokens;
+    if (params.max_tokens !== undefined && !(Number.isInteger(params.max_tokens) && params.max_tokens > 0 && params.max_tokens <= maxTokens)) {
+      return `${prefix}max_tokens must be an integer between 1 and ${maxTokens}`;
+    }
+    for (const name of ['temperature', 'temperatureSpread']) {
+      const value = params[name];
+      if (value !== undefined && !(typeof value === 'number' && value >= 0 && value <= 1)) {
+        return `${prefix}${name} must be a number between 0 and 1`;
+      }
+    }
+    return null;
+  }
+
   /**
    * Get current model info
    */
@@ -83,9 +379,34 @@ class TextTransformAPI {
    * Core method to send transformation requests to Claude
    */
   async transform(text, instruction, additionalParams = {}) {
+    if (additionalParams.variants > 1) {
+      return await this.transformVariants(text, instruction, additionalParams);
+    }
+
+    // JSON copy fields are short and HTML can't be cut between its tags; anything else over the limit goes in chunks
+    if (!additionalParams.chunk && additionalParams.mode !== 'json' && additionalParams.format !== 'html' &&
+      this.chunkMaxChars > 0 && text.length > this.chunkMaxChars) {
+      return await this.transformChunked(text, instruction, additionalParams);
+    }
+
+    const action = additionalParams.action || (additionalParams.systemPrompt || 'transform').toUpperCase();
+    const startedAt = Date.now();
+    let model = null;
+    let requestParams;
+
     try {
-      // Choose system prompt based on function type
-      let systemPrompt;
+      model = this.resolveModel(additionalParams.model);
+      const promptSet = this.getPromptSet(additionalParams);
+
+      const samplingError = this.validateSamplingParams(additionalParams);
+      if (samplingError) {
+        throw new Error(samplingError);
+      }
+
+      // Built-in prompt types have their own template, anything else uses the generic one
+      const promptType = ['articulate', 'refine', 'edit'].includes(additionalParams.systemPrompt)
+        ? additionalParams.systemPrompt
+        : 'transform';
 
       // Select appropriate style guide based on function type
       let selectedStyleGuide = null;
@@ -104,238 +425,779 @@ class TextTransformAPI {
         }
       }
 
-      if (additionalParams.systemPrompt === 'articulate') {
-        systemPrompt = `Du bist ein erfahrener Copywriter, spezialisiert darauf, rohe Gedankenstrukturen und fragmentierte Ideen in vollständig ausformulierte, fließende Texte zu verwandeln.
-
-DEINE AUFGABE:
-Nimm AUSSCHLIESSLICH die gegebene Struktur aus Gedankenfragmenten, Stichpunkten oder groben Ideen und entwickle daraus einen vollständig ausformulierten, kohärenten Text. Du darfst NICHT den Kontext oder andere Textteile bearbeiten - nur den spezifisch markierten Text.
+      const promptVariables = {
+        ...additionalParams.templateParams,
+        text: text,
+        instruction: instruction,
+        context: additionalParams.context || '',
+        mode: additionalParams.mode || 'text',
+        json: additionalParams.mode === 'json',
+        styleGuide: selectedStyleGuide || '',
+        label: promptSet.labels[promptType],
+        task: promptSet.tasks[promptType]
+      };
 
-${additionalParams.mode === 'json' ? `JSON TEMPLATE MODUS:
-Du arbeitest mit einem JSON-Template für Advertorial-Seiten. Der Kontext enthält technische JSON-Struktur, aber du sollst AUSSCHLIESSLICH den markierten Copy-Text transformieren. Ignoriere alle JSON-Syntax, technischen Felder, URLs, Dateipfade, Variablennamen und strukturelle Elemente. Konzentriere dich NUR auf den Marketing-Copy-Inhalt.
+      // Markup rules and constraints are spelled out with the instruction and checked on the result
+      const format = additionalParams.format || 'text';
+      const constraints = additionalParams.constraints || {};
+      const plainText = plainTextOf(text, format);
+      const notes = [
+        format !== 'text' && promptSet.formats?.[format],
+        promptSet.guardrails && hasConstraints(plainText, constraints) &&
+          `${promptSet.guardrails.rules}\n${describeConstraints(promptSet.guardrails, { input: plainText, constraints })}`
+      ].filter(Boolean);
+      if (notes.length > 0) {
+        promptVariables.instruction = [instruction, ...notes].join('\n\n');
+      }
 
-WICHTIG: Du transformierst NUR den selektierten Copy-Text, nicht die JSON-Struktur!
+      // Custom actions may bring their own system prompt instead of the prompt set's
+      let systemPrompt = renderTemplate(additionalParams.systemPromptTemplate || promptSet.templates[promptType], promptVariables);
+
+      if (additionalParams.variant) {
+        const { index, total } = additionalParams.variant;
+        systemPrompt += '\n\n' + renderTemplate(promptSet.templates.variant, {
+          ...promptVariables,
+          variantIndex: index,
+          variantTotal: total,
+          variantAngle: promptSet.variantAngles[(index - 1) % promptSet.variantAngles.length],
+          rationaleMarker: promptSet.rationaleMarker
+        });
+      }
 
-` : ''}TRANSFORMATION PRINCIPLES:
-• Erkenne die beabsichtigte Gedankenfolge und logische Struktur
-• Schaffe natürliche Übergänge zwischen den Gedanken
-• Fülle Lücken in der Argumentation intelligent aus
-• Entwickle jeden Punkt zu vollständigen, fließenden Sätzen
-• Wahre die ursprüngliche Intention und Reihenfolge
-• Erschaffe einen natürlichen, lesbaren Textfluss
+      const userPrompt = renderTemplate(promptSet.templates.user, promptVariables);
 
-INDUKTIVES COPYWRITING-PRINZIP (besonders bei längeren Texten):
-• Jeder Satz soll genügend Neugier für den nächsten Satz erzeugen
-• Schaffe eine "Satz-zu-Satz-Induktion": Verwende offene Schleifen, Andeutungen oder Versprechungen, die den Leser weiterlesen lassen
-• Vermeide vorzeitige Auflösung - baue schrittweise Spannung und Interesse auf
-• Nutze Cliffhanger-Elemente am Satzende, um nahtlose Übergänge zu schaffen
-• Implementiere dieses Prinzip organisch - nie zwanghaft oder künstlich
-• Denke an Eugene Schwartz' Fundamental: Der Zweck jedes Satzes ist es, den nächsten gelesen zu bekommen
+      // Debug logging
+      if (this.debugPrompts) {
+        console.log('🔧 API TRANSFORM DEBUG:');
+        console.log('📝 Input text:', `"${text}"`);
+        console.log('📋 Instruction:', `"${instruction}"`);
+        console.log('🏷️ Mode:', additionalParams.mode);
+        console.log('🎭 System prompt type:', additionalParams.systemPrompt);
+        console.log('🌐 Prompt language:', promptSet.locale);
+        console.log('📄 Context length:', additionalParams.context ? additionalParams.context.length : 0);
+        console.log('🎨 Style guide present:', !!selectedStyleGuide);
+        console.log('📤 Full user prompt length:', userPrompt.length);
+        console.log('📤 User prompt preview:', userPrompt.substring(0, 500) + '...');
+      }
 
-${selectedStyleGuide ? `STIL-VORGABEN:
-Befolge diesen Style Guide bei der Ausformulierung:
-${selectedStyleGuide}
+      requestParams = {
+        model: model,
+        max_tokens: additionalParams.max_tokens || this.defaultParams.max_tokens,
+        temperature: additionalParams.temperature ?? this.defaultParams.temperature,
+        system: systemPrompt,
+        messages: [
+          {
+            role: 'user',
+            content: userPrompt
+          }
+        ]
+      };
 
-Achte besonders auf:
-- Konsistenz mit den Stil-Beispielen
-- Einhaltung der definierten Regeln
-- Beibehaltung des charakteristischen Tons
+      // Identical requests are served from the response cache; options.cache: false skips the lookup
+      const responseCacheKey = this.cache ? cacheKey({
+        text,
+        action,
+        instruction,
+        styleGuide: selectedStyleGuide || '',
+        mode: promptVariables.mode,
+        format,
+        model,
+        temperature: requestParams.temperature,
+        maxTokens: requestParams.max_tokens,
+        language: promptSet.locale,
+        context: additionalParams.context || '',
+        constraints: additionalParams.constraints,
+        prompts: [systemPrompt, promptSet.templates.user]
+      }) : null;
+      const cached = responseCacheKey && additionalParams.cache !== false
+        ? await this.cache.get(responseCacheKey).catch(error => {
+          console.error('Response cache error:', error);
+          return null;
+        })
+        : null;
+
+      let responseText, transformedText, rationale, usedModel, attempts, fallbackUsed, usage, continuations, truncated;
+      let guardrails = { cleaned: [], repairs: 0, violations: [] };
+      if (cached) {
+        ({ text: transformedText, rationale, model: usedModel, continuations = 0 } = cached);
+        responseText = transformedText;
+        attempts = 0;
+        fallbackUsed = false;
+        truncated = false;
+        usage = { inputTokens: 0, outputTokens: 0, totalTokens: 0, cost: 0 };
+        if (typeof additionalParams.onText === 'function') {
+          additionalParams.onText(transformedText);
+        }
+      } else {
+        // Stream text deltas to the caller when an onText callback is given
+        ({ text: responseText, model: usedModel, attempts, fallbackUsed, usage, continuations, truncated } = await this.createCompleteMessage(requestParams, {
+          action,
+          onText: typeof additionalParams.onText === 'function' ? additionalParams.onText : null,
+          signal: additionalParams.signal,
+          fallbackModels: additionalParams.fallback === false ? [] : (additionalParams.fallbackModels || this.fallbackModels)
+        }));
+
+        // Extract the text content from Claude's response
+        transformedText = responseText.trim();
+
+        // Split off the rationale in variant mode
+        if (additionalParams.variant) {
+          const [variantText, variantRationale = ''] = transformedText.split(promptSet.rationaleMarker);
+          transformedText = variantText.trim();
+          rationale = variantRationale.trim();
+        }
 
-` : ''}WICHTIGE OUTPUT-REGEL:
-Du darfst AUSSCHLIESSLICH den transformierten Text ausgeben. Keine Einleitungen, keine Erklärungen, keine Kommentare, keine Anführungszeichen, keine Formatierungshinweise - nur der reine, ausformulierte Text.
+        // Strip lead-ins and quotes, and re-prompt while constraints are violated
+        guardrails = await this.enforceGuardrails(transformedText, {
+          input: text,
+          constraints,
+          format,
+          promptSet,
+          requestParams,
+          action,
+          model: usedModel,
+          signal: additionalParams.signal
+        });
+        transformedText = guardrails.text;
+        if (guardrails.repairs > 0) {
+          usage = sumUsage([usage, guardrails.usage]);
+          attempts += guardrails.attempts;
+        }
 
-Beginne sofort mit dem ersten Wort des transformierten Textes und höre mit dem letzten Wort auf.`;
-      } else if (additionalParams.systemPrompt === 'refine') {
-        systemPrompt = `Du bist ein Textredakteur und Copy-Editor mit höchsten Qualitätsstandards. Deine Expertise liegt darin, bestehende Texte zu perfektionieren, ohne deren Kernaussage oder Persönlichkeit zu verändern.
+        // Fallback, cut-off and non-compliant responses are kept out, so the next call gets another try
+        if (responseCacheKey && !fallbackUsed && !truncated && guardrails.violations.length === 0) {
+          await this.cache.set(responseCacheKey, { text: transformedText, rationale, model: usedModel, usage, continuations })
+            .catch(error => console.error('Response cache error:', error));
+        }
+      }
 
-DEINE AUFGABE:
-Verfeinere AUSSCHLIESSLICH den gegebenen markierten Text durch Verbesserung von Formulierung, Stil, Grammatik und Fluss, während du die ursprüngliche Intention vollständig bewahrst. Du darfst NICHT den Kontext oder andere Textteile bearbeiten - nur den spezifisch markierten Text.
+      if (this.debugPrompts) {
+        console.log('📥 Claude response received:');
+        console.log('📤 Original text:', `"${text}"`);
+        console.log('📥 Transformed text:', `"${transformedText}"`);
+      }
+      console.log(cached
+        ? `🔄 ${action}: ${text.length} → ${transformedText.length} chars from cache (${usedModel})`
+        : `🔄 ${action}: ${text.length} → ${transformedText.length} chars with ${usedModel}${fallbackUsed ? ` (fallback from ${model})` : ''}, attempt ${attempts}`);
+
+      this.audit({
+        type: 'transform',
+        action,
+        model: usedModel,
+        requestedModel: model,
+        fallbackUsed,
+        attempts,
+        latencyMs: Date.now() - startedAt,
+        usage,
+        outcome: 'success',
+        options: additionalParams,
+        text,
+        instruction,
+        output: responseText,
+        request: { ...requestParams, model: undefined },
+        cached: !!cached,
+        continuations,
+        repaired: guardrails.repairs > 0
+      });
 
-${additionalParams.mode === 'json' ? `JSON TEMPLATE MODUS:
-Du arbeitest mit einem JSON-Template für Advertorial-Seiten. Der Kontext enthält technische JSON-Struktur, aber du sollst AUSSCHLIESSLICH den markierten Copy-Text verfeinern. Ignoriere alle JSON-Syntax, technischen Felder, URLs, Dateipfade, Variablennamen und strukturelle Elemente. Konzentriere dich NUR auf die Verbesserung des Marketing-Copy-Inhalts.
+      return {
+        success: true,
+        originalText: text,
+        transformedText: transformedText,
+        ...(rationale !== undefined && { rationale }),
+        instruction: instruction,
+        language: promptSet.locale,
+        format: format,
+        model: usedModel,
+        requestedModel: model,
+        fallbackUsed: fallbackUsed,
+        attempts: attempts,
+        usage: usage,
+        cached: !!cached,
+        ...(cached && { cachedAt: cached.cachedAt }),
+        chunked: false,
+        continued: continuations > 0,
+        ...(continuations > 0 && { continuations }),
+        ...(truncated && { truncated: true }),
+        guardrails: {
+          cleaned: guardrails.cleaned,
+          repairs: guardrails.repairs,
+          violations: guardrails.violations
+        },
+        timestamp: new Date().toISOString()
+      };
 
-WICHTIG: Du verfeinerst NUR den selektierten Copy-Text, nicht die JSON-Struktur!
+    } catch (error) {
+      console.error('Claude API Error:', error);
+      this.audit({
+        type: 'transform',
+        action,
+        requestedModel: model,
+        attempts: error.attempts,
+        latencyMs: Date.now() - startedAt,
+        outcome: additionalParams.signal?.aborted ? 'cancelled' : 'error',
+        error: error.message,
+        options: additionalParams,
+        text,
+        instruction,
+        request: requestParams && { ...requestParams, model: undefined }
+      });
+      return {
+        success: false,
+        error: error.message,
+        cancelled: !!additionalParams.signal?.aborted,
+        attempts: error.attempts,
+        originalText: text,
+        instruction: instruction,
+        timestamp: new Date().toISOString()
+      };
+    }
+  }
 
-` : ''}VERFEINERUNGS-PRINZIPIEN:
-• Korrigiere grammatische und stilistische Fehler
-• Optimiere Wortwahl und Satzstrukturen
-• Verbessere Lesbarkeit und Textfluss
-• Entferne Redundanzen und Füllwörter
-• Verstärke Klarheit und Prägnanz
-• Bewahre die ursprüngliche Stimme und Persönlichkeit
-• Halte alle Fakten und Kernaussagen bei
+  /**
+   * Transform copy longer than chunkMaxChars in paragraph-aware chunks. The
+   * chunks run one after the other, so each one sees the end of the previous
+   * transformed chunk and the start of the next; the results are joined with
+   * the original paragraph breaks.
+   */
+  async transformChunked(text, instruction, additionalParams = {}) {
+    const { onText, ...params } = additionalParams;
+    const chunks = splitIntoChunks(text, this.chunkMaxChars);
+    const results = [];
 
-${selectedStyleGuide ? `STIL-VORGABEN:
-Befolge diesen Style Guide bei der Verfeinerung:
-${selectedStyleGuide}
+    let promptSet;
+    try {
+      promptSet = this.getPromptSet(params);
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        originalText: text,
+        instruction: instruction,
+        timestamp: new Date().toISOString()
+      };
+    }
 
-Achte besonders auf:
-- Konsistenz mit den Stil-Beispielen
-- Einhaltung der definierten Regeln
-- Beibehaltung des charakteristischen Tons
+    console.log(`🧩 Splitting ${text.length} chars into ${chunks.length} chunks`);
 
-` : ''}WICHTIGE OUTPUT-REGEL:
-Du darfst AUSSCHLIESSLICH den verfeinerten Text ausgeben. Keine Einleitungen, keine Erklärungen, keine Kommentare, keine Anführungszeichen, keine Formatierungshinweise - nur der reine, verbesserte Text.
+    for (const [index, chunk] of chunks.entries()) {
+      const chunkContext = renderTemplate(promptSet.chunkContext || '', {
+        index: index + 1,
+        total: chunks.length,
+        previous: index > 0 ? tailOf(results[index - 1].transformedText, CHUNK_CONTEXT_CHARS) : '',
+        next: index < chunks.length - 1 ? headOf(chunks[index + 1].text, CHUNK_CONTEXT_CHARS) : ''
+      });
 
-Beginne sofort mit dem ersten Wort des verfeinerten Textes und höre mit dem letzten Wort auf.`;
-      } else if (additionalParams.systemPrompt === 'edit') {
-        systemPrompt = `Du bist ein professioneller Text-Editor mit höchster Präzision. Deine Aufgabe ist es, den gegebenen Text exakt nach den spezifischen Anweisungen zu bearbeiten.
+      if (onText && index > 0) {
+        onText(chunks[index - 1].separator);
+      }
 
-DEINE AUFGABE:
-Führe die gegebene Bearbeitungsanweisung AUSSCHLIESSLICH am markierten Text präzise aus, ohne die grundlegende Intention oder den Kontext zu verändern. Du darfst NICHT den Kontext oder andere Textteile bearbeiten - nur den spezifisch markierten Text.
+      // Length limits apply to the whole text; each chunk keeps the tokens it contains
+      const constraints = params.constraints && {
+        ...params.constraints,
+        maxChars: undefined,
+        maxWords: undefined,
+        mustKeep: params.constraints.mustKeep?.filter(token => chunk.text.includes(token.trim()))
+      };
 
-${additionalParams.mode === 'json' ? `JSON TEMPLATE MODUS:
-Du arbeitest mit einem JSON-Template für Advertorial-Seiten. Der Kontext enthält technische JSON-Struktur, aber du sollst AUSSCHLIESSLICH den markierten Copy-Text nach der Anweisung bearbeiten. Ignoriere alle JSON-Syntax, technischen Felder, URLs, Dateipfade, Variablennamen und strukturelle Elemente. Konzentriere dich NUR auf die Bearbeitung des Marketing-Copy-Inhalts.
+      const result = await this.transform(chunk.text, instruction, {
+        ...params,
+        onText,
+        constraints,
+        chunk: { index: index + 1, total: chunks.length },
+        context: params.context ? `${params.context}\n\n${chunkContext}` : chunkContext
+      });
 
-WICHTIG: Du bearbeitest NUR den selektierten Copy-Text, nicht die JSON-Struktur!
+      if (!result.success) {
+        return {
+          ...result,
+          error: `Chunk ${index + 1} of ${chunks.length} failed: ${result.error}`,
+          originalText: text,
+          chunked: true,
+          chunks: chunks.length
+        };
+      }
+      results.push(result);
+    }
 
-` : ''}BEARBEITUNGS-PRINZIPIEN:
-• Befolge die Anweisung exakt und vollständig
-• Behalte die ursprüngliche Bedeutung bei, außer explizit anders angewiesen
-• Mache nur die angeforderten Änderungen
-• Bewahre den ursprünglichen Stil, außer er soll geändert werden
-• Bei unklaren Anweisungen, interpretiere im Kontext des Textes
-• Arbeite präzise und zielgerichtet
+    const continuations = results.reduce((sum, result) => sum + (result.continuations || 0), 0);
+    const transformedText = joinChunks(results.map(result => result.transformedText), chunks);
 
-${selectedStyleGuide ? `STIL-VORGABEN:
-Befolge diesen Style Guide bei der Bearbeitung:
-${selectedStyleGuide}
+    return {
+      success: true,
+      originalText: text,
+      transformedText: transformedText,
+      instruction: instruction,
+      language: results[0].language,
+      format: results[0].format,
+      model: results[0].model,
+      requestedModel: results[0].requestedModel,
+      fallbackUsed: results.some(result => result.fallbackUsed),
+      attempts: results.reduce((sum, result) => sum + result.attempts, 0),
+      usage: sumUsage(results.map(result => result.usage)),
+      cached: results.every(result => result.cached),
+      chunked: true,
+      chunks: chunks.length,
+      continued: continuations > 0,
+      ...(continuations > 0 && { continuations }),
+      ...(results.some(result => result.truncated) && { truncated: true }),
+      guardrails: {
+        cleaned: [...new Set(results.flatMap(result => result.guardrails.cleaned))],
+        repairs: results.reduce((sum, result) => sum + result.guardrails.repairs, 0),
+        violations: checkConstraints(transformedText, { input: text, constraints: params.constraints, format: params.format })
+      },
+      timestamp: new Date().toISOString()
+    };
+  }
 
-Achte besonders auf:
-- Konsistenz mit den Stil-Beispielen
-- Einhaltung der definierten Regeln
-- Beibehaltung des charakteristischen Tons
-
-` : ''}WICHTIGE OUTPUT-REGEL:
-Du darfst AUSSCHLIESSLICH den bearbeiteten Text ausgeben. Keine Einleitungen, keine Erklärungen, keine Kommentare, keine Anführungszeichen, keine Formatierungshinweise - nur der reine, bearbeitete Text.
-
-Beginne sofort mit dem ersten Wort des bearbeiteten Textes und höre mit dem letzten Wort auf.`;
-      } else {
-        systemPrompt = `Du bist ein professioneller Texting-Assistent. Deine Aufgabe ist es, den gegebenen Text gemäß der spezifischen Anweisung umzuformen.
+  /**
+   * Generate several distinct alternatives for the same transformation.
+   * Each variant runs as its own request with a different angle and, if
+   * temperatureSpread is set, a temperature spread around the base temperature.
+   */
+  async transformVariants(text, instruction, additionalParams = {}) {
+    // Variants are returned together, so streaming callbacks are not forwarded
+    const { variants, temperatureSpread = 0, onText, signal, ...params } = additionalParams;
+    const total = Math.min(Math.max(parseInt(variants, 10) || 1, 1), MAX_VARIANTS);
+    const baseTemperature = params.temperature ?? this.defaultParams.temperature;
+
+    const temperatureFor = (i) => {
+      if (!temperatureSpread || total === 1) return baseTemperature;
+      const offset = -temperatureSpread / 2 + (temperatureSpread * i) / (total - 1);
+      return Math.round(Math.min(Math.max(baseTemperature + offset, 0), 1) * 100) / 100;
+    };
+
+    const results = await Promise.all(
+      Array.from({ length: total }, (_, i) => this.transform(text, instruction, {
+        ...params,
+        signal,
+        temperature: temperatureFor(i),
+        variant: { index: i + 1, total }
+      }))
+    );
+
+    // Drop failed and duplicate variants
+    const seen = new Set();
+    const successful = results.filter(result => {
+      if (!result.success) return false;
+      const key = result.transformedText.toLowerCase().replace(/\s+/g, ' ');
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+
+    const usage = sumUsage(results.map(result => result.usage));
+
+    if (successful.length === 0) {
+      return {
+        ...results[0],
+        variants: [],
+        usage
+      };
+    }
 
-Regeln:
-- Bewahre die ursprüngliche Bedeutung und Absicht soweit möglich
-- Behalte den angemessenen Ton und Stil für den Kontext bei
-- Falls die Anweisung unklar ist, interpretiere sie bestmöglich
+    return {
+      success: true,
+      originalText: text,
+      transformedText: successful[0].transformedText,
+      variants: successful.map(result => ({
+        text: result.transformedText,
+        rationale: result.rationale,
+        temperature: temperatureFor(results.indexOf(result)),
+        model: result.model
+      })),
+      failedVariants: results.filter(result => !result.success).length,
+      instruction: instruction,
+      language: successful[0].language,
+      model: successful[0].model,
+      usage: usage,
+      timestamp: new Date().toISOString()
+    };
+  }
 
-WICHTIGE OUTPUT-REGEL:
-Du darfst AUSSCHLIESSLICH den umgeformten Text ausgeben. Keine Einleitungen, keine Erklärungen, keine Kommentare, keine Anführungszeichen, keine Formatierungshinweise - nur der reine, umgeformte Text.
+  /**
+   * Send a message request through the provider with retries and model fallback.
+   * Retryable errors are retried with exponential backoff and jitter; once the
+   * requested model runs out of retries, each fallback model is tried in turn.
+   * Returns { message, model, attempts, fallbackUsed }.
+   */
+  async createMessage(requestParams, { onText = null, signal = null, fallbackModels = this.fallbackModels } = {}) {
+    if (this.beforeCall) {
+      await this.beforeCall(requestParams);
+    }
+
+    const models = [requestParams.model, ...(fallbackModels || []).filter(model => model !== requestParams.model)];
+    let attempts = 0;
+    let lastError;
+
+    for (const model of models) {
+      for (let retry = 0; retry <= this.retry.maxRetries; retry++) {
+        attempts++;
+        let streamedText = false;
+
+        try {
+          const params = { ...requestParams, model };
+          const message = onText
+            ? await this.provider.streamMessage(params, (delta) => { streamedText = true; onText(delta); }, { signal })
+            : await this.provider.createMessage(params, { signal });
+
+          return { message, model, attempts, fallbackUsed: model !== requestParams.model };
+        } catch (error) {
+          error.attempts = attempts;
+          lastError = error;
+
+          // Text already sent to the caller can't be taken back, so don't retry mid-stream
+          if (signal?.aborted || streamedText || !isRetryableError(error)) {
+            throw error;
+          }
 
-Beginne sofort mit dem ersten Wort des umgeformten Textes und höre mit dem letzten Wort auf.`;
+          if (retry < this.retry.maxRetries) {
+            const backoff = Math.min(this.retry.maxDelayMs, this.retry.baseDelayMs * 2 ** retry);
+            const delay = Math.max(Math.random() * backoff, retryAfterMs(error));
+            console.warn(`Claude request failed (${error.status || error.message}) on ${model}, retrying in ${Math.round(delay)}ms`);
+            await this.retry.sleep(Math.min(delay, this.retry.maxDelayMs));
+          }
+        }
       }
 
-      const userPrompt = `${additionalParams.systemPrompt === 'articulate' ? 'ROHE GEDANKENSTRUKTUR ZUM TRANSFORMIEREN:' : additionalParams.systemPrompt === 'refine' ? 'TEXT ZUM VERFEINERN:' : additionalParams.systemPrompt === 'edit' ? 'TEXT ZUM BEARBEITEN:' : 'Forme diesen Text um:'}
-"${text}"
+      console.warn(`Model ${model} failed after ${this.retry.maxRetries + 1} attempts`);
+    }
 
-ANWEISUNGEN:
-${instruction}
+    throw lastError;
+  }
 
-${additionalParams.context ? `KONTEXT (Gesamter Text im Editor - NUR als Referenz, NICHT bearbeiten):
-${additionalParams.context}
+  /**
+   * Send a message request and, while the response stops at max_tokens, let
+   * the same model continue where it left off, up to maxContinuations times.
+   * Providers without assistant prefill (supportsPrefill: false) would start
+   * over instead, so their cut-off responses are returned as truncated. Usage is recorded per call. Returns { text, model, attempts, fallbackUsed,
+   * usage, continuations, truncated }; truncated means the text is still cut off.
+   */
+  async createCompleteMessage(requestParams, { action, onText = null, signal = null, fallbackModels = this.fallbackModels } = {}) {
+    const first = await this.createMessage(requestParams, { onText, signal, fallbackModels });
+    const usages = [this.recordUsage(first.model, action, first.message.usage)];
+    let text = first.message.content[0].text;
+    let stopReason = first.message.stop_reason;
+    let attempts = first.attempts;
+    let continuations = 0;
+    const maxContinuations = this.provider.supportsPrefill === false ? 0 : this.maxContinuations;
+
+    while (stopReason === 'max_tokens' && continuations < maxContinuations) {
+      continuations++;
+      console.warn(`✂️  ${action}: response cut off at ${requestParams.max_tokens} tokens, continuing (${continuations}/${maxContinuations})`);
+
+      // The partial response is sent back as the start of the assistant turn, which must not end in whitespace
+      const partial = text.trimEnd();
+      const next = await this.createMessage({
+        ...requestParams,
+        model: first.model,
+        messages: [...requestParams.messages, { role: 'assistant', content: partial }]
+      }, { onText, signal, fallbackModels: [] });
+
+      text = partial + next.message.content[0].text;
+      stopReason = next.message.stop_reason;
+      attempts += next.attempts;
+      usages.push(this.recordUsage(next.model, action, next.message.usage));
+    }
 
-WICHTIG: Transformiere AUSSCHLIESSLICH den oben markierten Text ("${additionalParams.systemPrompt === 'articulate' ? 'ROHE GEDANKENSTRUKTUR ZUM TRANSFORMIEREN' : additionalParams.systemPrompt === 'refine' ? 'TEXT ZUM VERFEINERN' : additionalParams.systemPrompt === 'edit' ? 'TEXT ZUM BEARBEITEN' : 'Text'}"). Der Kontext dient nur als Referenz für besseres Verständnis, soll aber NICHT verändert oder mit in die Ausgabe einbezogen werden.` : ''}
+    if (stopReason === 'max_tokens') {
+      console.warn(`⚠️  ${action}: response still cut off after ${continuations} continuations`);
+    }
 
-AUFGABE: ${additionalParams.systemPrompt === 'articulate' ? 'Transformiere NUR die markierte rohe Struktur in einen vollständig ausformulierten, fließenden Text.' : additionalParams.systemPrompt === 'refine' ? 'Verfeinere NUR den markierten Text durch Verbesserung von Formulierung, Stil und Fluss.' : additionalParams.systemPrompt === 'edit' ? 'Führe die Bearbeitungsanweisung präzise NUR am markierten Text aus.' : 'Forme NUR den markierten Text entsprechend der Anweisung um.'}`;
+    return {
+      text,
+      model: first.model,
+      attempts,
+      fallbackUsed: first.fallbackUsed,
+      usage: sumUsage(usages),
+      continuations,
+      truncated: stopReason === 'max_tokens'
+    };
+  }
 
-      // Debug logging
-      console.log('🔧 API TRANSFORM DEBUG:');
-      console.log('📝 Input text:', `"${text}"`);
-      console.log('📋 Instruction:', `"${instruction}"`);
-      console.log('🏷️ Mode:', additionalParams.mode);
-      console.log('🎭 System prompt type:', additionalParams.systemPrompt);
-      console.log('📄 Context length:', additionalParams.context ? additionalParams.context.length : 0);
-      console.log('🎨 Style guide present:', !!selectedStyleGuide);
-      console.log('📤 Full user prompt length:', userPrompt.length);
-      console.log('📤 User prompt preview:', userPrompt.substring(0, 500) + '...');
-
-      const message = await this.client.messages.create({
-        model: this.model,
-        max_tokens: additionalParams.max_tokens || this.defaultParams.max_tokens,
-        temperature: additionalParams.temperature || this.defaultParams.temperature,
-        system: systemPrompt,
-        messages: [
-          {
-            role: 'user',
-            content: userPrompt
-          }
-        ]
-      });
+  /**
+   * Clean a transformation result and check it against the call's
+   * constraints. While it violates them, the model gets the violations and
+   * another try, up to constraints.maxRetries (default guardrailRetries) times.
+   * HTML results are re-serialized with only the allowed tags and safe links.
+   * Returns { text, cleaned, violations, repairs, usage, attempts }; violations
+   * lists what is still broken after the last try.
+   */
+  async enforceGuardrails(output, { input, constraints = {}, format = 'text', promptSet, requestParams, action, model, signal = null }) {
+    const labels = Object.values(promptSet.labels || {});
+    const maxRetries = constraints.maxRetries ?? this.guardrailRetries;
+    const messages = [...requestParams.messages];
+    const cleaned = new Set();
+    const usages = [];
+    let attempts = 0;
+    let repairs = 0;
+
+    const clean = (raw) => {
+      const result = cleanOutput(raw, { input, labels, format });
+      result.cleaned.forEach(step => cleaned.add(step));
+      return result.text;
+    };
 
-      // Extract the text content from Claude's response
-      const transformedText = message.content[0].text.trim();
+    let text = clean(output);
+    let violations = checkConstraints(text, { input, constraints, format });
 
-      console.log('📥 Claude response received:');
-      console.log('📤 Original text:', `"${text}"`);
-      console.log('📥 Transformed text:', `"${transformedText}"`);
-      console.log('🔄 Length change:', `${text.length} → ${transformedText.length} (${transformedText.length - text.length > 0 ? '+' : ''}${transformedText.length - text.length})`);
-      console.log('🎯 Model used:', this.model);
+    while (violations.length > 0 && repairs < maxRetries && promptSet.guardrails) {
+      repairs++;
+      console.log(`🛡️  ${action}: ${violations.map(violation => violation.rule).join(', ')} violated, re-prompting (${repairs}/${maxRetries})`);
 
-      return {
-        success: true,
-        originalText: text,
-        transformedText: transformedText,
-        instruction: instruction,
-        model: this.model,
-        timestamp: new Date().toISOString()
-      };
+      messages.push(
+        { role: 'assistant', content: text || output },
+        { role: 'user', content: renderTemplate(promptSet.guardrails.repair, { violations: describeConstraints(promptSet.guardrails, { violations }) }) }
+      );
+      const repair = await this.createCompleteMessage({ ...requestParams, model, messages }, { action, signal, fallbackModels: [] });
+      usages.push(repair.usage);
+      attempts += repair.attempts;
 
-    } catch (error) {
-      console.error('Claude API Error:', error);
-      return {
-        success: false,
-        error: error.message,
-        originalText: text,
-        instruction: instruction,
-        timestamp: new Date().toISOString()
-      };
+      text = clean(repair.text);
+      violations = checkConstraints(text, { input, constraints, format });
+    }
+
+    if (violations.length > 0) {
+      console.warn(`⚠️  ${action}: result still violates ${violations.map(violation => violation.rule).join(', ')}`);
+    }
+
+    if (format === 'html') {
+      const { runs, errors } = parseHTML(text);
+      text = toHTML(runs);
+      if (errors.length > 0) {
+        cleaned.add('markup');
+      }
     }
+
+    return { text, cleaned: [...cleaned], violations, repairs, usage: sumUsage(usages), attempts };
   }
 
   /**
    * ARTICULATE: Transform rough ideas into fully articulated text
    */
   async articulate(text, additionalParams = {}) {
-    const instruction = `Entwickle aus der gegebenen Gedankenstruktur einen vollständig ausformulierten, fließenden Text. Schaffe natürliche Übergänge, fülle logische Lücken und verwandle Fragmente in kohärente, überzeugende Prosa.`;
-
-    return await this.transform(text, instruction, {
-      ...additionalParams,
-      systemPrompt: 'articulate',
-      max_tokens: 8000 // Much higher limit for long articulation tasks
-    });
+    return await this.runAction('ARTICULATE', text, additionalParams);
   }
 
   /**
    * REFINE: Improve existing text while preserving original intent
    */
   async refine(text, additionalParams = {}) {
-    const instruction = `Verfeinere diesen Text durch Optimierung von Formulierung, Grammatik und Stil. Verbessere Klarheit und Lesbarkeit, während du die ursprüngliche Aussage und den Charakter des Textes vollständig bewahrst.`;
+    return await this.runAction('REFINE', text, additionalParams);
+  }
+
+  /**
+   * EDIT: Apply custom editing instructions to text
+   */
+  async edit(text, instruction, additionalParams = {}) {
+    return await this.runAction('EDIT', text, { ...additionalParams, instruction });
+  }
+
+  /**
+   * SHORTEN: Make text more concise (options.targetReduction, default 30-50%)
+   */
+  async shorten(text, additionalParams = {}) {
+    return await this.runAction('SHORTEN', text, additionalParams);
+  }
+
+  /**
+   * ELONGATE: Expand text with additional detail (options.expansionType)
+   */
+  async elongate(text, additionalParams = {}) {
+    return await this.runAction('ELONGATE', text, additionalParams);
+  }
+
+  /**
+   * SIMPLIFY: Make text easier to understand (options.targetAudience)
+   */
+  async simplify(text, additionalParams = {}) {
+    return await this.runAction('SIMPLIFY', text, additionalParams);
+  }
+
+  /**
+   * Run a named action from the action registry on text. The action's
+   * defaults are merged under the options, which also fill its instruction
+   * template (e.g. {{instruction}}, {{targetAudience}}).
+   */
+  async runAction(actionName, text, options = {}) {
+    const action = await this.actions.get(actionName);
+    if (!action) {
+      throw new Error(`Unknown action: ${actionName}`);
+    }
+
+    const params = { ...action.defaults, ...options };
+    const userInstruction = typeof params.instruction === 'string' ? params.instruction.trim() : '';
+    if (action.requiresInstruction && !userInstruction) {
+      throw new Error(`${action.name} function requires a specific instruction`);
+    }
+
+    const promptSet = this.getPromptSet(params);
+    const instructionTemplate = action.instructionKey
+      ? promptSet.instructions[action.instructionKey]
+      : localizedTemplate(action.instruction, promptSet.locale);
+    if (!instructionTemplate) {
+      throw new Error(`Prompt set "${promptSet.locale}" has no instruction for ${action.name}`);
+    }
+    const instruction = renderTemplate(instructionTemplate, { ...params, instruction: userInstruction }).trim();
 
     return await this.transform(text, instruction, {
-      ...additionalParams,
-      systemPrompt: 'refine',
-      max_tokens: 8000 // Much higher limit for long refinement tasks
+      ...params,
+      action: action.name,
+      systemPrompt: action.promptType,
+      systemPromptTemplate: localizedTemplate(action.systemPrompt, promptSet.locale),
+      templateParams: params
     });
   }
 
   /**
-   * EDIT: Apply custom editing instructions to text
+   * JSON TEMPLATE: Transform the copy fields of a JSON template in place.
+   * Fields are found by key (options.fields) or JSONPath (options.paths);
+   * everything else in the template is left untouched. options.fieldConstraints
+   * adds constraints per field key or path, e.g. { cta: { maxChars: 25 } }.
    */
-  async edit(text, instruction, additionalParams = {}) {
-    if (!instruction || !instruction.trim()) {
-      throw new Error('EDIT function requires a specific instruction');
+  async transformJSON(template, action, options = {}) {
+    // Each field gets exactly one transformation, so variants don't apply here
+    const { fields, paths, concurrency = 4, variants, fieldConstraints = {}, ...transformOptions } = options;
+
+    let data;
+    try {
+      data = typeof template === 'string' ? JSON.parse(template) : structuredClone(template);
+    } catch (error) {
+      return {
+        success: false,
+        error: `Invalid JSON template: ${error.message}`,
+        timestamp: new Date().toISOString()
+      };
     }
 
-    return await this.transform(text, instruction.trim(), {
-      ...additionalParams,
-      systemPrompt: 'edit',
-      max_tokens: 8000 // Higher limit for complex editing tasks, especially JSON templates
+    let copyFields;
+    let promptSet;
+    try {
+      copyFields = findCopyFields(data, { fields, paths });
+      promptSet = this.getPromptSet(transformOptions);
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    // The other copy fields give the model context without exposing JSON syntax
+    const copyContext = copyFields.map(field => `${field.path}: ${field.value}`).join('\n');
+
+    const results = await mapWithConcurrency(copyFields, concurrency, async (field) => {
+      const result = await this.runAction(action, field.value, {
+        ...transformOptions,
+        constraints: {
+          ...transformOptions.constraints,
+          ...fieldConstraints[field.keys[field.keys.length - 1]],
+          ...fieldConstraints[field.path]
+        },
+        mode: 'json',
+        context: `${transformOptions.context ? `${transformOptions.context}\n\n` : ''}${renderTemplate(promptSet.copyFieldsLabel, { path: field.path })}\n${copyContext}`
+      });
+
+      if (result.success) {
+        setAtPath(data, field.keys, result.transformedText);
+      }
+
+      return {
+        path: field.path,
+        success: result.success,
+        before: field.value,
+        after: result.success ? result.transformedText : field.value,
+        changed: result.success && result.transformedText !== field.value,
+        usage: result.usage,
+        ...(result.cached && { cached: true }),
+        ...(result.success && result.guardrails.violations.length > 0 && { violations: result.guardrails.violations }),
+        ...(result.success ? {} : { error: result.error })
+      };
+    });
+
+    // A template given as text keeps its formatting; only the changed strings are replaced in it
+    const changes = copyFields
+      .map((field, index) => ({ keys: field.keys, value: results[index].after, changed: results[index].changed }))
+      .filter(change => change.changed);
+
+    return {
+      success: results.every(field => field.success),
+      template: typeof template === 'string' ? replaceStrings(template, changes) : JSON.stringify(data, null, 2),
+      data: data,
+      fields: results,
+      fieldsChanged: results.filter(field => field.changed).length,
+      fieldsFailed: results.filter(field => !field.success).length,
+      model: this.resolveModel(transformOptions.model),
+      usage: sumUsage(results.map(field => field.usage)),
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * BATCH: Run many transformations with bounded concurrency.
+   * Items are { text, action, options } or { template, action, options } for
+   * JSON templates. Results come back in input order, one per item. Aborting
+   * `signal` cancels the items in flight and skips the ones not started yet.
+   */
+  async transformBatch(items, { concurrency = 4, onItemComplete = null, signal = null } = {}) {
+    return await mapWithConcurrency(items, concurrency, async (item, index) => {
+      let result;
+      if (signal?.aborted) {
+        result = {
+          success: false,
+          error: 'Batch cancelled',
+          cancelled: true,
+          timestamp: new Date().toISOString()
+        };
+      } else {
+        const options = signal ? { ...item.options, signal } : item.options;
+        try {
+          result = item.template !== undefined
+            ? await this.transformJSON(item.template, item.action, options)
+            : await this.runAction(item.action, item.text, options);
+        } catch (error) {
+          result = {
+            success: false,
+            error: error.message,
+            ...(signal?.aborted && { cancelled: true }),
+            timestamp: new Date().toISOString()
+          };
+        }
+      }
+
+      const entry = { index, action: item.action, ...result };
+      if (onItemComplete) {
+        onItemComplete(entry);
+      }
+      return entry;
     });
   }
 
   /**
-   * GENERATE_STYLE_GUIDE: Analyze example text and create a comprehensive style guide
+   * GENERATE_STYLE_GUIDE: Analyze example text and create a comprehensive style guide.
+   * exampleText is a string or a list of samples { name, type, content, weight }
+   * (see style-samples.js), which are fitted into options.maxSampleChars by weight.
    */
-  async generateStyleGuide(exampleText, additionalInstructions = '') {
+  async generateStyleGuide(exampleText, additionalInstructions = '', options = {}) {
+    const startedAt = Date.now();
+    const usages = [];
+    let model = null;
+    let requestParams;
+    let combinedText;
+
     try {
+      model = this.resolveModel(options.model);
+      const samples = fitSamples(
+        prepareSamples(typeof exampleText === 'string' ? [{ name: 'Example text', type: 'text', text: exampleText }] : exampleText),
+        options.maxSampleChars || STYLE_SAMPLE_MAX_CHARS
+      );
+      combinedText = samples.map(sample => sample.text).join('\n\n');
+
+      if (this.debugPrompts) {
+        console.log('🎨 STYLE GUIDE DEBUG:');
+        samples.forEach(sample => console.log(`📄 ${sample.name} (${sample.type}, weight ${sample.weight}): ${sample.usedChars}/${sample.chars} chars`));
+      }
+
       const systemPrompt = `Du bist ein Experte für Textanalyse und Stil-Dokumentation. Deine Aufgabe ist es, aus gegebenem Beispieltext zwei komplementäre Style Guides zu erstellen, die für verschiedene Arten der Textproduktion verwendet werden.
 
 AUFGABE:
@@ -351,93 +1213,306 @@ ANALYSE-ASPEKTE:
 • Rhetorische Mittel
 
 OUTPUT FORMAT:
-=== UMFASSENDER STYLE GUIDE (für Grund-Textentwicklung) ===
+Antworte AUSSCHLIESSLICH mit einem JSON-Objekt in genau dieser Struktur, ohne Text davor oder danach:
+
+{
+  "comprehensive": {
+    "tone": "Beschreibung des charakteristischen Tons",
+    "sentenceStructure": "Satzstruktur, -länge und Rhythmus",
+    "vocabulary": "Typische Begriffe, Wendungen und Formulierungsmuster",
+    "formality": "Grad der Förmlichkeit und Ansprache",
+    "rules": ["Konkrete Regel für konsistente Textproduktion", "..."],
+    "examples": ["3-5 konkrete, repräsentative Textausschnitte aus dem Original", "..."],
+    "avoid": ["Was nicht zu diesem Stil passt", "..."]
+  },
+  "concise": {
+    "tone": "Kernaspekte des Tons - kompakt",
+    "sentenceStructure": "Bevorzugte Länge und Rhythmus",
+    "vocabulary": "Schlüsselbegriffe und typische Wendungen",
+    "formality": "Grad der Förmlichkeit",
+    "rules": ["Die wichtigsten Regeln für die Verfeinerung", "..."],
+    "examples": ["1-2 kurze Textausschnitte aus dem Original", "..."],
+    "avoid": ["Wichtigste Stil-Fallen", "..."]
+  }
+}
 
-● TON: [Beschreibung des charakteristischen Tons]
-● STIL-MERKMALE: [Spezifische stilistische Charakteristika]
-● BEISPIELE: [3-5 konkrete, repräsentative Textausschnitte aus dem Original - achte darauf, zwingend im Output zu betonen, dass diese Beispiele nicht als inhaltliche Beispiele zu sehen sind, sondern ausschließlich für das Stilverständnis.]
-● SCHREIBREGELN: [Konkrete Regeln für konsistente Textproduktion]
-● WORTWAHL: [Typische Begriffe, Wendungen und Formulierungsmuster]
-● VERMEIDEN: [Was nicht zu diesem Stil passt]
+Alle Felder sind Pflicht; "rules", "examples" und "avoid" sind Listen mit mindestens einem Eintrag. Die Beispiele dienen ausschließlich dem Stilverständnis, nicht als inhaltliche Vorlage.
 
-=== PRÄZISER STYLE GUIDE (für Textverfeinerung) ===
+WICHTIG: Beide Style Guides sollen konkret und anwendbar sein, damit andere Texte im gleichen Stil erstellt werden können. Der umfassende Guide ("comprehensive") dient der Grund-Textentwicklung, der präzise Guide ("concise") der gezielten Verfeinerung.`;
 
-● TON: [Kernaspekte des Tons - kompakt]
-● SATZSTRUKTUR: [Bevorzugte Länge und Rhythmus]
-● WORTWAHL: [Schlüsselbegriffe und typische Wendungen]
-● FORMALITÄT: [Grad der Förmlichkeit]
-● VERMEIDEN: [Wichtigste Stil-Fallen]
+      const weighted = samples.some(sample => sample.weight !== samples[0].weight);
+      const examples = samples.length === 1
+        ? `BEISPIELTEXT ZUM ANALYSIEREN:
+"${samples[0].text}"`
+        : `BEISPIELTEXTE ZUM ANALYSIEREN (${samples.length} Quellen${weighted ? ', Gewichtung in Klammern' : ''}):
 
-WICHTIG: Beide Style Guides sollen konkret und anwendbar sein, damit andere Texte im gleichen Stil erstellt werden können. Der umfassende Guide dient der Grund-Textentwicklung, der präzise Guide der gezielten Verfeinerung.`;
+${samples.map((sample, index) => `--- QUELLE ${index + 1}: ${sample.name}${weighted ? ` (Gewichtung ${sample.weight})` : ''}${sample.truncated ? ' [Auszug]' : ''} ---
+"${sample.text}"`).join('\n\n')}`;
 
-      const userPrompt = `BEISPIELTEXT ZUM ANALYSIEREN:
-"${exampleText}"
+      const task = samples.length === 1
+        ? 'AUFGABE: Erstelle BEIDE Style Guides (umfassend + präzise) basierend auf diesem Beispieltext.'
+        : `AUFGABE: Erstelle BEIDE Style Guides (umfassend + präzise), die den gemeinsamen Stil ALLER Quellen beschreiben. Stilmerkmale, die nur in einzelnen Quellen vorkommen, sind keine Regeln.${weighted ? ' Quellen mit höherer Gewichtung prägen den Stil stärker.' : ''}`;
+
+      const userPrompt = `${examples}
 
 ${additionalInstructions ? `ZUSÄTZLICHE ANWEISUNGEN:
 ${additionalInstructions}
 
-` : ''}AUFGABE: Erstelle BEIDE Style Guides (umfassend + präzise) basierend auf diesem Beispieltext.`;
+` : ''}${task}`;
 
-      const message = await this.client.messages.create({
-        model: this.model,
+      const messages = [
+        {
+          role: 'user',
+          content: userPrompt
+        }
+      ];
+
+      requestParams = {
         max_tokens: 6000,
         temperature: 0.3,
         system: systemPrompt,
-        messages: [
-          {
-            role: 'user',
-            content: userPrompt
-          }
-        ]
-      });
-
-      const fullResponse = message.content[0].text.trim();
+        messages: messages
+      };
 
-      // Parse the dual style guide response
-      const comprehensiveMatch = fullResponse.match(/=== UMFASSENDER STYLE GUIDE.*?===(.*?)(?==== PRÄZISER STYLE GUIDE|$)/s);
-      const conciseMatch = fullResponse.match(/=== PRÄZISER STYLE GUIDE.*?===(.*?)$/s);
+      const { message, model: usedModel, attempts, fallbackUsed } = await this.createMessage({ model: model, ...requestParams });
+
+      usages.push(this.recordUsage(usedModel, 'STYLE_GUIDE', message.usage));
+      let totalAttempts = attempts;
+      let { data, errors } = parseStyleGuideResponse(message.content[0].text);
+
+      // One repair round: show the model what failed validation
+      const repaired = !data;
+      if (!data) {
+        console.log('🔧 Style guide failed validation, requesting repair:', errors);
+
+        const repair = await this.createMessage({
+          model: usedModel,
+          max_tokens: 6000,
+          temperature: 0,
+          system: systemPrompt,
+          messages: [
+            ...messages,
+            { role: 'assistant', content: message.content[0].text },
+            {
+              role: 'user',
+              content: `Deine Antwort entspricht nicht dem geforderten JSON-Format:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Antworte NUR mit dem vollständigen, korrigierten JSON-Objekt.`
+            }
+          ]
+        }, { fallbackModels: [] });
+
+        usages.push(this.recordUsage(repair.model, 'STYLE_GUIDE', repair.message.usage));
+        totalAttempts += repair.attempts;
+        ({ data, errors } = parseStyleGuideResponse(repair.message.content[0].text));
+
+        if (!data) {
+          throw new Error(`Style guide did not match the expected format after a repair attempt: ${errors.join('; ')}`);
+        }
+      }
 
-      const comprehensiveGuide = comprehensiveMatch ? comprehensiveMatch[1].trim() : fullResponse;
-      const conciseGuide = conciseMatch ? conciseMatch[1].trim() : '';
+      const { comprehensiveGuide, conciseGuide, fullResponse } = renderStyleGuide(data);
+
+      this.audit({
+        type: 'style-guide',
+        action: 'STYLE_GUIDE',
+        model: usedModel,
+        requestedModel: model,
+        fallbackUsed,
+        attempts: totalAttempts,
+        latencyMs: Date.now() - startedAt,
+        usage: sumUsage(usages),
+        outcome: 'success',
+        repaired,
+        options,
+        text: combinedText,
+        instruction: additionalInstructions,
+        output: message.content[0].text,
+        request: requestParams
+      });
 
       return {
         success: true,
         styleGuide: comprehensiveGuide, // Keep for backward compatibility
         comprehensiveGuide: comprehensiveGuide,
         conciseGuide: conciseGuide,
-        fullResponse: fullResponse, // Store the complete response for display
-        exampleText: exampleText,
+        structuredGuide: data,
+        fullResponse: fullResponse, // Rendered from the structured guide for display
+        repaired: repaired,
+        exampleText: combinedText,
+        sources: describeSources(samples),
         additionalInstructions: additionalInstructions,
-        model: this.model,
+        model: usedModel,
+        requestedModel: model,
+        fallbackUsed: fallbackUsed,
+        attempts: totalAttempts,
+        usage: usages.length > 1 ? sumUsage(usages) : usages[0],
         timestamp: new Date().toISOString()
       };
 
     } catch (error) {
       console.error('Style Guide Generation Error:', error);
+      this.audit({
+        type: 'style-guide',
+        action: 'STYLE_GUIDE',
+        requestedModel: model,
+        attempts: error.attempts,
+        latencyMs: Date.now() - startedAt,
+        usage: usages.length > 0 ? sumUsage(usages) : null,
+        outcome: 'error',
+        error: error.message,
+        options,
+        text: combinedText,
+        instruction: additionalInstructions,
+        request: requestParams
+      });
       return {
         success: false,
         error: error.message,
-        exampleText: exampleText,
+        exampleText: typeof exampleText === 'string' ? exampleText : undefined,
         timestamp: new Date().toISOString()
       };
     }
   }
 
 
+  /**
+   * ANALYZE: Score how well a text complies with a style guide and list the
+   * violations with their spans in the text and suggested fixes.
+   * options.guide picks the 'comprehensive' (default) or 'concise' guide.
+   */
+  async analyze(text, styleGuide, options = {}) {
+    const startedAt = Date.now();
+    let model = null;
+    let requestParams;
+    let usage = null;
+
+    try {
+      model = this.resolveModel(options.model);
+      const promptSet = this.getPromptSet(options);
+
+      // Style checks always run at temperature 0, only the output limit can be set
+      const samplingError = this.validateSamplingParams({ max_tokens: options.max_tokens });
+      if (samplingError) {
+        throw new Error(samplingError);
+      }
+
+      // Pick the requested guide, falling back to whichever one the style guide has
+      const guide = options.guide === 'concise' ? 'concise' : 'comprehensive';
+      const guideText = typeof styleGuide === 'string'
+        ? styleGuide
+        : (guide === 'concise'
+          ? styleGuide?.conciseGuide || styleGuide?.comprehensiveGuide || styleGuide?.styleGuide
+          : styleGuide?.comprehensiveGuide || styleGuide?.styleGuide || styleGuide?.conciseGuide);
+
+      if (!guideText || !guideText.trim()) {
+        throw new Error('Style guide has no content to check against');
+      }
+
+      const promptVariables = { text, styleGuide: guideText };
+
+      if (this.debugPrompts) {
+        console.log('🔎 STYLE CHECK DEBUG:');
+        console.log('📝 Text length:', text.length);
+        console.log('📘 Guide:', typeof styleGuide === 'string' ? 'custom' : guide);
+        console.log('🌐 Prompt language:', promptSet.locale);
+      }
+
+      requestParams = {
+        max_tokens: options.max_tokens || this.defaultParams.max_tokens,
+        temperature: 0,
+        system: renderTemplate(promptSet.templates['style-check'], promptVariables),
+        messages: [
+          {
+            role: 'user',
+            content: renderTemplate(promptSet.templates['style-check-user'], promptVariables)
+          }
+        ]
+      };
+
+      const { message, model: usedModel, attempts, fallbackUsed } = await this.createMessage({ model: model, ...requestParams }, { signal: options.signal });
+
+      usage = this.recordUsage(usedModel, 'ANALYZE', message.usage);
+      const report = parseJSONResponse(message.content[0].text);
+      const violations = locateViolations(text, Array.isArray(report.violations) ? report.violations : []);
+      const score = Math.min(Math.max(Math.round(Number(report.score) || 0), 0), 100);
+
+      console.log('📊 Compliance score:', score, `(${violations.length} violations)`);
+
+      this.audit({
+        type: 'style-check',
+        action: 'ANALYZE',
+        model: usedModel,
+        requestedModel: model,
+        fallbackUsed,
+        attempts,
+        latencyMs: Date.now() - startedAt,
+        usage,
+        outcome: 'success',
+        options: { ...options, styleGuide },
+        text,
+        output: message.content[0].text,
+        request: requestParams
+      });
+
+      return {
+        success: true,
+        text: text,
+        score: score,
+        summary: String(report.summary || ''),
+        violations: violations,
+        guide: typeof styleGuide === 'string' ? 'custom' : guide,
+        language: promptSet.locale,
+        model: usedModel,
+        requestedModel: model,
+        fallbackUsed: fallbackUsed,
+        attempts: attempts,
+        usage: usage,
+        timestamp: new Date().toISOString()
+      };
+
+    } catch (error) {
+      console.error('Style Check Error:', error);
+      this.audit({
+        type: 'style-check',
+        action: 'ANALYZE',
+        requestedModel: model,
+        attempts: error.attempts,
+        latencyMs: Date.now() - startedAt,
+        usage,
+        outcome: options.signal?.aborted ? 'cancelled' : 'error',
+        error: error.message,
+        options: { ...options, styleGuide },
+        text,
+        request: requestParams
+      });
+      return {
+        success: false,
+        error: error.message,
+        cancelled: !!options.signal?.aborted,
+        text: text,
+        timestamp: new Date().toISOString()
+      };
+    }
+  }
+
   /**
    * Utility method to validate API key
    */
   async validateConnection() {
     try {
-      const testMessage = await this.client.messages.create({
+      const testMessage = await this.provider.createMessage({
         model: this.model,
         max_tokens: 10,
         messages: [{ role: 'user', content: 'Hello' }]
       });
+      this.recordUsage(this.model, 'HEALTH_CHECK', testMessage.usage);
 
       return {
         success: true,
         message: 'API connection successful',
+        provider: this.provider.name,
         model: this.model
       };
     } catch (error) {
@@ -478,11 +1553,18 @@ async function editText(text, instruction, options = {}) {
   return await apiInstance.edit(text, instruction, options);
 }
 
-async function generateStyleGuide(exampleText, additionalInstructions = '') {
+async function generateStyleGuide(exampleText, additionalInstructions = '', options = {}) {
+  if (!apiInstance) {
+    throw new Error('API not initialized. Call initializeAPI() first.');
+  }
+  return await apiInstance.generateStyleGuide(exampleText, additionalInstructions, options);
+}
+
+async function analyzeStyle(text, styleGuide, options = {}) {
   if (!apiInstance) {
     throw new Error('API not initialized. Call initializeAPI() first.');
   }
-  return await apiInstance.generateStyleGuide(exampleText, additionalInstructions);
+  return await apiInstance.analyze(text, styleGuide, options);
 }
 
 function setModel(modelId) {
@@ -509,11 +1591,13 @@ function getCurrentModel() {
 // Export both class and functions
 export {
   TextTransformAPI,
+  MAX_VARIANTS,
   initializeAPI,
   articulateText,
   refineText,
   editText,
   generateStyleGuide,
+  analyzeStyle,
   setModel,
   getAvailableModels,
   getCurrentModel
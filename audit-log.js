@@ -0,0 +1,174 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { randomUUID, createHash } from 'crypto';
+import { WriteQueue } from './json-store.js';
+
+/**
+ * Audit Log
+ *
+ * Appends one JSON line per model call (transformations, style guide
+ * generation, style checks) to DATA_DIR/audit.jsonl: request ID, action,
+ * options hash, model, latency, token usage and outcome. Text payloads
+ * (input, instruction, output and the prompts sent) are stored in full or,
+ * with payloads: 'redact', replaced by their length and hash, and options
+ * other than the known settings are left out. Stored prompts are what
+ * replay.js re-runs against another model.
+ */
+
+const PAYLOAD_MODES = ['store', 'redact'];
+
+// Options that carry copy or prompts rather than settings
+const PAYLOAD_OPTIONS = ['context', 'instruction', 'styleGuide', 'systemPromptTemplate', 'templateParams', 'expansionType', 'targetAudience'];
+
+// Settings known to carry no copy. Custom actions accept any option as a
+// template variable, so with redacted payloads only these are logged.
+const SAFE_SETTINGS = [
+  'action', 'systemPrompt', 'model', 'mode', 'format', 'language', 'locale', 'guide',
+  'temperature', 'temperatureSpread', 'max_tokens', 'variants', 'chunk', 'cache', 'fallback',
+  'styleGuideId', 'styleGuideVersion', 'concurrency'
+];
+
+function sha256(value) {
+  return createHash('sha256').update(value).digest('hex');
+}
+
+// JSON with sorted keys, so equal options always hash the same
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined && typeof value[key] !== 'function')
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Hash the options of a call. Functions, abort signals and model selection
+ * are left out, so calls with the same settings share a hash across models.
+ */
+function hashOptions(options = {}) {
+  const { signal, onText, model, fallback, fallbackModels, ...settings } = options;
+  return sha256(stableStringify(settings)).slice(0, 16);
+}
+
+// The settings of a call without payloads, for filtering and display; only
+// SAFE_SETTINGS when payloads are redacted
+function settingsOf(options = {}, { redacted = false } = {}) {
+  return Object.fromEntries(Object.entries(options).filter(([key, value]) =>
+    (redacted ? SAFE_SETTINGS.includes(key) : !PAYLOAD_OPTIONS.includes(key)) &&
+    ['string', 'number', 'boolean'].includes(typeof value)));
+}
+
+function redact(value) {
+  if (value === undefined || value === null) {
+    return value;
+  }
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return { redacted: true, length: text.length, sha256: sha256(text) };
+}
+
+class AuditLog {
+  /**
+   * @param {object} options
+   * @param {string} [options.filePath] - JSONL file (defaults to DATA_DIR/audit.jsonl)
+   * @param {string} [options.payloads] - 'store' (default) or 'redact'
+   */
+  constructor({ filePath = null, payloads = 'store' } = {}) {
+    if (!PAYLOAD_MODES.includes(payloads)) {
+      throw new Error(`Audit payload mode must be one of: ${PAYLOAD_MODES.join(', ')}`);
+    }
+    this.filePath = filePath || path.join(process.env.DATA_DIR || 'data', 'audit.jsonl');
+    this.payloads = payloads;
+    this.writeQueue = new WriteQueue();
+  }
+
+  /**
+   * Turn an audit event from TextTransformAPI into a log entry
+   */
+  toEntry(event, { requestId = null, keyId = null } = {}) {
+    const payload = this.payloads === 'store' ? value => value : redact;
+
+    return {
+      id: randomUUID(),
+      timestamp: new Date().toISOString(),
+      requestId,
+      keyId,
+      type: event.type,
+      action: event.action,
+      model: event.model || null,
+      requestedModel: event.requestedModel || null,
+      fallbackUsed: !!event.fallbackUsed,
+      attempts: event.attempts ?? null,
+      latencyMs: event.latencyMs,
+      usage: event.usage || null,
+      outcome: event.outcome,
+      ...(event.error && { error: event.error }),
+      ...(event.repaired && { repaired: true }),
+      ...(event.cached && { cached: true }),
+      ...(event.continuations && { continuations: event.continuations }),
+      optionsHash: hashOptions(event.options),
+      options: settingsOf(event.options, { redacted: this.payloads === 'redact' }),
+      payloads: this.payloads,
+      text: payload(event.text),
+      instruction: payload(event.instruction),
+      output: payload(event.output),
+      request: payload(event.request)
+    };
+  }
+
+  /**
+   * Append an entry, serialized so concurrent calls don't interleave lines
+   */
+  async append(event, context = {}) {
+    const entry = this.toEntry(event, context);
+
+    await this.writeQueue.run(async () => {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.appendFile(this.filePath, JSON.stringify(entry) + '\n');
+    });
+    return entry;
+  }
+
+  /**
+   * Read entries, oldest first. Filters: { since (ISO timestamp), type, action,
+   * requestId, ids, outcome, limit (most recent N) }. Malformed lines are skipped.
+   */
+  async read({ since = null, type = null, action = null, requestId = null, ids = null, outcome = null, limit = null } = {}) {
+    let raw;
+    try {
+      raw = await fs.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const entries = [];
+    for (const line of raw.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch {
+        // A line cut off by a crash mid-write
+      }
+    }
+
+    const filtered = entries.filter(entry =>
+      (!since || entry.timestamp >= since) &&
+      (!type || entry.type === type) &&
+      (!action || entry.action === action) &&
+      (!requestId || entry.requestId === requestId) &&
+      (!ids || ids.includes(entry.id)) &&
+      (!outcome || entry.outcome === outcome));
+
+    return limit ? filtered.slice(-limit) : filtered;
+  }
+}
+
+export { AuditLog, PAYLOAD_MODES, SAFE_SETTINGS, hashOptions };
+
+export default AuditLog;
@@ -0,0 +1,303 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { timingSafeEqual, createHash } from 'crypto';
+
+/**
+ * Authentication and rate limiting
+ *
+ * Bearer-token auth for the API routes, backed by an ApiKeyStore plus an
+ * optional admin key from the environment, and per-key request rates and
+ * daily token quotas. The authenticated key and the request ID are kept in
+ * an async context so usage and audit entries recorded deep inside a request
+ * can be attributed to them.
+ */
+
+const requestContext = new AsyncLocalStorage();
+
+// The ADMIN_API_KEY from the environment: full access, no limits
+const ENV_ADMIN_KEY = {
+  id: 'env-admin',
+  name: 'ADMIN_API_KEY',
+  role: 'admin',
+  limits: { requestsPerMinute: 0, tokensPerDay: 0 }
+};
+
+// Used for every request when auth is disabled
+const ANONYMOUS_KEY = {
+  id: null,
+  name: 'anonymous',
+  role: 'admin',
+  limits: { requestsPerMinute: 0, tokensPerDay: 0 }
+};
+
+/**
+ * The API key of the request being handled, or null outside a request
+ */
+function currentKey() {
+  return requestContext.getStore()?.key || null;
+}
+
+/**
+ * The ID of the request being handled (see X-Request-Id), or null
+ */
+function currentRequestId() {
+  return requestContext.getStore()?.requestId || null;
+}
+
+// Compare secrets in constant time
+function safeEqual(a, b) {
+  const digest = value => createHash('sha256').update(value).digest();
+  return timingSafeEqual(digest(a), digest(b));
+}
+
+function bearerToken(req) {
+  const match = (req.get('Authorization') || '').match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+}
+
+// Seconds until the next UTC day, when daily token quotas reset
+function secondsUntilTomorrow(now = new Date()) {
+  const tomorrow = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+  return Math.ceil((tomorrow - now.getTime()) / 1000);
+}
+
+/**
+ * Fixed-window request counter per key. Expired windows are dropped once
+ * per window length, so keys that stop sending requests don't pile up.
+ */
+class RateLimiter {
+  constructor({ windowMs = 60 * 1000, now = Date.now } = {}) {
+    this.windowMs = windowMs;
+    this.now = now;
+    this.windows = new Map();
+    this.sweepAt = now() + windowMs;
+  }
+
+  /**
+   * Drop the windows that have expired
+   */
+  sweep(now = this.now()) {
+    for (const [id, window] of this.windows) {
+      if (now >= window.resetAt) {
+        this.windows.delete(id);
+      }
+    }
+    this.sweepAt = now + this.windowMs;
+  }
+
+  // The key's current window, started now if it has none or it expired
+  windowOf(id) {
+    const now = this.now();
+    if (now >= this.sweepAt) {
+      this.sweep(now);
+    }
+
+    let window = this.windows.get(id);
+    if (!window || now >= window.resetAt) {
+      window = { count: 0, resetAt: now + this.windowMs };
+      this.windows.set(id, window);
+    }
+    return window;
+  }
+
+  /**
+   * Whether `count` more requests fit in the key's window, without counting
+   * them. Returns { allowed, limit, remaining, resetAt }.
+   */
+  check(id, limit, count = 1) {
+    const window = this.windowOf(id);
+    return {
+      allowed: window.count + count <= limit,
+      limit,
+      remaining: Math.max(limit - window.count, 0),
+      resetAt: window.resetAt
+    };
+  }
+
+  /**
+   * Count `count` requests against the key's window, all or none.
+   * Returns { allowed, limit, remaining, resetAt }.
+   */
+  hit(id, limit, count = 1) {
+    const rate = this.check(id, limit, count);
+    if (!rate.allowed) {
+      return rate;
+    }
+
+    const window = this.windowOf(id);
+    window.count += count;
+    return { ...rate, remaining: limit - window.count };
+  }
+}
+
+/**
+ * Create the auth middleware.
+ * @param {object} options
+ * @param {ApiKeyStore} options.keys - Stored API keys
+ * @param {UsageTracker} options.usage - Token usage per key, for daily quotas
+ * @param {string|null} [options.adminKey] - Extra admin key from the environment
+ * @param {boolean} [options.disabled] - Let every request through as an anonymous admin
+ * @param {object} [options.defaults] - { requestsPerMinute, tokensPerDay } for keys without their own limits (0 = unlimited)
+ * @param {function} [options.costOf] - Model calls a request is known to make, checked against the rate limit up front (default 1)
+ */
+function createAuth({ keys, usage, adminKey = null, disabled = false, defaults = {}, limiter = new RateLimiter(), costOf = () => 1 }) {
+  const limitsFor = (key) => ({
+    requestsPerMinute: key.limits?.requestsPerMinute ?? defaults.requestsPerMinute ?? 0,
+    tokensPerDay: key.limits?.tokensPerDay ?? defaults.tokensPerDay ?? 0
+  });
+
+  const unauthorized = (res, error) => res
+    .status(401)
+    .set('WWW-Authenticate', 'Bearer')
+    .json({ success: false, error });
+
+  const tooManyRequests = (res, retryAfter, error) => res
+    .status(429)
+    .set('Retry-After', String(retryAfter))
+    .json({ success: false, error, retryAfter });
+
+  /**
+   * Resolve the caller's key and handle the rest of the request in its context
+   */
+  async function authenticate(req, res, next) {
+    try {
+      let key = ANONYMOUS_KEY;
+
+      if (!disabled) {
+        const token = bearerToken(req);
+        if (!token) {
+          return unauthorized(res, 'Missing API key. Send it as "Authorization: Bearer <key>".');
+        }
+
+        key = adminKey && safeEqual(token, adminKey) ? ENV_ADMIN_KEY : await keys.authenticate(token);
+        if (!key) {
+          return unauthorized(res, 'Invalid API key');
+        }
+      }
+
+      req.apiKey = key;
+      requestContext.run({ key, requestId: req.id || null }, next);
+    } catch (error) {
+      console.error('Authentication Error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  function requireAdmin(req, res, next) {
+    if (req.apiKey?.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'This endpoint requires an admin API key'
+      });
+    }
+    next();
+  }
+
+  // Tokens the key used today against its daily quota, or null without a quota
+  async function quotaOf(key) {
+    const { tokensPerDay } = limitsFor(key);
+    if (!tokensPerDay) {
+      return null;
+    }
+    const used = await usage.tokensUsed({ keyId: key.id, day: new Date().toISOString().slice(0, 10) });
+    return { limit: tokensPerDay, used, exceeded: used >= tokensPerDay };
+  }
+
+  /**
+   * Throw a 429 error when the current request's key has used up its daily
+   * token quota. Called before every model call, so batches and variants stop
+   * once the quota runs out instead of being checked once per HTTP request.
+   */
+  async function assertQuota(key = currentKey()) {
+    const quota = key ? await quotaOf(key) : null;
+    if (quota?.exceeded) {
+      const error = new Error(`Daily token quota exceeded: ${quota.used} of ${quota.limit} tokens used`);
+      error.status = 429;
+      throw error;
+    }
+  }
+
+  // Seconds until the rate limit window of a limiter result resets
+  const retryAfterOf = (rate) => Math.max(Math.ceil((rate.resetAt - limiter.now()) / 1000), 1);
+
+  /**
+   * Count one model call against the current request's rate limit, throwing
+   * a 429 error when the key's window is full. Called before every model
+   * call, so JSON template fields, chunks and continuations count as well.
+   */
+  function assertRate(key = currentKey()) {
+    const limit = key ? limitsFor(key).requestsPerMinute : 0;
+    if (!limit) {
+      return;
+    }
+    const rate = limiter.hit(key.id, limit);
+    if (!rate.allowed) {
+      const error = new Error(`Rate limit exceeded: ${limit} requests per minute`);
+      error.status = 429;
+      error.retryAfter = retryAfterOf(rate);
+      throw error;
+    }
+  }
+
+  /**
+   * Check the key's request rate and daily token quota on routes that call
+   * the model, before any work starts. The rate check needs room for the
+   * model calls the request is known to make (see costOf); the calls
+   * themselves are counted by assertRate. Tokens are counted after each
+   * call, so the last calls of the day may go over the quota.
+   */
+  async function limitUsage(req, res, next) {
+    try {
+      const key = req.apiKey;
+      const limits = limitsFor(key);
+
+      const quota = await quotaOf(key);
+      if (quota) {
+        res.set({
+          'X-TokenQuota-Limit': String(quota.limit),
+          'X-TokenQuota-Remaining': String(Math.max(quota.limit - quota.used, 0))
+        });
+        if (quota.exceeded) {
+          return tooManyRequests(res, secondsUntilTomorrow(),
+            `Daily token quota exceeded: ${quota.used} of ${quota.limit} tokens used`);
+        }
+      }
+
+      if (limits.requestsPerMinute) {
+        const calls = costOf(req);
+        // Retrying can't help a request that is larger than the whole window
+        if (calls > limits.requestsPerMinute) {
+          return res.status(400).json({
+            success: false,
+            error: `This request makes ${calls} model calls, more than the ${limits.requestsPerMinute} per minute allowed for this key. Split it into smaller requests.`
+          });
+        }
+
+        const rate = limiter.check(key.id, limits.requestsPerMinute, calls);
+        res.set({
+          'X-RateLimit-Limit': String(rate.limit),
+          'X-RateLimit-Remaining': String(rate.remaining),
+          'X-RateLimit-Reset': String(Math.ceil(rate.resetAt / 1000))
+        });
+        if (!rate.allowed) {
+          return tooManyRequests(res, retryAfterOf(rate),
+            `Rate limit exceeded: ${rate.limit} requests per minute`);
+        }
+      }
+
+      next();
+    } catch (error) {
+      console.error('Rate Limit Error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  return { authenticate, requireAdmin, limitUsage, assertQuota, assertRate, limitsFor };
+}
+
+export { createAuth, currentKey, currentRequestId, requestContext, RateLimiter, ENV_ADMIN_KEY };
@@ -0,0 +1,96 @@
+import { randomUUID } from 'crypto';
+
+/**
+ * Batch Job Store
+ *
+ * Keeps track of asynchronous batch transformations in memory so clients
+ * can poll for progress or cancel them. Finished jobs are pruned after a
+ * retention period.
+ */
+
+class BatchJobStore {
+  constructor({ retentionMs = 60 * 60 * 1000 } = {}) {
+    this.jobs = new Map();
+    this.retentionMs = retentionMs;
+  }
+
+  /**
+   * Create a running job for the given number of items, owned by the API key keyId
+   */
+  create(total, { keyId = null } = {}) {
+    this.prune();
+
+    const job = {
+      id: randomUUID(),
+      status: 'running',
+      keyId,
+      total,
+      completed: 0,
+      failed: 0,
+      results: new Array(total).fill(null),
+      createdAt: new Date().toISOString(),
+      finishedAt: null,
+      controller: new AbortController() // Aborted by cancel()
+    };
+
+    this.jobs.set(job.id, job);
+    return job;
+  }
+
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  /**
+   * Store the result of a single item as soon as it finishes
+   */
+  recordResult(job, entry) {
+    job.results[entry.index] = entry;
+    job.completed++;
+    if (!entry.success) {
+      job.failed++;
+    }
+  }
+
+  finish(job) {
+    if (job.status === 'running') {
+      job.status = 'completed';
+    }
+    job.finishedAt = new Date().toISOString();
+  }
+
+  /**
+   * Cancel a running job: items in flight are aborted and the rest are
+   * skipped. Returns false if the job already finished.
+   */
+  cancel(job) {
+    if (job.status !== 'running') {
+      return false;
+    }
+    job.status = 'cancelled';
+    job.controller.abort();
+    return true;
+  }
+
+  fail(job, error) {
+    job.status = 'failed';
+    job.error = error.message;
+    job.finishedAt = new Date().toISOString();
+  }
+
+  /**
+   * Remove finished jobs older than the retention period
+   */
+  prune() {
+    const cutoff = Date.now() - this.retentionMs;
+    for (const [id, job] of this.jobs) {
+      if (job.finishedAt && new Date(job.finishedAt).getTime() < cutoff) {
+        this.jobs.delete(id);
+      }
+    }
+  }
+}
+
+export { BatchJobStore };
+
+export default BatchJobStore;
@@ -0,0 +1,309 @@
+#!/usr/bin/env node
+import 'dotenv/config';
+import { promises as fs, realpathSync } from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { pathToFileURL } from 'url';
+import { TextTransformAPI } from './api.js';
+import { diffWords, summarizeDiff } from './text-diff.js';
+
+/**
+ * Copy Refinery CLI
+ *
+ * Runs transformations from the command line, e.g. in build pipelines or
+ * editors. Text comes from a file or stdin and the result goes to stdout,
+ * --out or back into the file (--write); progress logs go to stderr.
+ *
+ *   copy-refinery refine landing.txt --style-guide guide.json
+ *   cat notes.txt | copy-refinery articulate > draft.txt
+ *   copy-refinery edit -i "Duze die Leser" page.md --write --dry-run
+ *   copy-refinery style-guide blog-1.md blog-2.html --out guide.json
+ *   copy-refinery json hero.json --fields headline,cta_text --write
+ *
+ * Any action from the action registry works as a command, including custom ones.
+ */
+
+const USAGE = `Usage: copy-refinery <command> [file] [options]
+
+Commands:
+  <action> [file]              Run an action (articulate, refine, edit, shorten, elongate,
+                               simplify or a custom action) on a file or stdin
+  json <template.json>         Transform the copy fields of a JSON template (--action, default refine)
+  style-guide <samples...>     Generate a style guide from sample files (.txt, .md, .html, .json)
+  actions                      List the available actions
+
+Options:
+  -i, --instruction TEXT       Instruction for edit and custom actions, extra instructions for style-guide
+  --model MODEL                Model to use instead of the default
+  --language LOCALE            Prompt language (e.g. de, en, fr)
+  --style-guide FILE           Style guide to apply: JSON from the style-guide command or plain text
+  --action NAME                json: action to run on each field
+  --fields A,B                 json: copy fields to transform, by key (default: common copy keys)
+  --paths PATH                 json: copy fields to transform, by JSONPath (repeatable)
+  --concurrency N              json: fields transformed in parallel (default 4)
+  -o, --out FILE               Write the result to FILE instead of stdout
+  -w, --write                  Write the result back to the input file
+  --dry-run                    Show a word diff instead of writing the result
+  -q, --quiet                  No progress logs on stderr
+  -h, --help                   Show this help`;
+
+// ANSI colors for diffs on a terminal: removed words red and struck through, added words green
+const COLORS = { del: '\x1b[31;9m', ins: '\x1b[32m', reset: '\x1b[0m' };
+
+/**
+ * Render a word diff, as colored text or as [-removed-]{+added+} markers
+ */
+function formatDiff(original, transformed, { color = false } = {}) {
+  return diffWords(original, transformed).map(part => {
+    if (part.type === 'equal') {
+      return part.text;
+    }
+    const del = part.del && (color ? `${COLORS.del}${part.del}${COLORS.reset}` : `[-${part.del}-]`);
+    const ins = part.ins && (color ? `${COLORS.ins}${part.ins}${COLORS.reset}` : `{+${part.ins}+}`);
+    return `${del || ''}${ins || ''}`;
+  }).join('');
+}
+
+function formatSummary({ changes, added, removed }) {
+  return changes === 0 ? 'no changes' : `${changes} changes (+${added}/-${removed} words)`;
+}
+
+async function readStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * Read the input file, or stdin for "-" or no file
+ */
+async function readInput(file) {
+  if (file && file !== '-') {
+    return await fs.readFile(file, 'utf8');
+  }
+  if (process.stdin.isTTY) {
+    throw new Error('No input: pass a file or pipe text to stdin');
+  }
+  return await readStdin();
+}
+
+/**
+ * Load a style guide file: JSON as written by the style-guide command (or a
+ * guide from the style guide API), anything else as a plain-text guide
+ */
+async function loadStyleGuide(file) {
+  const raw = await fs.readFile(file, 'utf8');
+  if (path.extname(file).toLowerCase() !== '.json') {
+    return raw.trim();
+  }
+
+  const data = JSON.parse(raw);
+  const guide = data.styleGuide && typeof data.styleGuide === 'object' ? data.styleGuide : data;
+  if (!guide.comprehensiveGuide && typeof guide.styleGuide !== 'string') {
+    throw new Error(`${file}: not a style guide (expected comprehensiveGuide or styleGuide)`);
+  }
+  return guide;
+}
+
+/**
+ * Write the result to --out, back to the input file (--write) or stdout.
+ * With --dry-run only the diff against the input is printed.
+ */
+async function writeOutput(output, { input, file, values, diff = null }) {
+  const target = values.out || (values.write ? file : null);
+
+  // Keep the input's trailing newline, which the transformation trims
+  const text = /\n$/.test(input) && !output.endsWith('\n') ? `${output}\n` : output;
+
+  if (values['dry-run']) {
+    const color = process.stdout.isTTY && !process.env.NO_COLOR;
+    const rendered = diff || formatDiff(input, text, { color });
+    process.stdout.write(rendered.endsWith('\n') ? rendered : `${rendered}\n`);
+    console.log(`🔍 Dry run: ${target ? `${target} not written` : 'nothing written'}`);
+    return;
+  }
+
+  if (target) {
+    await fs.writeFile(target, text);
+    console.log(`💾 Written to ${target}`);
+  } else {
+    process.stdout.write(text.endsWith('\n') ? text : `${text}\n`);
+  }
+}
+
+async function runTextCommand(api, action, values, positionals) {
+  const [file] = positionals;
+  if (values.write && (!file || file === '-')) {
+    throw new Error('--write needs an input file');
+  }
+
+  const input = await readInput(file);
+  if (!input.trim()) {
+    throw new Error('Input is empty');
+  }
+
+  const result = await api.runAction(action, input, {
+    ...(values.instruction && { instruction: values.instruction }),
+    ...(values.model && { model: values.model }),
+    ...(values.language && { language: values.language }),
+    ...(values['style-guide'] && { styleGuide: await loadStyleGuide(values['style-guide']) })
+  });
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+
+  console.log(`✅ ${action.toUpperCase()} with ${result.model}: ${formatSummary(summarizeDiff(diffWords(input.trim(), result.transformedText)))}`);
+  await writeOutput(result.transformedText, { input, file, values });
+}
+
+async function runJSONCommand(api, values, positionals) {
+  const [file] = positionals;
+  if (values.write && (!file || file === '-')) {
+    throw new Error('--write needs an input file');
+  }
+
+  const action = values.action || (values.instruction ? 'EDIT' : 'REFINE');
+  if (!(await api.actions.get(action))) {
+    throw new Error(`Unknown action: ${action}`);
+  }
+
+  const input = await readInput(file);
+  const result = await api.transformJSON(input, action.toUpperCase(), {
+    fields: values.fields ? values.fields.split(',').map(field => field.trim()).filter(Boolean) : undefined,
+    paths: values.paths,
+    concurrency: Math.max(parseInt(values.concurrency, 10) || 4, 1),
+    ...(values.instruction && { instruction: values.instruction }),
+    ...(values.model && { model: values.model }),
+    ...(values.language && { language: values.language }),
+    ...(values['style-guide'] && { styleGuide: await loadStyleGuide(values['style-guide']) })
+  });
+
+  if (!result.fields) {
+    throw new Error(result.error);
+  }
+  for (const field of result.fields) {
+    if (field.success) {
+      console.log(`${field.changed ? '🔀' : '🟰'} ${field.path}`);
+    } else {
+      console.error(`❌ ${field.path}: ${field.error}`);
+    }
+  }
+  if (!result.success) {
+    throw new Error(`${result.fieldsFailed} of ${result.fields.length} fields failed; nothing written`);
+  }
+
+  const color = process.stdout.isTTY && !process.env.NO_COLOR;
+  const diff = result.fields
+    .filter(field => field.changed)
+    .map(field => `${field.path}:\n  ${formatDiff(field.before, field.after, { color })}`)
+    .join('\n') || 'no changes';
+  await writeOutput(result.template, { input, file, values, diff });
+}
+
+async function runStyleGuideCommand(api, values, positionals) {
+  if (values.write || values['dry-run']) {
+    throw new Error('style-guide writes a new guide; use --out instead of --write or --dry-run');
+  }
+
+  const samples = positionals.length > 0
+    ? await Promise.all(positionals.map(async file => ({ name: path.basename(file), content: await fs.readFile(file, 'utf8') })))
+    : [{ name: 'stdin', type: 'text', content: await readInput(null) }];
+
+  const result = await api.generateStyleGuide(samples, values.instruction || '', {
+    ...(values.model && { model: values.model })
+  });
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+
+  // The same fields the style guide library stores, so the file can be used with --style-guide or uploaded
+  const guide = {
+    comprehensiveGuide: result.comprehensiveGuide,
+    conciseGuide: result.conciseGuide,
+    structuredGuide: result.structuredGuide,
+    sources: result.sources,
+    additionalInstructions: result.additionalInstructions,
+    model: result.model
+  };
+  const output = JSON.stringify(guide, null, 2);
+
+  console.log(`🎨 Style guide from ${samples.length} sample${samples.length === 1 ? '' : 's'} with ${result.model}`);
+  if (values.out) {
+    await fs.writeFile(values.out, `${output}\n`);
+    console.log(`💾 Written to ${values.out}`);
+  } else {
+    process.stdout.write(`${output}\n`);
+  }
+}
+
+async function listActions(api) {
+  for (const action of await api.actions.list()) {
+    process.stdout.write(`${action.name.toLowerCase().padEnd(16)} ${action.description || action.label || ''}\n`);
+  }
+}
+
+async function main(argv = process.argv.slice(2)) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      instruction: { type: 'string', short: 'i' },
+      model: { type: 'string' },
+      language: { type: 'string' },
+      'style-guide': { type: 'string' },
+      action: { type: 'string' },
+      fields: { type: 'string' },
+      paths: { type: 'string', multiple: true },
+      concurrency: { type: 'string', default: '4' },
+      out: { type: 'string', short: 'o' },
+      write: { type: 'boolean', short: 'w' },
+      'dry-run': { type: 'boolean' },
+      quiet: { type: 'boolean', short: 'q' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+
+  const [command, ...args] = positionals;
+  if (values.help || !command) {
+    console.log(USAGE);
+    process.exitCode = values.help ? 0 : 1;
+    return;
+  }
+
+  // stdout carries only the result: progress logs (ours and the API's) go to stderr
+  const log = console.log;
+  console.log = values.quiet ? () => {} : console.error;
+  try {
+    const api = new TextTransformAPI();
+    if (values.model && !api.getAvailableModels()[values.model]) {
+      throw new Error(`Invalid model ID: ${values.model}. Available models: ${Object.keys(api.getAvailableModels()).join(', ')}`);
+    }
+
+    if (command === 'json') {
+      await runJSONCommand(api, values, args);
+    } else if (command === 'style-guide') {
+      await runStyleGuideCommand(api, values, args);
+    } else if (command === 'actions') {
+      await listActions(api);
+    } else if (await api.actions.get(command)) {
+      await runTextCommand(api, command, values, args);
+    } else {
+      const actions = (await api.actions.list()).map(action => action.name.toLowerCase());
+      throw new Error(`Unknown command: ${command}. Commands: ${[...actions, 'json', 'style-guide', 'actions'].join(', ')}`);
+    }
+  } finally {
+    console.log = log;
+  }
+}
+
+// Resolve the symlink npm creates for the bin
+if (process.argv[1] && import.meta.url === pathToFileURL(realpathSync(process.argv[1])).href) {
+  main().catch(error => {
+    console.error('Copy Refinery Error:', error.message);
+    process.exitCode = 1;
+  });
+}
+
+export { formatDiff, readInput, loadStyleGuide, main };
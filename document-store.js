@@ -0,0 +1,286 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { WriteQueue, writeFileAtomic } from './json-store.js';
+import { sanitizeHTML } from './rich-text.js';
+
+/**
+ * Document Store
+ *
+ * Keeps editor documents in a local JSON file with their full revision
+ * history. Every revision stores the document text (and the editor markup,
+ * so marks and pending changes survive a reload); transformation revisions
+ * also record the action, instruction, model and the before/after copy.
+ * Documents are shared between API keys, so the markup is sanitized before
+ * it is stored.
+ */
+
+// Manual edits within this window update the previous edit revision instead
+// of adding a new one, so autosave doesn't flood the history
+const EDIT_COALESCE_MS = 5 * 60 * 1000;
+
+const DEFAULT_TITLE = 'Untitled document';
+
+/**
+ * Optional revision (or style guide version) number from a request: null
+ * when absent, NaN when not a positive integer
+ */
+function parseRevisionParam(value) {
+  if (value === undefined || value === '') {
+    return null;
+  }
+  const revision = typeof value === 'string' || typeof value === 'number' ? Number(value) : NaN;
+  return Number.isInteger(revision) && revision >= 1 ? revision : NaN;
+}
+
+function cleanHTML(html) {
+  return typeof html === 'string' ? sanitizeHTML(html) : html;
+}
+
+class DocumentStore {
+  constructor(filePath = null) {
+    this.filePath = filePath || path.join(process.env.DATA_DIR || 'data', 'documents.json');
+    this.documents = null;
+    this.loading = null;
+    this.writeQueue = new WriteQueue();
+  }
+
+  /**
+   * Load documents from disk on first access
+   */
+  async load() {
+    // Share one read between concurrent callers
+    this.loading = this.loading || (async () => {
+      try {
+        const raw = await fs.readFile(this.filePath, 'utf8');
+        this.documents = JSON.parse(raw).documents || {};
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          this.loading = null;
+          throw error;
+        }
+        this.documents = {};
+      }
+      return this.documents;
+    })();
+
+    return await this.loading;
+  }
+
+  /**
+   * Write all documents to disk
+   */
+  async save() {
+    const data = JSON.stringify({ documents: this.documents }, null, 2);
+
+    return await this.writeQueue.run(() => writeFileAtomic(this.filePath, data));
+  }
+
+  /**
+   * Flatten a stored document into its latest (or a specific) revision
+   */
+  toDocument(record, revision = null) {
+    const entry = revision
+      ? record.revisions.find(r => r.revision === revision)
+      : record.revisions[record.revisions.length - 1];
+
+    if (!entry) {
+      return null;
+    }
+
+    return {
+      id: record.id,
+      title: record.title,
+      mode: record.mode,
+      ownerKeyId: record.ownerKeyId ?? null,
+      revision: entry.revision,
+      latestRevision: record.revisions.length,
+      createdAt: record.createdAt,
+      updatedAt: record.updatedAt,
+      content: entry.content,
+      html: entry.html
+    };
+  }
+
+  /**
+   * Revision metadata without the document content
+   */
+  toRevisionSummary(entry) {
+    const { content, html, ...summary } = entry;
+    return summary;
+  }
+
+  /**
+   * List all documents without their content, most recently changed first
+   */
+  async list() {
+    const documents = await this.load();
+    return Object.values(documents)
+      .map(record => ({
+        id: record.id,
+        title: record.title,
+        mode: record.mode,
+        revisions: record.revisions.length,
+        createdAt: record.createdAt,
+        updatedAt: record.updatedAt
+      }))
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  /**
+   * Get a document by ID, optionally at a specific revision
+   */
+  async get(id, revision = null) {
+    const documents = await this.load();
+    const record = documents[id];
+    return record ? this.toDocument(record, revision) : null;
+  }
+
+  /**
+   * Get the revision history of a document, oldest first
+   */
+  async getRevisions(id) {
+    const documents = await this.load();
+    const record = documents[id];
+    return record ? record.revisions.map(entry => this.toRevisionSummary(entry)) : null;
+  }
+
+  /**
+   * Create a new document with its first revision. ownerKeyId is the API key
+   * that may change it besides admins.
+   */
+  async create({ title = '', mode = 'text', content = '', html = null, ownerKeyId = null }) {
+    const documents = await this.load();
+    const now = new Date().toISOString();
+    const record = {
+      id: randomUUID(),
+      title: title.trim() || DEFAULT_TITLE,
+      mode,
+      ownerKeyId,
+      createdAt: now,
+      updatedAt: now,
+      revisions: [{ revision: 1, type: 'create', timestamp: now, content, html: cleanHTML(html) }]
+    };
+
+    documents[record.id] = record;
+    await this.save();
+    return this.toDocument(record);
+  }
+
+  /**
+   * Update a document. Title and mode apply to the document as a whole;
+   * changed content is stored as an edit revision.
+   */
+  async update(id, { title, mode, content, html }) {
+    const documents = await this.load();
+    const record = documents[id];
+    if (!record) {
+      return null;
+    }
+
+    const now = new Date().toISOString();
+    if (title !== undefined) {
+      record.title = title.trim() || DEFAULT_TITLE;
+    }
+    if (mode !== undefined) {
+      record.mode = mode;
+    }
+
+    html = cleanHTML(html);
+    const latest = record.revisions[record.revisions.length - 1];
+    const changed = (content !== undefined && content !== latest.content) ||
+      (html !== undefined && html !== latest.html);
+
+    if (changed) {
+      const next = {
+        content: content !== undefined ? content : latest.content,
+        html: html !== undefined ? html : latest.html
+      };
+
+      if (latest.type === 'edit' && Date.now() - Date.parse(latest.timestamp) < EDIT_COALESCE_MS) {
+        Object.assign(latest, next, { timestamp: now });
+      } else {
+        record.revisions.push({ revision: record.revisions.length + 1, type: 'edit', timestamp: now, ...next });
+      }
+    }
+
+    record.updatedAt = now;
+    await this.save();
+    return this.toDocument(record);
+  }
+
+  /**
+   * Record a transformation as a new revision
+   */
+  async addRevision(id, { content, html = null, action, instruction = '', model = null, before = '', after = '' }) {
+    const documents = await this.load();
+    const record = documents[id];
+    if (!record) {
+      return null;
+    }
+
+    const now = new Date().toISOString();
+    const entry = {
+      revision: record.revisions.length + 1,
+      type: 'transform',
+      timestamp: now,
+      action,
+      instruction,
+      model,
+      before,
+      after,
+      content,
+      html: cleanHTML(html)
+    };
+
+    record.revisions.push(entry);
+    record.updatedAt = now;
+    await this.save();
+    return this.toRevisionSummary(entry);
+  }
+
+  /**
+   * Restore an earlier revision. The history is kept: the restored content
+   * becomes a new revision.
+   */
+  async restore(id, revision) {
+    const documents = await this.load();
+    const record = documents[id];
+    const source = record && record.revisions.find(r => r.revision === revision);
+    if (!source) {
+      return null;
+    }
+
+    const now = new Date().toISOString();
+    record.revisions.push({
+      revision: record.revisions.length + 1,
+      type: 'restore',
+      timestamp: now,
+      restoredFrom: revision,
+      content: source.content,
+      html: source.html
+    });
+
+    record.updatedAt = now;
+    await this.save();
+    return this.toDocument(record);
+  }
+
+  /**
+   * Delete a document and its history
+   */
+  async delete(id) {
+    const documents = await this.load();
+    if (!documents[id]) {
+      return false;
+    }
+
+    delete documents[id];
+    await this.save();
+    return true;
+  }
+}
+
+export { DocumentStore, parseRevisionParam };
+
+export default DocumentStore;
@@ -0,0 +1,119 @@
+import { preambleOf, isQuoted } from './output-guardrails.js';
+
+/**
+ * Eval Checks
+ *
+ * Property checks for prompt regression evals (see prompt-eval.js). Each
+ * check takes the model output, the call's context ({ input, template,
+ * fieldOutputs }) and the expected value, and returns { passed, detail }.
+ * A case's `expect` object names the checks to run:
+ *
+ *   minLength, maxLength            - output length in characters (copy fields only for templates)
+ *   minLengthRatio, maxLengthRatio  - output length relative to the input
+ *   forbidden, required             - phrases (case-insensitive) that must not / must appear
+ *   noPreamble                      - no "Hier ist der überarbeitete Text:" style lead-in
+ *   noQuotes                        - output not wrapped in quotation marks
+ *   validJSON                       - JSON templates come back as valid JSON with the same structure
+ */
+
+// Key paths of a JSON value, to compare a template's structure with the output's
+function structureOf(value, prefix = '$') {
+  if (Array.isArray(value)) {
+    return [`${prefix}[${value.length}]`, ...value.flatMap((item, index) => structureOf(item, `${prefix}[${index}]`))];
+  }
+  if (value && typeof value === 'object') {
+    return Object.keys(value).sort().flatMap(key => [`${prefix}.${key}`, ...structureOf(value[key], `${prefix}.${key}`)]);
+  }
+  return [];
+}
+
+// Texts a check looks at: the output, or every transformed field of a JSON template
+function textsOf(output, context) {
+  return context.template ? (context.fieldOutputs || []) : [output];
+}
+
+// Length of the copy alone, without JSON syntax for templates
+function copyLength(output, context) {
+  return textsOf(output, context).join('\n').length;
+}
+
+const CHECKS = {
+  minLength: (output, context, min) => {
+    const length = copyLength(output, context);
+    return { passed: length >= min, detail: `${length} chars (min ${min})` };
+  },
+
+  maxLength: (output, context, max) => {
+    const length = copyLength(output, context);
+    return { passed: length <= max, detail: `${length} chars (max ${max})` };
+  },
+
+  minLengthRatio: (output, context, min) => {
+    const ratio = copyLength(output, context) / Math.max(context.input.length, 1);
+    return { passed: ratio >= min, detail: `ratio ${ratio.toFixed(2)} (min ${min})` };
+  },
+
+  maxLengthRatio: (output, context, max) => {
+    const ratio = copyLength(output, context) / Math.max(context.input.length, 1);
+    return { passed: ratio <= max, detail: `ratio ${ratio.toFixed(2)} (max ${max})` };
+  },
+
+  forbidden: (output, context, phrases) => {
+    const found = phrases.filter(phrase => output.toLowerCase().includes(phrase.toLowerCase()));
+    return { passed: found.length === 0, detail: found.length ? `found: ${found.join(', ')}` : 'none found' };
+  },
+
+  required: (output, context, phrases) => {
+    const missing = phrases.filter(phrase => !output.toLowerCase().includes(phrase.toLowerCase()));
+    return { passed: missing.length === 0, detail: missing.length ? `missing: ${missing.join(', ')}` : 'all present' };
+  },
+
+  noPreamble: (output, context) => {
+    const preambles = textsOf(output, context).map(preambleOf).filter(Boolean);
+    return { passed: preambles.length === 0, detail: preambles.length ? `starts with "${preambles[0]}"` : 'no preamble' };
+  },
+
+  noQuotes: (output, context) => {
+    const quoted = textsOf(output, context).filter(isQuoted);
+    return { passed: quoted.length === 0, detail: quoted.length ? `wrapped in quotes: ${quoted[0].slice(0, 60)}` : 'not quoted' };
+  },
+
+  validJSON: (output, context) => {
+    let data;
+    try {
+      data = JSON.parse(output);
+    } catch (error) {
+      return { passed: false, detail: `invalid JSON: ${error.message}` };
+    }
+    if (!context.template) {
+      return { passed: true, detail: 'valid JSON' };
+    }
+
+    const expected = structureOf(context.template);
+    const actual = new Set(structureOf(data));
+    const missing = expected.filter(path => !actual.has(path));
+    return {
+      passed: missing.length === 0 && actual.size === expected.length,
+      detail: missing.length ? `structure changed at ${missing[0]}` : (actual.size === expected.length ? 'valid JSON, same structure' : 'structure changed: extra keys')
+    };
+  }
+};
+
+/**
+ * Run the checks named in `expect` on an output. `context` is { input,
+ * template, fieldOutputs }; checks set to false or null are skipped.
+ * Returns [{ name, passed, detail }].
+ */
+function runChecks(output, context, expect = {}) {
+  return Object.entries(expect)
+    .filter(([, value]) => value !== false && value !== null && value !== undefined)
+    .map(([name, value]) => {
+      const check = CHECKS[name];
+      if (!check) {
+        return { name, passed: false, detail: `Unknown check: ${name}` };
+      }
+      return { name, ...check(output, context, value) };
+    });
+}
+
+export { CHECKS, runChecks, structureOf };
@@ -0,0 +1,38 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+
+/**
+ * JSON Store helpers
+ *
+ * Disk writes shared by the file-backed stores (style guides, usage, actions,
+ * documents, API keys, audit log, response cache): a queue that runs one
+ * write at a time, and atomic writes through a temporary file and rename.
+ */
+
+/**
+ * Runs writes one after another so they don't interleave. A failed write
+ * rejects only its own caller: the next one still runs, and since the stores
+ * write their whole state, it puts the file back in line with memory.
+ */
+class WriteQueue {
+  constructor() {
+    this.tail = Promise.resolve();
+  }
+
+  async run(task) {
+    this.tail = this.tail.catch(() => {}).then(task);
+    return await this.tail;
+  }
+}
+
+/**
+ * Write data to a file atomically, creating its directory if needed
+ */
+async function writeFileAtomic(filePath, data, { mode } = {}) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.tmp`;
+  await fs.writeFile(tmpPath, data, mode ? { mode } : undefined);
+  await fs.rename(tmpPath, filePath);
+}
+
+export { WriteQueue, writeFileAtomic };
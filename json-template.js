@@ -0,0 +1,248 @@
+/**
+ * JSON Template utilities
+ *
+ * Finds marketing copy fields inside advertorial JSON templates, either by
+ * key name or by JSONPath, and writes transformed copy back without touching
+ * the surrounding structure.
+ */
+
+// Common copy fields in advertorial JSON templates
+const COPY_FIELDS = [
+  'headline', 'title', 'description', 'content', 'text', 'copy',
+  'subheadline', 'subtitle', 'body', 'summary', 'excerpt',
+  'call_to_action', 'cta_text', 'button_text', 'tagline',
+  'value_proposition', 'benefit', 'feature_description'
+];
+
+/**
+ * Parse a JSONPath expression into steps. Supports the subset used for
+ * templates: $, .key, ['key'], [0], [*], .* and ..key
+ */
+function parseJSONPath(expression) {
+  const steps = [];
+  let rest = expression.trim();
+
+  if (!rest.startsWith('$')) {
+    throw new Error(`Invalid JSONPath (must start with $): ${expression}`);
+  }
+  rest = rest.slice(1);
+
+  const patterns = [
+    [/^\.\.([A-Za-z_$][\w$-]*)/, m => ({ type: 'descendant', key: m[1] })],
+    [/^\.\*/, () => ({ type: 'wildcard' })],
+    [/^\.([A-Za-z_$][\w$-]*)/, m => ({ type: 'child', key: m[1] })],
+    [/^\[\*\]/, () => ({ type: 'wildcard' })],
+    [/^\[(\d+)\]/, m => ({ type: 'child', key: Number(m[1]) })],
+    [/^\[(['"])(.*?)\1\]/, m => ({ type: 'child', key: m[2] })]
+  ];
+
+  while (rest) {
+    const match = patterns.find(([regex]) => regex.test(rest));
+    if (!match) {
+      throw new Error(`Unsupported JSONPath syntax near "${rest}" in ${expression}`);
+    }
+    const m = rest.match(match[0]);
+    steps.push(match[1](m));
+    rest = rest.slice(m[0].length);
+  }
+
+  return steps;
+}
+
+function childEntries(node) {
+  if (Array.isArray(node)) {
+    return node.map((value, index) => [index, value]);
+  }
+  if (node && typeof node === 'object') {
+    return Object.entries(node);
+  }
+  return [];
+}
+
+/**
+ * Resolve a JSONPath expression against data, returning matching key paths
+ */
+function queryJSONPath(data, expression) {
+  let matches = [{ path: [], value: data }];
+
+  for (const step of parseJSONPath(expression)) {
+    const next = [];
+
+    for (const { path, value } of matches) {
+      if (step.type === 'child') {
+        if (value !== null && typeof value === 'object' && step.key in value) {
+          next.push({ path: [...path, step.key], value: value[step.key] });
+        }
+      } else if (step.type === 'wildcard') {
+        for (const [key, child] of childEntries(value)) {
+          next.push({ path: [...path, key], value: child });
+        }
+      } else if (step.type === 'descendant') {
+        walk(value, path, (childPath, child, key) => {
+          if (key === step.key) {
+            next.push({ path: childPath, value: child });
+          }
+        });
+      }
+    }
+
+    matches = next;
+  }
+
+  return matches;
+}
+
+/**
+ * Depth-first walk over every value, calling visit(path, value, key)
+ */
+function walk(node, path, visit) {
+  for (const [key, child] of childEntries(node)) {
+    const childPath = [...path, key];
+    visit(childPath, child, key);
+    walk(child, childPath, visit);
+  }
+}
+
+/**
+ * Format a key path as a JSONPath string, e.g. $.sections[0].headline
+ */
+function formatPath(path) {
+  return '$' + path.map(key => {
+    if (typeof key === 'number') return `[${key}]`;
+    return /^[A-Za-z_$][\w$]*$/.test(key) ? `.${key}` : `['${key}']`;
+  }).join('');
+}
+
+// Skip values that are clearly not copy (URLs, colors, identifiers, ...)
+function looksLikeCopy(value) {
+  const text = value.trim();
+  return text.length > 0 &&
+    /\p{L}/u.test(text) &&
+    !/^https?:\/\//.test(text) &&
+    !/^#[0-9a-fA-F]{3,8}$/.test(text) &&
+    !/^[\w-]+\.(png|jpe?g|gif|svg|webp|html?|css|js)$/i.test(text);
+}
+
+/**
+ * Find copy fields in a template. Fields are matched by key name (defaults
+ * to COPY_FIELDS) and/or JSONPath expressions; only string values are returned.
+ */
+function findCopyFields(data, { fields = null, paths = [] } = {}) {
+  const found = new Map();
+  const addMatch = (path, value) => {
+    if (typeof value === 'string' && looksLikeCopy(value)) {
+      found.set(formatPath(path), { path: formatPath(path), keys: path, value });
+    }
+  };
+
+  // Key-based matching applies unless only JSONPaths were requested
+  if (fields || paths.length === 0) {
+    const keys = new Set((fields || COPY_FIELDS).map(key => key.toLowerCase()));
+    walk(data, [], (path, value, key) => {
+      if (typeof key === 'string' && keys.has(key.toLowerCase())) {
+        addMatch(path, value);
+      }
+    });
+  }
+
+  for (const expression of paths) {
+    for (const { path, value } of queryJSONPath(data, expression)) {
+      addMatch(path, value);
+    }
+  }
+
+  return Array.from(found.values());
+}
+
+/**
+ * Set a value at a key path, mutating the given data
+ */
+function setAtPath(data, path, value) {
+  const parent = path.slice(0, -1).reduce((node, key) => node[key], data);
+  parent[path[path.length - 1]] = value;
+}
+
+// JSON tokens between values: whitespace, literals and numbers
+const JSON_WHITESPACE = /[ \t\n\r]*/y;
+const JSON_SCALAR = /true|false|null|-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/y;
+const JSON_STRING = /"(?:[^"\\]|\\.)*"/y;
+
+/**
+ * Find the source range { start, end } of every string value in a JSON
+ * string, by key path. Like JSON.parse, a repeated key counts once, for its
+ * last occurrence. The input must be valid JSON.
+ */
+function locateStrings(jsonString) {
+  const ranges = new Map();
+  let index = 0;
+
+  const match = (regex) => {
+    regex.lastIndex = index;
+    const m = regex.exec(jsonString);
+    if (!m) {
+      throw new Error(`Invalid JSON at position ${index}`);
+    }
+    index = regex.lastIndex;
+    return m[0];
+  };
+  const skipWhitespace = () => match(JSON_WHITESPACE);
+
+  const value = (path) => {
+    skipWhitespace();
+    const char = jsonString[index];
+
+    if (char === '"') {
+      const start = index;
+      match(JSON_STRING);
+      ranges.set(JSON.stringify(path), { start, end: index });
+    } else if (char === '{' || char === '[') {
+      const isObject = char === '{';
+      index++;
+      skipWhitespace();
+      for (let i = 0; jsonString[index] !== (isObject ? '}' : ']'); i++) {
+        let key = i;
+        if (isObject) {
+          key = JSON.parse(match(JSON_STRING));
+          skipWhitespace();
+          index++; // :
+        }
+        value([...path, key]);
+        skipWhitespace();
+        if (jsonString[index] === ',') {
+          index++;
+          skipWhitespace();
+        }
+      }
+      index++;
+    } else {
+      match(JSON_SCALAR);
+    }
+  };
+
+  value([]);
+  return ranges;
+}
+
+/**
+ * Replace string values in a JSON string, given as [{ keys, value }], and
+ * leave everything else (formatting, key order, escapes) exactly as it was
+ */
+function replaceStrings(jsonString, replacements) {
+  const ranges = locateStrings(jsonString);
+
+  return replacements
+    .map(({ keys, value }) => ({ ...ranges.get(JSON.stringify(keys)), value }))
+    .sort((a, b) => b.start - a.start)
+    .reduce((output, { start, end, value }) => output.slice(0, start) + JSON.stringify(value) + output.slice(end), jsonString);
+}
+
+export {
+  COPY_FIELDS,
+  parseJSONPath,
+  queryJSONPath,
+  findCopyFields,
+  formatPath,
+  setAtPath,
+  locateStrings,
+  replaceStrings
+};
@@ -0,0 +1,320 @@
+import { renderTemplate } from './prompt-templates.js';
+import { parseMarkup, plainTextOf, linksOf } from './rich-text.js';
+
+/**
+ * Output Guardrails
+ *
+ * Post-processing for transformation results. cleanOutput() strips the
+ * lead-ins ("Hier ist der verfeinerte Text:") and surrounding quotes models
+ * add despite the output rules; checkConstraints() checks the result against
+ * per-call constraints:
+ *
+ *   maxChars, maxWords   - length limits, e.g. 25 characters for a CTA
+ *   mustKeep             - tokens that must appear unchanged (product names, prices)
+ *   keepPrices           - also keep every price found in the input
+ *   keepPlaceholders     - keep {{name}}, {name}, %s and similar placeholders (default true)
+ *   maxRetries           - re-prompts on a violation (defaults to GUARDRAIL_MAX_RETRIES or 2)
+ *
+ * For Markdown and HTML copy (see rich-text.js) lengths and tokens are
+ * checked on the text without markup, and the markup itself has to stay
+ * valid and keep the input's links.
+ */
+
+const CONSTRAINT_FIELDS = ['maxChars', 'maxWords', 'mustKeep', 'keepPrices', 'keepPlaceholders', 'maxRetries'];
+
+// Lead-ins models put in front of the copy, per prompt language
+const PREAMBLE_PATTERNS = [
+  /^(hier (ist|sind)|gerne|natürlich|selbstverständlich|klar[,!]|sicher[,!]|im folgenden|nachfolgend|folgender|überarbeitete[rs]? (text|version|fassung))\b/i,
+  /^(here('s| is| are)|sure[,!]|certainly|of course|below is|okay[,!]|the (revised|refined|rewritten|updated) (text|version|copy))\b/i,
+  /^(voici|bien sûr|certainement|d'accord)\b/i
+];
+
+// A lead-in is only stripped when it talks about the result, so copy like
+// "Hier sind drei Gründe: ..." stays intact
+const RESULT_WORDS = /\b(text|texte|version|fassung|variante|ergebnis|überarbeitung|copy|rewrite|résultat|proposition)\b|überarbeitet|verfeinert|gekürzt|umformuliert|vereinfacht|erweitert|ausformuliert|revised|refined|rewritten|shortened|simplified|expanded|improved|reformulé|amélioré/i;
+
+// A first line with nothing but a courtesy ("Gerne!"), stripped unless the
+// input starts with the same word and it is part of the copy
+const COURTESY_LINE = /^(gerne|natürlich|klar|sicher|selbstverständlich|sure|certainly|of course|okay|bien sûr|d'accord|avec plaisir)[.!]?$/i;
+
+const QUOTE_PAIRS = { '"': '"', '„': '“', '“': '”', '”': '”', '«': '»', '»': '«', "'": "'", '‚': '‘', '‘': '’' };
+const OPENING_QUOTES = '"\'„“”‚‘’«»';
+const CLOSING_QUOTES = '"\'“”‘’«»';
+
+// {{name}}, ${name}, %{name}, {name}, [[name]], %(name)s, %s and %d
+const PLACEHOLDER_PATTERN = /\{\{\s*[\w.-]+\s*\}\}|\$\{[\w.-]+\}|%\{[\w.-]+\}|\{[\w.-]+\}|\[\[[\w.-]+\]\]|%\(\w+\)[sd]|%[sd]/g;
+
+// Amounts with a currency sign or code before or after them
+const PRICE_PATTERN = /(?:[€$£]\s?\d[\d.,]*\d|[€$£]\s?\d|\d[\d.,]*\s?(?:€|\$|£|EUR|USD|GBP|CHF)(?![A-Za-z]))/g;
+
+/**
+ * The lead-in a text starts with, or null. Also flags any short first line
+ * ending in a colon, so evals catch lead-ins the strip patterns don't know.
+ */
+function preambleOf(text) {
+  const trimmed = text.trim();
+  const firstLine = trimmed.split('\n')[0].trim();
+
+  if (PREAMBLE_PATTERNS.some(pattern => pattern.test(trimmed))) {
+    return firstLine.slice(0, 60);
+  }
+  if (firstLine.length <= 80 && firstLine.endsWith(':') && trimmed.length > firstLine.length) {
+    return firstLine;
+  }
+  return null;
+}
+
+// Whether text starts with a word or phrase, case-insensitively ("Klar!" starts with "klar")
+function startsWithWord(text, word) {
+  const start = text.trim().toLowerCase();
+  return start.startsWith(word.toLowerCase()) && !/\p{L}/u.test(start.charAt(word.length));
+}
+
+function isQuoted(text) {
+  const trimmed = text.trim();
+  return trimmed.length >= 2 && OPENING_QUOTES.includes(trimmed[0]) && CLOSING_QUOTES.includes(trimmed[trimmed.length - 1]);
+}
+
+/**
+ * Strip a lead-in that announces the result, either as its own line or up
+ * to a colon. `labels` are the prompt set's text labels, which models
+ * sometimes echo ("TEXT ZUM VERFEINERN:"); `input` is the original text.
+ */
+function stripPreamble(text, labels = [], input = '') {
+  let result = text.trim();
+  let stripped = false;
+
+  // A courtesy line and a lead-in may both come before the copy
+  for (let round = 0; round < 2; round++) {
+    const [firstLine, ...rest] = result.split('\n');
+    const remainder = rest.join('\n').trim();
+
+    const courtesy = firstLine.trim().match(COURTESY_LINE);
+    if (courtesy && remainder && !startsWithWord(input, courtesy[1])) {
+      result = remainder;
+      stripped = true;
+      continue;
+    }
+
+    const match = result.match(/^([^\n:]{1,120}):[ \t]*\n*/);
+    const leadIn = match?.[1].trim();
+    const isLabel = leadIn && labels.some(label => label.toLowerCase() === leadIn.toLowerCase());
+    const announcesResult = leadIn && PREAMBLE_PATTERNS.some(pattern => pattern.test(leadIn)) && RESULT_WORDS.test(leadIn);
+    if ((isLabel || announcesResult) && result.slice(match[0].length).trim()) {
+      result = result.slice(match[0].length).trim();
+      stripped = true;
+      continue;
+    }
+    break;
+  }
+
+  return { text: result, stripped };
+}
+
+/**
+ * Strip one pair of quotes around the whole text, unless the same quote
+ * marks also appear inside it
+ */
+function stripQuotes(text) {
+  const trimmed = text.trim();
+  const closing = QUOTE_PAIRS[trimmed[0]];
+  if (trimmed.length < 2 || !closing || trimmed[trimmed.length - 1] !== closing) {
+    return { text: trimmed, stripped: false };
+  }
+
+  const inner = trimmed.slice(1, -1);
+  if (inner.includes(trimmed[0]) || inner.includes(closing) || !inner.trim()) {
+    return { text: trimmed, stripped: false };
+  }
+  return { text: inner.trim(), stripped: true };
+}
+
+/**
+ * Strip lead-ins and surrounding quotes from a model response, and for
+ * markup a code fence around it. Quotes are kept when the input was quoted
+ * itself. Returns { text, cleaned } where cleaned lists what was removed
+ * ('fence', 'preamble', 'quotes').
+ */
+function cleanOutput(text, { input = '', labels = [], format = 'text' } = {}) {
+  const cleaned = [];
+  let result = text.trim();
+
+  const fence = format !== 'text' && result.match(/^```[\w-]*\n([\s\S]*?)\n```$/);
+  if (fence) {
+    result = fence[1].trim();
+    cleaned.push('fence');
+  }
+
+  const preamble = stripPreamble(result, labels, input);
+  if (preamble.stripped) {
+    result = preamble.text;
+    cleaned.push('preamble');
+  }
+
+  if (!isQuoted(input)) {
+    const quotes = stripQuotes(result);
+    if (quotes.stripped) {
+      result = quotes.text;
+      cleaned.push('quotes');
+    }
+  }
+
+  return { text: result, cleaned };
+}
+
+function countWords(text) {
+  return (text.match(/\S+/g) || []).length;
+}
+
+// Compare tokens without whitespace, so "49,99 €" matches "49,99€"
+function containsToken(text, token) {
+  return text.replace(/\s+/g, '').includes(token.replace(/\s+/g, ''));
+}
+
+/**
+ * Validate a constraints object, returning an error message or null. `name`
+ * is how the object is referred to in messages.
+ */
+function validateConstraints(constraints, name = 'constraints') {
+  if (constraints === undefined || constraints === null) {
+    return null;
+  }
+  if (typeof constraints !== 'object' || Array.isArray(constraints)) {
+    return `${name} must be an object`;
+  }
+
+  const unknown = Object.keys(constraints).find(field => !CONSTRAINT_FIELDS.includes(field));
+  if (unknown) {
+    return `Unknown constraint in ${name}: ${unknown}. Supported constraints: ${CONSTRAINT_FIELDS.join(', ')}`;
+  }
+  for (const field of ['maxChars', 'maxWords']) {
+    const value = constraints[field];
+    if (value !== undefined && value !== null && !(Number.isInteger(value) && value > 0)) {
+      return `${name}.${field} must be a positive integer`;
+    }
+  }
+  if (constraints.maxRetries !== undefined && !(Number.isInteger(constraints.maxRetries) && constraints.maxRetries >= 0 && constraints.maxRetries <= 5)) {
+    return `${name}.maxRetries must be an integer between 0 and 5`;
+  }
+  if (constraints.mustKeep !== undefined &&
+    (!Array.isArray(constraints.mustKeep) || constraints.mustKeep.some(token => typeof token !== 'string' || !token.trim()))) {
+    return `${name}.mustKeep must be an array of non-empty strings`;
+  }
+  for (const field of ['keepPrices', 'keepPlaceholders']) {
+    if (constraints[field] !== undefined && typeof constraints[field] !== 'boolean') {
+      return `${name}.${field} must be a boolean`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Tokens the output has to keep: mustKeep, plus the placeholders and (with
+ * keepPrices) the prices of the input. Returns [{ type, token }].
+ */
+function protectedTokens(input, constraints = {}) {
+  const tokens = (constraints.mustKeep || []).map(token => ({ type: 'mustKeep', token: token.trim() }));
+  if (constraints.keepPrices) {
+    tokens.push(...(input.match(PRICE_PATTERN) || []).map(token => ({ type: 'mustKeep', token: token.trim() })));
+  }
+  if (constraints.keepPlaceholders !== false) {
+    tokens.push(...(input.match(PLACEHOLDER_PATTERN) || []).map(token => ({ type: 'placeholder', token })));
+  }
+
+  const seen = new Set();
+  return tokens.filter(({ token }) => !seen.has(token) && seen.add(token));
+}
+
+/**
+ * Check markup against the input's: errors the input didn't have yet
+ * (unclosed or unknown tags, unsafe links) and links that were dropped or added
+ */
+function checkMarkup(output, { input = '', format }) {
+  const before = parseMarkup(input, format);
+  const after = parseMarkup(output, format);
+  const violations = [];
+
+  const known = [...before.errors];
+  for (const token of after.errors) {
+    const index = known.indexOf(token);
+    if (index === -1) {
+      violations.push({ rule: 'markup', token });
+    } else {
+      known.splice(index, 1);
+    }
+  }
+
+  const inputLinks = linksOf(before.runs);
+  const outputLinks = linksOf(after.runs);
+  inputLinks.filter(href => !outputLinks.includes(href))
+    .forEach(href => violations.push({ rule: 'link', token: href, actual: 'missing' }));
+  outputLinks.filter(href => !inputLinks.includes(href))
+    .forEach(href => violations.push({ rule: 'newLink', token: href }));
+
+  return violations;
+}
+
+/**
+ * Check output against constraints and, for Markdown and HTML, its markup.
+ * Returns [{ rule, limit?, actual?, token? }].
+ */
+function checkConstraints(output, { input = '', constraints = {}, format = 'text' } = {}) {
+  const violations = [];
+  const text = plainTextOf(output, format);
+
+  if (constraints.maxChars && text.length > constraints.maxChars) {
+    violations.push({ rule: 'maxChars', limit: constraints.maxChars, actual: text.length });
+  }
+  const words = countWords(text);
+  if (constraints.maxWords && words > constraints.maxWords) {
+    violations.push({ rule: 'maxWords', limit: constraints.maxWords, actual: words });
+  }
+  for (const { type, token } of protectedTokens(plainTextOf(input, format), constraints)) {
+    if (!containsToken(text, token)) {
+      violations.push({ rule: type, token, actual: 'missing' });
+    }
+  }
+
+  if (format !== 'text') {
+    violations.push(...checkMarkup(output, { input, format }));
+  }
+  return violations;
+}
+
+/**
+ * Whether a call has constraints to tell the model about or check
+ */
+function hasConstraints(input, constraints = {}) {
+  return !!(constraints.maxChars || constraints.maxWords || protectedTokens(input, constraints).length > 0);
+}
+
+/**
+ * Describe constraints (or, with violations, what went wrong) as a bullet
+ * list in the prompt set's language. Rules the prompt set has no text for
+ * are left out.
+ */
+function describeConstraints(guardrails, { input = '', constraints = {}, violations = null } = {}) {
+  const items = violations || [
+    ...['maxChars', 'maxWords'].filter(rule => constraints[rule]).map(rule => ({ rule, limit: constraints[rule] })),
+    ...protectedTokens(input, constraints).map(({ type, token }) => ({ rule: type, token }))
+  ];
+  return items
+    .filter(item => guardrails[item.rule])
+    .map(item => `- ${renderTemplate(guardrails[item.rule], item)}`)
+    .join('\n');
+}
+
+export {
+  CONSTRAINT_FIELDS,
+  preambleOf,
+  isQuoted,
+  stripPreamble,
+  stripQuotes,
+  cleanOutput,
+  validateConstraints,
+  protectedTokens,
+  checkMarkup,
+  checkConstraints,
+  hasConstraints,
+  describeConstraints
+};
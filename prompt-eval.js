@@ -0,0 +1,325 @@
+#!/usr/bin/env node
+import 'dotenv/config';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
+import { parseArgs } from 'util';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { TextTransformAPI } from './api.js';
+import { createProvider, MockProvider, RecordedProvider } from './providers/index.js';
+import { runChecks } from './eval-checks.js';
+import { mapWithConcurrency } from './concurrency.js';
+
+/**
+ * Prompt Eval
+ *
+ * Runs the cases in evals/fixtures/ through TextTransformAPI and checks each
+ * output against the properties the case expects (see eval-checks.js). The
+ * report carries a hash of the prompt sets, so reports from before and after
+ * a prompt change can be compared with --compare.
+ *
+ *   npm run eval                                 offline, replays evals/recordings.json
+ *   npm run eval -- --provider record            live calls, saves new recordings
+ *   npm run eval -- --provider live              live calls, nothing saved
+ *   npm run eval -- --provider mock              echo provider, checks the harness and fixtures (part of npm test)
+ *   npm run eval -- --out after.json --compare before.json
+ *
+ * Recordings are keyed by the full request, so after a prompt edit the
+ * affected cases are skipped offline until they are recorded again; a
+ * replay in which every case is skipped fails. The mock provider echoes the
+ * input, so its runs only fail on errors, not on checks the echo can't pass.
+ */
+
+const EVALS_DIR = fileURLToPath(new URL('./evals', import.meta.url));
+const PROVIDER_MODES = ['recorded', 'record', 'live', 'mock'];
+
+// Every output should be just the copy, unless a case turns a check off
+const DEFAULT_EXPECT = { noPreamble: true, noQuotes: true };
+
+const USAGE = `Usage: npm run eval -- [--provider ${PROVIDER_MODES.join('|')}] [--model MODEL]
+  [--case ID] [--action NAME] [--fixtures DIR] [--recordings FILE] [--concurrency N]
+  [--out FILE] [--compare FILE]`;
+
+function sha256(value) {
+  return createHash('sha256').update(value).digest('hex').slice(0, 12);
+}
+
+/**
+ * Load the cases of every .json file in `dir`. A file holds one case or an array of cases.
+ */
+async function loadFixtures(dir) {
+  const files = (await fs.readdir(dir)).filter(name => name.endsWith('.json')).sort();
+  const cases = [];
+
+  for (const file of files) {
+    const raw = JSON.parse(await fs.readFile(path.join(dir, file), 'utf8'));
+    for (const testCase of Array.isArray(raw) ? raw : [raw]) {
+      if (!testCase.id || !testCase.action || (typeof testCase.text !== 'string' && !testCase.template)) {
+        throw new Error(`${file}: every case needs an id, an action and a text or template`);
+      }
+      cases.push({ ...testCase, file });
+    }
+  }
+
+  const ids = cases.map(testCase => testCase.id);
+  const duplicate = ids.find((id, index) => ids.indexOf(id) !== index);
+  if (duplicate) {
+    throw new Error(`Duplicate case id: ${duplicate}`);
+  }
+  return cases;
+}
+
+/**
+ * Hash each prompt set (manifest and templates), so reports show which
+ * prompt version produced them
+ */
+function promptVersions(prompts) {
+  const sets = prompts.load();
+  const versions = Object.fromEntries(Object.keys(sets).sort().map(locale => [locale, sha256(JSON.stringify(sets[locale]))]));
+  return { promptVersion: sha256(JSON.stringify(versions)), promptVersions: versions };
+}
+
+/**
+ * Run one case and check its output
+ */
+async function runCase(api, testCase) {
+  const options = { ...testCase.options, ...(testCase.language && { language: testCase.language }) };
+  const expect = { ...DEFAULT_EXPECT, ...(testCase.template && { validJSON: true }), ...testCase.expect };
+  const result = {
+    id: testCase.id,
+    action: testCase.action,
+    language: testCase.language || null
+  };
+
+  const startedAt = Date.now();
+  let response;
+  try {
+    result.language = api.getPromptSet(options).locale;
+    response = testCase.template
+      ? await api.transformJSON(testCase.template, testCase.action, { ...options, concurrency: 1 })
+      : await api.runAction(testCase.action, testCase.text, options);
+  } catch (error) {
+    return { ...result, status: 'error', error: error.message };
+  }
+
+  const latencyMs = Date.now() - startedAt;
+  const error = response.error || response.fields?.find(field => field.error)?.error;
+  if (!response.success) {
+    return { ...result, status: /^No recording/.test(error || '') ? 'skipped' : 'error', error, latencyMs };
+  }
+
+  const output = testCase.template ? response.template : response.transformedText;
+  const checks = runChecks(output, {
+    input: testCase.template ? response.fields.map(field => field.before).join('\n') : testCase.text,
+    template: testCase.template || null,
+    fieldOutputs: response.fields?.map(field => field.after) || null
+  }, expect);
+
+  return {
+    ...result,
+    status: checks.every(check => check.passed) ? 'pass' : 'fail',
+    checks,
+    model: response.model,
+    latencyMs,
+    usage: response.usage,
+    output
+  };
+}
+
+/**
+ * Run the cases and build the report
+ */
+async function runEval({ api, cases, provider = 'recorded', concurrency = 1, onResult = null }) {
+  const results = await mapWithConcurrency(cases, concurrency, async (testCase) => {
+    const result = await runCase(api, testCase);
+    if (onResult) {
+      onResult(result);
+    }
+    return result;
+  });
+
+  const count = status => results.filter(result => result.status === status).length;
+  return {
+    timestamp: new Date().toISOString(),
+    provider,
+    model: api.model,
+    ...promptVersions(api.prompts),
+    summary: {
+      total: results.length,
+      passed: count('pass'),
+      failed: count('fail'),
+      errors: count('error'),
+      skipped: count('skipped')
+    },
+    cases: results
+  };
+}
+
+/**
+ * Compare two reports case by case. Returns { regressions, fixes, changed, added, removed }:
+ * regressions passed before and don't now, fixes the other way round, and
+ * changed lists cases whose individual checks flipped.
+ */
+function compareReports(previous, current) {
+  const before = new Map(previous.cases.map(result => [result.id, result]));
+  const after = new Map(current.cases.map(result => [result.id, result]));
+  const comparison = { regressions: [], fixes: [], changed: [], added: [], removed: [] };
+
+  for (const [id, result] of after) {
+    const old = before.get(id);
+    if (!old) {
+      comparison.added.push(id);
+      continue;
+    }
+    if (old.status === 'skipped' || result.status === 'skipped') {
+      continue;
+    }
+
+    if (old.status === 'pass' && result.status !== 'pass') {
+      comparison.regressions.push({ id, before: old.status, after: result.status });
+    } else if (old.status !== 'pass' && result.status === 'pass') {
+      comparison.fixes.push({ id, before: old.status, after: result.status });
+    }
+
+    const oldChecks = new Map((old.checks || []).map(check => [check.name, check]));
+    const flipped = (result.checks || [])
+      .filter(check => oldChecks.has(check.name) && oldChecks.get(check.name).passed !== check.passed)
+      .map(check => `${check.name} ${check.passed ? 'now passes' : 'now fails'} (${check.detail})`);
+    if (flipped.length > 0) {
+      comparison.changed.push({ id, checks: flipped });
+    }
+  }
+
+  comparison.removed = [...before.keys()].filter(id => !after.has(id));
+  return comparison;
+}
+
+function formatResult(result) {
+  const label = `${result.id} (${result.action}, ${result.language})`;
+  if (result.status === 'skipped') return `⏭️  ${label}: ${result.error}`;
+  if (result.status === 'error') return `❌ ${label}: ${result.error}`;
+
+  const failed = result.checks.filter(check => !check.passed);
+  return result.status === 'pass'
+    ? `✅ ${label}: ${result.checks.length} checks passed`
+    : `🔴 ${label}: ${failed.map(check => `${check.name} - ${check.detail}`).join('; ')}`;
+}
+
+function formatComparison(comparison, previous) {
+  const lines = [`\n🔍 Compared with ${previous.timestamp} (prompt version ${previous.promptVersion})`];
+  for (const { id, before, after } of comparison.regressions) lines.push(`  📉 ${id}: ${before} → ${after}`);
+  for (const { id, before, after } of comparison.fixes) lines.push(`  📈 ${id}: ${before} → ${after}`);
+  for (const { id, checks } of comparison.changed) lines.push(`  🔀 ${id}: ${checks.join('; ')}`);
+  if (comparison.added.length) lines.push(`  ➕ new cases: ${comparison.added.join(', ')}`);
+  if (comparison.removed.length) lines.push(`  ➖ removed cases: ${comparison.removed.join(', ')}`);
+  lines.push(`  ${comparison.regressions.length} regressions, ${comparison.fixes.length} fixes`);
+  return lines.join('\n');
+}
+
+async function readRecordings(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8')).recordings || {};
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return {};
+    }
+    throw error;
+  }
+}
+
+async function main(argv = process.argv.slice(2)) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      provider: { type: 'string', default: 'recorded' },
+      model: { type: 'string' },
+      case: { type: 'string', multiple: true },
+      action: { type: 'string' },
+      fixtures: { type: 'string', default: path.join(EVALS_DIR, 'fixtures') },
+      recordings: { type: 'string', default: path.join(EVALS_DIR, 'recordings.json') },
+      concurrency: { type: 'string', default: '1' },
+      out: { type: 'string' },
+      compare: { type: 'string' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+
+  if (values.help || !PROVIDER_MODES.includes(values.provider)) {
+    console.log(USAGE);
+    process.exitCode = values.help ? 0 : 1;
+    return;
+  }
+
+  const recordings = await readRecordings(values.recordings);
+  const live = () => createProvider(undefined, {});
+  const provider = {
+    recorded: () => new RecordedProvider({ recordings }),
+    record: () => new RecordedProvider({ recordings, provider: live() }),
+    live,
+    mock: () => new MockProvider()
+  }[values.provider]();
+
+  // Offline runs fail fast: a missing recording won't appear on retry
+  const offline = values.provider === 'recorded' || values.provider === 'mock';
+  const api = new TextTransformAPI(null, {
+    provider,
+    fallbackModels: [],
+    ...(offline && { retry: { maxRetries: 0 } })
+  });
+  if (values.model) {
+    api.setModel(values.model);
+  }
+
+  const cases = (await loadFixtures(values.fixtures)).filter(testCase =>
+    (!values.case || values.case.includes(testCase.id)) &&
+    (!values.action || testCase.action === values.action.toUpperCase()));
+
+  console.log(`🧪 Running ${cases.length} cases with ${provider.name} on ${api.model}`);
+  const report = await runEval({
+    api,
+    cases,
+    provider: values.provider,
+    concurrency: Math.max(parseInt(values.concurrency, 10) || 1, 1),
+    onResult: result => console.log(formatResult(result))
+  });
+
+  const { total, passed, failed, errors, skipped } = report.summary;
+  console.log(`\n📊 ${total} cases: ${passed} passed, ${failed} failed, ${errors} errors, ${skipped} skipped (prompt version ${report.promptVersion})`);
+  if (values.provider === 'recorded' && skipped > 0) {
+    console.log('   Skipped cases have no recording for the current prompts; run with --provider record to record them.');
+  }
+
+  if (values.provider === 'record' && provider.recorded > 0) {
+    await fs.mkdir(path.dirname(values.recordings), { recursive: true });
+    await fs.writeFile(values.recordings, JSON.stringify({ recordings }, null, 2) + '\n');
+    console.log(`💾 ${provider.recorded} new recordings saved to ${values.recordings}`);
+  }
+
+  if (values.compare) {
+    const previous = JSON.parse(await fs.readFile(values.compare, 'utf8'));
+    report.comparison = compareReports(previous, report);
+    console.log(formatComparison(report.comparison, previous));
+  }
+
+  if (values.out) {
+    await fs.writeFile(values.out, JSON.stringify(report, null, 2));
+    console.log(`💾 Report written to ${values.out}`);
+  }
+
+  if (errors > 0 || (failed > 0 && values.provider !== 'mock')) {
+    process.exitCode = 1;
+  }
+  if (values.provider === 'recorded' && total > 0 && skipped === total) {
+    console.log('❌ Every case was skipped, nothing was checked.');
+    process.exitCode = 1;
+  }
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch(error => {
+    console.error('Eval Error:', error.message);
+    process.exitCode = 1;
+  });
+}
+
+export { loadFixtures, runCase, runEval, compareReports, promptVersions, formatResult, main };
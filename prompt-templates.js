@@ -0,0 +1,144 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * Prompt Templates
+ *
+ * Loads the transformation prompts from prompts/<locale>/ so they can be tuned
+ * without code changes and provided in several languages. Each locale folder
+ * holds a prompt-set.json (name, labels, tasks, default instructions, variant
+ * angles) and one .txt template per prompt.
+ *
+ * Templates use {{variable}} placeholders and {{#if variable}}...{{else}}...{{/if}}
+ * blocks, which may be nested.
+ */
+
+const DEFAULT_PROMPTS_DIR = fileURLToPath(new URL('./prompts', import.meta.url));
+
+// Templates every prompt set must provide
+const REQUIRED_TEMPLATES = ['articulate', 'refine', 'edit', 'transform', 'user', 'variant', 'style-check', 'style-check-user'];
+
+/**
+ * Render a template with the given variables. Missing variables render as
+ * empty strings; inserted values are never parsed as template syntax.
+ */
+function renderTemplate(template, variables = {}) {
+  // Innermost blocks first, so nested conditionals resolve from the inside out
+  const conditional = /\{\{#if (\w+)\}\}((?:(?!\{\{#if )[\s\S])*?)\{\{\/if\}\}/g;
+  let output = template;
+  let previous;
+
+  do {
+    previous = output;
+    output = output.replace(conditional, (_, name, body) => {
+      const [whenTrue, whenFalse = ''] = body.split('{{else}}');
+      return variables[name] ? whenTrue : whenFalse;
+    });
+  } while (output !== previous);
+
+  return output.replace(/\{\{(\w+)\}\}/g, (_, name) => variables[name] ?? '');
+}
+
+class PromptLibrary {
+  constructor(dir = null, defaultLocale = null) {
+    this.dir = dir || process.env.PROMPTS_DIR || DEFAULT_PROMPTS_DIR;
+    this.defaultLocale = defaultLocale || process.env.PROMPT_LANGUAGE || 'de';
+    this.sets = null;
+  }
+
+  /**
+   * Read all prompt sets from disk on first access
+   */
+  load() {
+    if (this.sets) {
+      return this.sets;
+    }
+
+    const sets = {};
+    for (const entry of fs.readdirSync(this.dir, { withFileTypes: true })) {
+      const setDir = path.join(this.dir, entry.name);
+      if (!entry.isDirectory() || !fs.existsSync(path.join(setDir, 'prompt-set.json'))) {
+        continue;
+      }
+
+      const locale = entry.name.toLowerCase();
+      const manifest = JSON.parse(fs.readFileSync(path.join(setDir, 'prompt-set.json'), 'utf8'));
+      const templates = {};
+      for (const file of fs.readdirSync(setDir).filter(name => name.endsWith('.txt'))) {
+        templates[path.basename(file, '.txt')] = fs.readFileSync(path.join(setDir, file), 'utf8').trimEnd();
+      }
+
+      const missing = REQUIRED_TEMPLATES.filter(name => !templates[name]);
+      if (missing.length > 0) {
+        throw new Error(`Prompt set "${locale}" is missing templates: ${missing.join(', ')}`);
+      }
+
+      sets[locale] = { ...manifest, locale, templates };
+    }
+
+    if (!sets[this.defaultLocale]) {
+      throw new Error(`Default prompt language "${this.defaultLocale}" not found in ${this.dir}`);
+    }
+
+    this.sets = sets;
+    return sets;
+  }
+
+  /**
+   * Drop cached prompt sets so edited templates are picked up
+   */
+  reload() {
+    this.sets = null;
+    return this.load();
+  }
+
+  /**
+   * List available prompt sets without their templates
+   */
+  list() {
+    return Object.values(this.load())
+      .map(set => ({
+        locale: set.locale,
+        name: set.name,
+        description: set.description,
+        default: set.locale === this.defaultLocale,
+        templates: Object.keys(set.templates).sort()
+      }))
+      .sort((a, b) => a.locale.localeCompare(b.locale));
+  }
+
+  /**
+   * Match a requested language (e.g. "en", "en-US", "fr_FR") to a prompt set.
+   * Returns the default locale when none is requested, or null if unsupported.
+   */
+  resolveLocale(language = null) {
+    if (!language) {
+      return this.defaultLocale;
+    }
+
+    const sets = this.load();
+    const locale = String(language).toLowerCase().replace('_', '-');
+    const base = locale.split('-')[0];
+    return sets[locale] ? locale : (sets[base] ? base : null);
+  }
+
+  /**
+   * Get the prompt set for a language. Throws for unsupported languages.
+   */
+  get(language = null) {
+    const locale = this.resolveLocale(language);
+    if (!locale) {
+      throw new Error(`Unsupported language: ${language}. Available languages: ${Object.keys(this.load()).join(', ')}.`);
+    }
+    return this.load()[locale];
+  }
+}
+
+export {
+  REQUIRED_TEMPLATES,
+  renderTemplate,
+  PromptLibrary
+};
+
+export default PromptLibrary;
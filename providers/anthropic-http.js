@@ -0,0 +1,87 @@
+/**
+ * Anthropic HTTP Provider
+ *
+ * Calls the Anthropic Messages API with fetch, without the Node SDK, so it
+ * also works in the browser (see api-browser.js).
+ */
+
+class AnthropicHTTPProvider {
+  constructor({ apiKey = null, baseURL = 'https://api.anthropic.com/v1/messages' } = {}) {
+    this.name = 'anthropic-http';
+    this.apiKey = apiKey;
+    this.baseURL = baseURL;
+  }
+
+  async send(params, signal) {
+    const response = await fetch(this.baseURL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': this.apiKey,
+        'anthropic-version': '2023-06-01',
+        'anthropic-dangerous-direct-browser-access': 'true'
+      },
+      body: JSON.stringify(params),
+      signal
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      const error = new Error(`API Error ${response.status}: ${errorData.error?.message || response.statusText}`);
+      error.status = response.status;
+      error.headers = response.headers;
+      throw error;
+    }
+
+    return response;
+  }
+
+  async createMessage(params, { signal = null } = {}) {
+    const response = await this.send(params, signal);
+    return await response.json();
+  }
+
+  /**
+   * Stream a message over SSE, forwarding each text delta to onText
+   */
+  async streamMessage(params, onText, { signal = null } = {}) {
+    const response = await this.send({ ...params, stream: true }, signal);
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    const message = { content: [{ type: 'text', text: '' }], usage: {}, stop_reason: null, model: params.model };
+    let buffer = '';
+
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        if (!line.startsWith('data:')) continue;
+        const event = JSON.parse(line.slice(5));
+
+        if (event.type === 'message_start') {
+          message.usage = { ...event.message.usage };
+          message.model = event.message.model;
+        } else if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+          message.content[0].text += event.delta.text;
+          onText(event.delta.text);
+        } else if (event.type === 'message_delta') {
+          message.stop_reason = event.delta.stop_reason;
+          message.usage.output_tokens = event.usage?.output_tokens ?? message.usage.output_tokens;
+        } else if (event.type === 'error') {
+          throw new Error(event.error?.message || 'Stream error');
+        }
+      }
+    }
+
+    return message;
+  }
+}
+
+export { AnthropicHTTPProvider };
+
+export default AnthropicHTTPProvider;
@@ -0,0 +1,38 @@
+import Anthropic from '@anthropic-ai/sdk';
+
+/**
+ * Anthropic Provider
+ *
+ * Sends requests through the official Anthropic SDK. Every provider takes
+ * Anthropic Messages API params and returns messages in the same shape:
+ * { content: [{ type: 'text', text }], usage, stop_reason, model }.
+ */
+
+class AnthropicProvider {
+  constructor({ apiKey = null, client = null } = {}) {
+    this.name = 'anthropic';
+
+    // Retries are handled by TextTransformAPI, not by the SDK
+    this.client = client || new Anthropic({
+      apiKey: apiKey || process.env.ANTHROPIC_API_KEY,
+      maxRetries: 0
+    });
+  }
+
+  async createMessage(params, { signal = null } = {}) {
+    return await this.client.messages.create(params, signal ? { signal } : undefined);
+  }
+
+  /**
+   * Stream a message, forwarding each text delta to onText
+   */
+  async streamMessage(params, onText, { signal = null } = {}) {
+    const stream = this.client.messages.stream(params, signal ? { signal } : undefined);
+    stream.on('text', (delta) => onText(delta));
+    return await stream.finalMessage();
+  }
+}
+
+export { AnthropicProvider };
+
+export default AnthropicProvider;
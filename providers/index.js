@@ -0,0 +1,50 @@
+import { AnthropicProvider } from './anthropic.js';
+import { AnthropicHTTPProvider } from './anthropic-http.js';
+import { MockProvider } from './mock.js';
+import { OpenAICompatibleProvider } from './openai-compatible.js';
+import { RecordedProvider } from './recorded.js';
+
+/**
+ * LLM Providers
+ *
+ * All providers implement:
+ *   createMessage(params, { signal }) → message
+ *   streamMessage(params, onText, { signal }) → message
+ * where params and message follow the Anthropic Messages API shape.
+ * Providers may also expose `availableModels` and `defaultModel` to replace
+ * the Claude model catalog, and set `supportsPrefill: false` when a trailing
+ * assistant message is not continued (responses cut off at max_tokens are
+ * then returned as truncated).
+ */
+
+const PROVIDERS = ['anthropic', 'mock', 'openai'];
+
+/**
+ * Create the provider selected by LLM_PROVIDER (default: anthropic)
+ */
+function createProvider(name = process.env.LLM_PROVIDER || 'anthropic', { apiKey = null } = {}) {
+  switch (name) {
+    case 'anthropic':
+      return new AnthropicProvider({ apiKey });
+    case 'mock':
+      return new MockProvider();
+    case 'openai':
+      return new OpenAICompatibleProvider({
+        baseURL: process.env.OPENAI_BASE_URL,
+        apiKey: process.env.OPENAI_API_KEY,
+        models: (process.env.OPENAI_MODELS || '').split(',').map(model => model.trim()).filter(Boolean)
+      });
+    default:
+      throw new Error(`Unknown LLM provider: ${name}. Supported providers: ${PROVIDERS.join(', ')}.`);
+  }
+}
+
+export {
+  PROVIDERS,
+  createProvider,
+  AnthropicProvider,
+  AnthropicHTTPProvider,
+  MockProvider,
+  OpenAICompatibleProvider,
+  RecordedProvider
+};
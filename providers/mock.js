@@ -0,0 +1,135 @@
+/**
+ * Mock Provider
+ *
+ * Deterministic offline provider for development and tests. By default it
+ * echoes the text that was sent for transformation; pass `respond` to script
+ * responses. Like the real API, responses are cut off at max_tokens (about
+ * 4 characters per token) and a trailing assistant message is continued.
+ * No network access and no API key required.
+ */
+
+const MOCK_TIER = {
+  tone: 'Mock-Ton',
+  sentenceStructure: 'Mock-Satzstruktur',
+  vocabulary: 'Mock-Wortwahl',
+  formality: 'Mock-Formalität',
+  rules: ['Mock-Regel'],
+  examples: ['Mock-Beispiel'],
+  avoid: ['Mock-Falle']
+};
+
+const MOCK_STYLE_GUIDE = { comprehensive: MOCK_TIER, concise: MOCK_TIER };
+
+// Rough token estimate: ~4 characters per token
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+function promptText(params) {
+  return params.messages.map(message => typeof message.content === 'string'
+    ? message.content
+    : message.content.map(block => block.text || '').join('')).join('\n');
+}
+
+class MockProvider {
+  constructor({ respond = null, delayMs = 0 } = {}) {
+    this.name = 'mock';
+    this.respond = respond;
+    this.delayMs = delayMs;
+    this.requests = []; // Every request received, for assertions in tests
+  }
+
+  /**
+   * Default response: echo the quoted text of the user prompt, a canned
+   * style guide for style guide requests, or a style check report that
+   * flags the first longer word
+   */
+  defaultResponse(params) {
+    const system = typeof params.system === 'string' ? params.system : '';
+    const prompt = promptText(params);
+    const quoted = prompt.match(/^[^\n]*:\s*"([\s\S]*?)"\n\n/);
+    let text = quoted ? quoted[1] : prompt;
+
+    if (/"violations"/.test(system)) {
+      const word = text.match(/\p{L}{5,}/u)?.[0];
+      return JSON.stringify({
+        score: word ? 80 : 100,
+        summary: 'Mock-Prüfung',
+        violations: word
+          ? [{ quote: word, rule: 'Mock-Regel', explanation: 'Mock-Erklärung', suggestion: word.toUpperCase(), severity: 'low' }]
+          : []
+      });
+    }
+
+    if (/"comprehensive"/.test(system)) {
+      return JSON.stringify(MOCK_STYLE_GUIDE, null, 2);
+    }
+
+    // Variant prompts ask for the text, then the rationale marker, in any prompt language
+    const variant = system.match(/variante? (\d+) (?:von|of|sur) \d+/i);
+    const marker = system.match(/"(---[^"\n]+---)"/);
+    if (variant && marker) {
+      text += ` [Variante ${variant[1]}]\n${marker[1]}\nMock-Variante ${variant[1]}.`;
+    }
+
+    return text;
+  }
+
+  async createMessage(params, { signal = null } = {}) {
+    this.requests.push(params);
+    if (this.delayMs) {
+      await new Promise(resolve => setTimeout(resolve, this.delayMs));
+    }
+    if (signal?.aborted) {
+      const error = new Error('Request was aborted.');
+      error.name = 'AbortError';
+      throw error;
+    }
+
+    // A trailing assistant message is a partial response to continue
+    const last = params.messages[params.messages.length - 1];
+    const prefill = last?.role === 'assistant' ? last.content : '';
+    const request = prefill ? { ...params, messages: params.messages.slice(0, -1) } : params;
+
+    const full = this.respond ? await this.respond(request) : this.defaultResponse(request);
+    let text = prefill && full.startsWith(prefill) ? full.slice(prefill.length) : full;
+    let stopReason = 'end_turn';
+    if (params.max_tokens && estimateTokens(text) > params.max_tokens) {
+      text = text.slice(0, params.max_tokens * 4);
+      stopReason = 'max_tokens';
+    }
+
+    return {
+      id: `mock_${this.requests.length}`,
+      type: 'message',
+      role: 'assistant',
+      model: params.model,
+      content: [{ type: 'text', text }],
+      stop_reason: stopReason,
+      usage: {
+        input_tokens: estimateTokens((params.system || '') + promptText(params)),
+        output_tokens: estimateTokens(text)
+      }
+    };
+  }
+
+  /**
+   * Stream the mock response word by word
+   */
+  async streamMessage(params, onText, { signal = null } = {}) {
+    const message = await this.createMessage(params, { signal });
+    for (const word of message.content[0].text.split(/(?<=\s)/)) {
+      if (signal?.aborted) {
+        const error = new Error('Request was aborted.');
+        error.name = 'AbortError';
+        throw error;
+      }
+      onText(word);
+    }
+    return message;
+  }
+}
+
+export { MockProvider };
+
+export default MockProvider;
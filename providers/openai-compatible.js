@@ -0,0 +1,149 @@
+/**
+ * OpenAI-Compatible Provider
+ *
+ * Talks to any endpoint implementing the OpenAI chat completions API, such as
+ * a local llama.cpp / Ollama / vLLM server. Requests and responses are
+ * translated to and from the Anthropic Messages shape used by the rest of the app.
+ */
+
+const STOP_REASONS = {
+  stop: 'end_turn',
+  length: 'max_tokens'
+};
+
+class OpenAICompatibleProvider {
+  constructor({ baseURL = 'http://localhost:8080/v1', apiKey = null, models = [] } = {}) {
+    this.name = 'openai-compatible';
+    this.baseURL = baseURL.replace(/\/$/, '');
+    this.apiKey = apiKey;
+    // Chat completions answer a trailing assistant message with a new reply
+    // instead of continuing it, so cut-off responses cannot be resumed
+    this.supportsPrefill = false;
+
+    // The endpoint's models replace the Claude catalog
+    if (models.length > 0) {
+      this.defaultModel = models[0];
+      this.availableModels = Object.fromEntries(models.map((id, i) => [id, {
+        name: id,
+        description: `OpenAI-compatible endpoint (${this.baseURL})`,
+        pricing: 'self-hosted',
+        ...(i === 0 && { recommended: true })
+      }]));
+    }
+  }
+
+  toChatRequest(params, stream = false) {
+    const messages = [];
+    if (params.system) {
+      messages.push({ role: 'system', content: params.system });
+    }
+    for (const message of params.messages) {
+      messages.push({
+        role: message.role,
+        content: typeof message.content === 'string'
+          ? message.content
+          : message.content.map(block => block.text || '').join('')
+      });
+    }
+
+    return {
+      model: params.model,
+      messages,
+      max_tokens: params.max_tokens,
+      temperature: params.temperature,
+      stream,
+      ...(stream && { stream_options: { include_usage: true } })
+    };
+  }
+
+  async send(body, signal) {
+    const response = await fetch(`${this.baseURL}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.apiKey && { 'Authorization': `Bearer ${this.apiKey}` })
+      },
+      body: JSON.stringify(body),
+      signal
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      const error = new Error(`API Error ${response.status}: ${errorData.error?.message || response.statusText}`);
+      error.status = response.status;
+      error.headers = response.headers;
+      throw error;
+    }
+
+    return response;
+  }
+
+  toMessage(model, text, finishReason, usage = {}) {
+    return {
+      type: 'message',
+      role: 'assistant',
+      model,
+      content: [{ type: 'text', text }],
+      stop_reason: STOP_REASONS[finishReason] || finishReason || 'end_turn',
+      usage: {
+        input_tokens: usage.prompt_tokens || 0,
+        output_tokens: usage.completion_tokens || 0
+      }
+    };
+  }
+
+  async createMessage(params, { signal = null } = {}) {
+    const response = await this.send(this.toChatRequest(params), signal);
+    const data = await response.json();
+    const choice = data.choices[0];
+    return this.toMessage(data.model || params.model, choice.message.content || '', choice.finish_reason, data.usage);
+  }
+
+  /**
+   * Stream a chat completion, forwarding each text delta to onText
+   */
+  async streamMessage(params, onText, { signal = null } = {}) {
+    const response = await this.send(this.toChatRequest(params, true), signal);
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let text = '';
+    let finishReason = null;
+    let usage = {};
+    let model = params.model;
+
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        if (!line.startsWith('data:')) continue;
+        const data = line.slice(5).trim();
+        if (data === '[DONE]') continue;
+
+        const chunk = JSON.parse(data);
+        model = chunk.model || model;
+        usage = chunk.usage || usage;
+
+        const choice = chunk.choices?.[0];
+        if (choice?.delta?.content) {
+          text += choice.delta.content;
+          onText(choice.delta.content);
+        }
+        if (choice?.finish_reason) {
+          finishReason = choice.finish_reason;
+        }
+      }
+    }
+
+    return this.toMessage(model, text, finishReason, usage);
+  }
+}
+
+export { OpenAICompatibleProvider };
+
+export default OpenAICompatibleProvider;
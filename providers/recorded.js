@@ -0,0 +1,90 @@
+import { createHash } from 'crypto';
+
+/**
+ * Recorded Provider
+ *
+ * Replays model responses recorded earlier, keyed by a hash of the request
+ * (model, system prompt, messages and sampling settings), so evals can run
+ * offline and give the same result every time. With a `provider` to record
+ * from, requests without a recording go to that provider and its responses
+ * are added to `recordings`; without one they fail with NO_RECORDING.
+ */
+
+const NO_RECORDING = 'NO_RECORDING';
+
+/**
+ * Hash the parts of a request that determine the response
+ */
+function requestKey(params) {
+  const { model, system = null, messages, temperature = null, max_tokens: maxTokens = null } = params;
+  return createHash('sha256')
+    .update(JSON.stringify({ model, system, messages, temperature, maxTokens }))
+    .digest('hex')
+    .slice(0, 32);
+}
+
+class RecordedProvider {
+  /**
+   * @param {object} options
+   * @param {object} [options.recordings] - Request key -> { model, text, stopReason, usage, recordedAt }
+   * @param {object} [options.provider] - Provider to call (and record) when a request has no recording
+   */
+  constructor({ recordings = {}, provider = null } = {}) {
+    this.name = provider ? `recorded:${provider.name}` : 'recorded';
+    this.recordings = recordings;
+    this.provider = provider;
+    this.availableModels = provider?.availableModels;
+    this.defaultModel = provider?.defaultModel;
+    this.supportsPrefill = provider?.supportsPrefill;
+    this.hits = 0;
+    this.recorded = 0;
+  }
+
+  async createMessage(params, { signal = null } = {}) {
+    const key = requestKey(params);
+    const recording = this.recordings[key];
+
+    if (recording) {
+      this.hits++;
+      return {
+        id: `recorded_${key.slice(0, 12)}`,
+        type: 'message',
+        role: 'assistant',
+        model: recording.model,
+        content: [{ type: 'text', text: recording.text }],
+        stop_reason: recording.stopReason || 'end_turn',
+        usage: recording.usage || { input_tokens: 0, output_tokens: 0 }
+      };
+    }
+
+    if (!this.provider) {
+      const error = new Error(`No recording for this request (${key.slice(0, 12)}). Record it with a live provider first.`);
+      error.code = NO_RECORDING;
+      throw error;
+    }
+
+    const message = await this.provider.createMessage(params, { signal });
+    this.recordings[key] = {
+      model: message.model || params.model,
+      text: message.content[0].text,
+      stopReason: message.stop_reason,
+      usage: message.usage,
+      recordedAt: new Date().toISOString()
+    };
+    this.recorded++;
+    return message;
+  }
+
+  /**
+   * Replays aren't streamed; the whole response arrives as one delta
+   */
+  async streamMessage(params, onText, { signal = null } = {}) {
+    const message = await this.createMessage(params, { signal });
+    onText(message.content[0].text);
+    return message;
+  }
+}
+
+export { RecordedProvider, requestKey, NO_RECORDING };
+
+export default RecordedProvider;
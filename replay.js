@@ -0,0 +1,156 @@
+#!/usr/bin/env node
+import 'dotenv/config';
+import { promises as fs } from 'fs';
+import { parseArgs } from 'util';
+import { pathToFileURL } from 'url';
+import { TextTransformAPI } from './api.js';
+import { AuditLog } from './audit-log.js';
+import { diffWords, summarizeDiff } from './text-diff.js';
+import { mapWithConcurrency } from './concurrency.js';
+
+/**
+ * Replay
+ *
+ * Re-runs successful calls from the audit log against another model and
+ * compares the outputs word by word. Only entries logged with payloads
+ * (AUDIT_PAYLOADS=store) carry the prompts needed for a replay.
+ *
+ *   npm run replay -- --model claude-3-5-haiku-20241022 [--type transform]
+ *     [--action REFINE] [--since 2026-10-01] [--request <requestId>]
+ *     [--id <entryId>] [--limit 20] [--concurrency 2] [--log data/audit.jsonl]
+ *     [--out report.json]
+ */
+
+const USAGE = `Usage: npm run replay -- --model <model> [--type transform|style-guide|style-check]
+  [--action NAME] [--since YYYY-MM-DD] [--request ID] [--id ENTRY_ID] [--limit N]
+  [--concurrency N] [--log FILE] [--out FILE]`;
+
+/**
+ * Re-run one audit entry's request on `model` and compare it to the logged output
+ */
+async function replayEntry(api, entry, model) {
+  const result = {
+    id: entry.id,
+    requestId: entry.requestId,
+    type: entry.type,
+    action: entry.action,
+    originalModel: entry.model
+  };
+
+  if (entry.payloads !== 'store' || !entry.request || entry.request.redacted) {
+    return { ...result, skipped: 'Payloads were redacted when this entry was logged' };
+  }
+
+  const startedAt = Date.now();
+  try {
+    const { message, model: usedModel } = await api.createMessage({ ...entry.request, model }, { fallbackModels: [] });
+    const output = message.content[0].text;
+
+    return {
+      ...result,
+      model: usedModel,
+      identical: output === entry.output,
+      diff: summarizeDiff(diffWords(entry.output || '', output)),
+      originalLatencyMs: entry.latencyMs,
+      latencyMs: Date.now() - startedAt,
+      originalUsage: entry.usage,
+      usage: api.recordUsage(usedModel, entry.action, message.usage),
+      originalOutput: entry.output,
+      output
+    };
+  } catch (error) {
+    return { ...result, model, error: error.message };
+  }
+}
+
+/**
+ * Replay the successful audit entries matching `filters` against `model`
+ */
+async function replay({ api, auditLog, model, filters = {}, concurrency = 1, onResult = null }) {
+  if (!api.getAvailableModels()[model]) {
+    throw new Error(`Invalid model ID: ${model}. Available models: ${Object.keys(api.getAvailableModels()).join(', ')}`);
+  }
+
+  const entries = await auditLog.read({ ...filters, outcome: 'success' });
+  return await mapWithConcurrency(entries, concurrency, async (entry) => {
+    const result = await replayEntry(api, entry, model);
+    if (onResult) {
+      onResult(result);
+    }
+    return result;
+  });
+}
+
+function formatResult(result) {
+  const label = `${result.id.slice(0, 8)} ${result.action} ${result.originalModel} → ${result.model || '-'}`;
+  if (result.skipped) return `⏭️  ${label}: ${result.skipped}`;
+  if (result.error) return `❌ ${label}: ${result.error}`;
+
+  const { changes, added, removed } = result.diff;
+  const tokens = `${result.originalUsage?.totalTokens ?? '?'} → ${result.usage.totalTokens} tokens`;
+  const latency = `${result.originalLatencyMs ?? '?'} → ${result.latencyMs} ms`;
+  return `${result.identical ? '🟰' : '🔀'} ${label}: ${result.identical ? 'identical' : `${changes} changes (+${added}/-${removed} words)`}, ${tokens}, ${latency}`;
+}
+
+async function main(argv = process.argv.slice(2)) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      model: { type: 'string' },
+      type: { type: 'string' },
+      action: { type: 'string' },
+      since: { type: 'string' },
+      request: { type: 'string' },
+      id: { type: 'string', multiple: true },
+      limit: { type: 'string' },
+      concurrency: { type: 'string', default: '1' },
+      log: { type: 'string' },
+      out: { type: 'string' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+
+  if (values.help || !values.model) {
+    console.log(USAGE);
+    process.exitCode = values.help ? 0 : 1;
+    return;
+  }
+
+  const api = new TextTransformAPI();
+  const auditLog = new AuditLog({ filePath: values.log || process.env.AUDIT_LOG || null });
+
+  const results = await replay({
+    api,
+    auditLog,
+    model: values.model,
+    filters: {
+      type: values.type,
+      action: values.action,
+      since: values.since,
+      requestId: values.request,
+      ids: values.id,
+      limit: values.limit ? parseInt(values.limit, 10) : null
+    },
+    concurrency: Math.max(parseInt(values.concurrency, 10) || 1, 1),
+    onResult: result => console.log(formatResult(result))
+  });
+
+  const replayed = results.filter(result => result.diff);
+  console.log(`\n📊 ${results.length} entries: ${replayed.length} replayed, ` +
+    `${replayed.filter(result => result.identical).length} identical, ` +
+    `${results.filter(result => result.skipped).length} skipped, ${results.filter(result => result.error).length} failed`);
+
+  if (values.out) {
+    await fs.writeFile(values.out, JSON.stringify({ model: values.model, results }, null, 2));
+    console.log(`💾 Report written to ${values.out}`);
+  }
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch(error => {
+    console.error('Replay Error:', error.message);
+    process.exitCode = 1;
+  });
+}
+
+export { replay, replayEntry, formatResult, main };
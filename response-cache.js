@@ -0,0 +1,207 @@
+import { promises as fs } from 'fs';
+import { createHash } from 'crypto';
+import { WriteQueue, writeFileAtomic } from './json-store.js';
+
+/**
+ * Response Cache
+ *
+ * Content-addressed cache for transformation responses, so re-running the
+ * same action on unchanged copy doesn't pay for another model call. Entries
+ * are keyed by a hash of the normalized text and everything else that shapes
+ * the response (see cacheKey), kept in an in-memory LRU with an optional TTL
+ * and, with a filePath, persisted to a JSON file across restarts.
+ */
+
+function sha256(value) {
+  return createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Normalize copy for the cache key: line endings, trailing spaces and runs
+ * of spaces or tabs don't change what the model is asked to do
+ */
+function normalizeText(text) {
+  return String(text ?? '')
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t]+/g, ' ')
+    .replace(/ ?\n ?/g, '\n')
+    .trim();
+}
+
+/**
+ * Build the cache key of a transformation. Long inputs (style guide, context,
+ * prompts) go in as hashes. `prompts` are the rendered system prompt and the
+ * user prompt template, so prompt edits and variant angles get their own entries.
+ */
+function cacheKey({ text, action, instruction = '', styleGuide = '', mode = 'text', format = 'text', model, temperature, maxTokens, language, context = '', constraints = null, prompts = [] }) {
+  return sha256(JSON.stringify({
+    text: normalizeText(text),
+    action,
+    instruction: normalizeText(instruction),
+    styleGuide: styleGuide ? sha256(styleGuide) : null,
+    mode,
+    format,
+    model,
+    temperature,
+    maxTokens,
+    language,
+    context: context ? sha256(normalizeText(context)) : null,
+    constraints: constraints ? sha256(JSON.stringify(constraints)) : null,
+    prompts: sha256(JSON.stringify(prompts))
+  }));
+}
+
+/**
+ * TTL in seconds from a setting such as RESPONSE_CACHE_TTL_SECONDS: a
+ * non-negative number, or the fallback if unset or invalid
+ */
+function parseTTLSeconds(value, fallback) {
+  const seconds = Number(value);
+  return typeof value === 'string' && value.trim() !== '' && Number.isFinite(seconds) && seconds >= 0 ? seconds : fallback;
+}
+
+class ResponseCache {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.maxEntries] - Least recently used entries are evicted beyond this
+   * @param {number} [options.ttlMs] - Entries expire after this long (0 = never)
+   * @param {string|null} [options.filePath] - JSON file to persist entries to (null = memory only)
+   * @param {function} [options.now] - Clock in milliseconds, e.g. a fake one in tests
+   */
+  constructor({ maxEntries = 500, ttlMs = 24 * 60 * 60 * 1000, filePath = null, now = Date.now } = {}) {
+    this.maxEntries = maxEntries;
+    this.ttlMs = ttlMs;
+    this.filePath = filePath;
+    this.now = now;
+    this.entries = null; // Map in LRU order: oldest first
+    this.loading = null;
+    this.writeQueue = new WriteQueue();
+    this.stats = { hits: 0, misses: 0, stores: 0, evictions: 0, expired: 0 };
+  }
+
+  /**
+   * Load persisted entries on first access
+   */
+  async load() {
+    // Share one read between concurrent callers
+    this.loading = this.loading || (async () => {
+      this.entries = new Map();
+      if (!this.filePath) {
+        return this.entries;
+      }
+
+      try {
+        const raw = await fs.readFile(this.filePath, 'utf8');
+        for (const [key, entry] of JSON.parse(raw).entries || []) {
+          if (!this.isExpired(entry)) {
+            this.entries.set(key, entry);
+          }
+        }
+        this.evict();
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          this.loading = null;
+          throw error;
+        }
+      }
+      return this.entries;
+    })();
+
+    return await this.loading;
+  }
+
+  /**
+   * Write all entries to disk
+   */
+  async save() {
+    if (!this.filePath) {
+      return;
+    }
+    const data = JSON.stringify({ entries: [...this.entries] });
+
+    return await this.writeQueue.run(() => writeFileAtomic(this.filePath, data));
+  }
+
+  isExpired(entry) {
+    return this.ttlMs > 0 && this.now() - Date.parse(entry.cachedAt) > this.ttlMs;
+  }
+
+  // Drop least recently used entries beyond maxEntries
+  evict() {
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.stats.evictions++;
+    }
+  }
+
+  /**
+   * Look up a cached response, or null. Hits move to the most recently used end.
+   */
+  async get(key) {
+    const entries = await this.load();
+    const entry = entries.get(key);
+
+    if (!entry) {
+      this.stats.misses++;
+      return null;
+    }
+    if (this.isExpired(entry)) {
+      entries.delete(key);
+      this.stats.expired++;
+      this.stats.misses++;
+      return null;
+    }
+
+    entries.delete(key);
+    entries.set(key, entry);
+    this.stats.hits++;
+    return entry;
+  }
+
+  /**
+   * Store a response ({ text, rationale, model, usage, continuations })
+   */
+  async set(key, value) {
+    const entries = await this.load();
+    const entry = { ...value, cachedAt: new Date(this.now()).toISOString() };
+
+    entries.delete(key);
+    entries.set(key, entry);
+    this.stats.stores++;
+    this.evict();
+
+    await this.save();
+    return entry;
+  }
+
+  /**
+   * Remove all entries. Returns the number removed.
+   */
+  async clear() {
+    const entries = await this.load();
+    const removed = entries.size;
+    entries.clear();
+    await this.save();
+    return removed;
+  }
+
+  /**
+   * Hit/miss counters since startup plus the current size and settings
+   */
+  async getStats() {
+    const entries = await this.load();
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      ...this.stats,
+      hitRate: lookups ? Math.round((this.stats.hits / lookups) * 1000) / 1000 : 0,
+      size: entries.size,
+      maxEntries: this.maxEntries,
+      ttlSeconds: Math.round(this.ttlMs / 1000),
+      persistent: !!this.filePath
+    };
+  }
+}
+
+export { ResponseCache, cacheKey, normalizeText, parseTTLSeconds };
+
+export default ResponseCache;
@@ -0,0 +1,477 @@
+/**
+ * Rich Text
+ *
+ * Inline formatting for transformations that must not flatten it: bold,
+ * italics, underline, strikethrough, code, links and line breaks. Copy goes
+ * to the model as inline Markdown or a restricted HTML subset; both parse
+ * into the same runs of { text, marks, href }, so results can be checked
+ * against the input and HTML can be re-serialized with nothing but the
+ * allowed tags. sanitizeHTML() applies the same allow-list, plus the
+ * editor's lines, marks and review hunks, to whole stored documents. Plain
+ * ES module without dependencies, so the browser can import it as is.
+ */
+
+const FORMATS = ['text', 'markdown', 'html'];
+
+// Marks in nesting order, outermost first
+const MARKS = ['link', 'strong', 'em', 'u', 's', 'code'];
+
+// Allowed HTML tags and the mark each one stands for
+const HTML_TAGS = { a: 'link', strong: 'strong', b: 'strong', em: 'em', i: 'em', u: 'u', s: 's', strike: 's', code: 'code' };
+
+const MARK_TAGS = { link: 'a', strong: 'strong', em: 'em', u: 'u', s: 's', code: 'code' };
+
+// Elements whose contents are code, not copy: dropped along with their tags
+const RAW_TEXT_TAGS = ['script', 'style'];
+
+// Editor markup allowed in documents on top of the inline tags: lines, marks and review hunks
+const EDITOR_TAGS = ['div', 'p', 'span', 'del', 'ins'];
+
+// Attributes kept per element; anything else (style, on* handlers, ids) is dropped
+const EDITOR_ATTRIBUTES = {
+  a: ['href'],
+  span: ['class', 'title', 'contenteditable', 'data-fn', 'data-instruction', 'data-style', 'data-status']
+};
+
+const EDITOR_CLASSES = ['mark', 'hunk'];
+
+const HTML_ATTRIBUTE = /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+// Named entities decoded besides numeric ones; names are case-sensitive (Auml, auml)
+const HTML_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0',
+  auml: 'ä', ouml: 'ö', uuml: 'ü', Auml: 'Ä', Ouml: 'Ö', Uuml: 'Ü', szlig: 'ß',
+  eacute: 'é', egrave: 'è', agrave: 'à', ccedil: 'ç',
+  ndash: '–', mdash: '—', hellip: '…', laquo: '«', raquo: '»',
+  bdquo: '„', ldquo: '“', rdquo: '”', lsquo: '‘', rsquo: '’', euro: '€'
+};
+
+// Comments, tags (attributes may contain quoted ">"), text and stray "<"
+const HTML_TOKEN = /<!--[\s\S]*?-->|<(\/?)([a-zA-Z][\w-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>|[^<]+|</g;
+
+// [label](url) with an optional title; the label may hold other inline formatting
+const MARKDOWN_LINK = /^\[((?:[^[\]\\]|\\.)*)\]\(\s*<?([^\s()<>]+)>?(?:\s+"[^"]*")?\s*\)/;
+
+/**
+ * Decode numeric and known named HTML entities, leaving unknown ones as they are
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(point) && point <= 0x10ffff ? String.fromCodePoint(point) : entity;
+    }
+    return HTML_ENTITIES[code] ?? HTML_ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
+
+function escapeHTML(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Whether a link target is safe to put in the editor: web, mail and phone
+ * links, relative paths and anchors, but no javascript: or data: URLs
+ */
+function isSafeHref(href) {
+  // Browsers ignore whitespace and control characters in the scheme
+  const value = href.replace(/[\u0000- ]/g, '');
+  return /^(https?:|mailto:|tel:)/i.test(value) || !/^[\w+.-]*:/.test(value);
+}
+
+/**
+ * Append text with the given marks to runs, merging it into the last run
+ * when the marks are the same
+ */
+function appendText(runs, text, marks = [], href = undefined) {
+  if (!text) {
+    return runs;
+  }
+  const sorted = MARKS.filter(mark => marks.includes(mark));
+  const run = { text, marks: sorted, ...(sorted.includes('link') && { href }) };
+  const last = runs[runs.length - 1];
+  if (last && last.href === run.href && last.marks.join() === run.marks.join()) {
+    last.text += text;
+  } else {
+    runs.push(run);
+  }
+  return runs;
+}
+
+/**
+ * Parse the restricted HTML subset into runs. Tags outside it, tags that
+ * aren't closed and unsafe link targets are listed in errors ('<div>',
+ * '</em>', 'javascript:...') and dropped, keeping their text (except for
+ * script and style contents). Returns { runs, errors }.
+ */
+function parseHTML(html) {
+  const runs = [];
+  const errors = [];
+  const open = []; // { tag, mark, href }; mark is null for dropped links
+
+  const marks = () => open.map(entry => entry.mark).filter(Boolean);
+  const href = () => open.findLast(entry => entry.mark === 'link')?.href;
+  const lastRun = () => runs[runs.length - 1];
+  let skipping = null; // Raw text element being skipped up to its end tag
+
+  for (const [token, closing, name, attributes] of html.matchAll(HTML_TOKEN)) {
+    if (skipping) {
+      skipping = closing && name.toLowerCase() === skipping ? null : skipping;
+      continue;
+    }
+    if (token.startsWith('<!--')) {
+      continue;
+    }
+
+    if (!name) {
+      // Source line breaks are whitespace in HTML; only <br> breaks a line
+      let text = decodeEntities(token).replace(/[ \t]*\r?\n\s*/g, ' ');
+      if (lastRun()?.text.endsWith('\n')) {
+        text = text.replace(/^ +/, '');
+      }
+      appendText(runs, text, marks(), href());
+      continue;
+    }
+
+    const tag = name.toLowerCase();
+    if (tag === 'br' && !closing) {
+      const last = lastRun();
+      if (last && / +$/.test(last.text)) {
+        last.text = last.text.trimEnd();
+        if (!last.text) runs.pop();
+      }
+      appendText(runs, '\n', marks(), href());
+      continue;
+    }
+
+    const mark = HTML_TAGS[tag];
+    if (!mark) {
+      errors.push(token);
+      skipping = !closing && RAW_TEXT_TAGS.includes(tag) ? tag : null;
+      continue;
+    }
+
+    if (closing) {
+      const index = open.map(entry => entry.tag).lastIndexOf(tag);
+      if (index === -1) {
+        errors.push(token);
+        continue;
+      }
+      // Tags still open inside this one were never closed
+      open.splice(index).slice(1).forEach(entry => errors.push(`<${entry.tag}>`));
+      continue;
+    }
+
+    if (mark === 'link') {
+      const match = attributes.match(/(?:^|\s)href\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/i);
+      const target = match ? decodeEntities(match[1] ?? match[2] ?? match[3]).trim() : '';
+      if (!target || !isSafeHref(target)) {
+        errors.push(target || token);
+        open.push({ tag, mark: null });
+        continue;
+      }
+      open.push({ tag, mark, href: target });
+      continue;
+    }
+
+    open.push({ tag, mark });
+  }
+
+  open.forEach(entry => errors.push(`<${entry.tag}>`));
+  return { runs, errors };
+}
+
+/**
+ * Split inline Markdown into text, code, link and delimiter tokens. A
+ * delimiter run can open when a non-space follows it and close when a
+ * non-space precedes it.
+ */
+function tokenizeMarkdown(markdown) {
+  const tokens = [];
+  const pushText = (text) => {
+    const last = tokens[tokens.length - 1];
+    if (last?.type === 'text') {
+      last.text += text;
+    } else {
+      tokens.push({ type: 'text', text });
+    }
+  };
+
+  let i = 0;
+  while (i < markdown.length) {
+    const char = markdown[i];
+
+    if (char === '\\' && /[!-/:-@[-`{-~]/.test(markdown[i + 1] || '')) {
+      pushText(markdown[i + 1]);
+      i += 2;
+    } else if (char === '`') {
+      const end = markdown.indexOf('`', i + 1);
+      if (end === -1) {
+        pushText(char);
+        i++;
+      } else {
+        tokens.push({ type: 'code', text: markdown.slice(i + 1, end) });
+        i = end + 1;
+      }
+    } else if (char === '[' && MARKDOWN_LINK.test(markdown.slice(i))) {
+      const [match, label, href] = markdown.slice(i).match(MARKDOWN_LINK);
+      tokens.push({ type: 'link', label, href });
+      i += match.length;
+    } else if (char === '*' || char === '~') {
+      let end = i;
+      while (markdown[end] === char) end++;
+      const length = end - i;
+      const before = markdown[i - 1];
+      const after = markdown[end];
+
+      if (char === '~' && length !== 2) {
+        pushText(markdown.slice(i, end));
+      } else {
+        tokens.push({
+          type: 'delimiter',
+          char,
+          remaining: length,
+          canOpen: after !== undefined && !/\s/.test(after),
+          canClose: before !== undefined && !/\s/.test(before),
+          opens: [],
+          closes: []
+        });
+      }
+      i = end;
+    } else {
+      const next = markdown.slice(i + 1).search(/[\\`[*~]/);
+      const end = next === -1 ? markdown.length : i + 1 + next;
+      pushText(markdown.slice(i, end));
+      i = end;
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse inline Markdown (**bold**, *italics*, ~~strikethrough~~, `code`,
+ * [text](url) and line breaks) into runs. Emphasis that is opened but never
+ * closed stays literal text and, like unsafe link targets, is listed in
+ * errors. Other Markdown (headings, lists) passes through as text.
+ * Returns { runs, errors }.
+ */
+function parseMarkdown(markdown, inherited = [], inheritedHref = undefined) {
+  const tokens = tokenizeMarkdown(markdown);
+  const errors = [];
+
+  // Pair closers with the nearest opener of the same kind; asterisk runs
+  // close emphasis (1) and strong (2) from the inside out
+  const openers = [];
+  for (const token of tokens.filter(token => token.type === 'delimiter')) {
+    if (token.canClose) {
+      while (token.remaining > 0) {
+        const index = openers.findLastIndex(opener => opener.char === token.char);
+        if (index === -1) break;
+
+        const opener = openers[index];
+        openers.splice(index + 1).forEach(unclosed => errors.push(unclosed.char.repeat(unclosed.remaining)));
+        const used = token.char === '~' ? 2 : (opener.remaining >= 2 && token.remaining >= 2 ? 2 : 1);
+        const mark = token.char === '~' ? 's' : (used === 2 ? 'strong' : 'em');
+
+        opener.opens.unshift(mark);
+        opener.remaining -= used;
+        token.closes.push(mark);
+        token.remaining -= used;
+        if (opener.remaining === 0) {
+          openers.pop();
+        }
+      }
+    }
+    if (token.canOpen && token.remaining > 0) {
+      openers.push(token);
+    }
+  }
+  openers
+    .filter(opener => !opener.canClose)
+    .forEach(opener => errors.push(opener.char.repeat(opener.remaining)));
+
+  const runs = [];
+  const active = [];
+  for (const token of tokens) {
+    if (token.type === 'text') {
+      appendText(runs, token.text, [...inherited, ...active], inheritedHref);
+    } else if (token.type === 'code') {
+      appendText(runs, token.text, [...inherited, ...active, 'code'], inheritedHref);
+    } else if (token.type === 'link') {
+      const safe = isSafeHref(token.href);
+      if (!safe) {
+        errors.push(token.href);
+      }
+      const label = parseMarkdown(token.label, [...inherited, ...active, ...(safe ? ['link'] : [])], safe ? token.href : inheritedHref);
+      label.runs.forEach(run => appendText(runs, run.text, run.marks, run.href));
+      errors.push(...label.errors);
+    } else {
+      token.closes.forEach(mark => active.splice(active.lastIndexOf(mark), 1));
+      appendText(runs, token.char.repeat(token.remaining), [...inherited, ...active], inheritedHref);
+      active.push(...token.opens);
+    }
+  }
+
+  return { runs, errors };
+}
+
+/**
+ * Parse text in one of FORMATS into { runs, errors }
+ */
+function parseMarkup(text, format = 'text') {
+  if (format === 'html') return parseHTML(text);
+  if (format === 'markdown') return parseMarkdown(text);
+  return { runs: appendText([], text), errors: [] };
+}
+
+/**
+ * Serialize runs as HTML with only the allowed tags. Line breaks become <br>.
+ */
+function toHTML(runs) {
+  let html = '';
+  const open = []; // { mark, href }
+
+  for (const run of runs) {
+    // Keep the elements this run shares with the previous one open
+    let shared = 0;
+    while (shared < open.length && shared < run.marks.length &&
+      open[shared].mark === run.marks[shared] &&
+      (run.marks[shared] !== 'link' || open[shared].href === run.href)) {
+      shared++;
+    }
+    while (open.length > shared) {
+      html += `</${MARK_TAGS[open.pop().mark]}>`;
+    }
+    for (const mark of run.marks.slice(shared)) {
+      html += mark === 'link' ? `<a href="${escapeHTML(run.href)}">` : `<${MARK_TAGS[mark]}>`;
+      open.push({ mark, href: run.href });
+    }
+    html += escapeHTML(run.text).replace(/\n/g, '<br>');
+  }
+
+  while (open.length > 0) {
+    html += `</${MARK_TAGS[open.pop().mark]}>`;
+  }
+  return html;
+}
+
+// Allowed attributes of a tag as HTML, with checked values
+function sanitizeAttributes(tag, source) {
+  const allowed = EDITOR_ATTRIBUTES[tag] || [];
+  let html = '';
+
+  for (const [, rawName, double, single, bare] of source.matchAll(HTML_ATTRIBUTE)) {
+    const name = rawName.toLowerCase();
+    let value = decodeEntities(double ?? single ?? bare ?? '');
+    if (!allowed.includes(name) || html.includes(` ${name}=`)) {
+      continue;
+    }
+    if (name === 'href' && !isSafeHref(value.trim())) {
+      continue;
+    }
+    if (name === 'class') {
+      value = value.split(/\s+/).filter(className => EDITOR_CLASSES.includes(className)).join(' ');
+      if (!value) continue;
+    }
+    if (name === 'contenteditable' && value !== 'false') {
+      continue;
+    }
+    html += ` ${name}="${escapeHTML(value)}"`;
+  }
+  return html;
+}
+
+/**
+ * Clean editor HTML for storage or innerHTML: only the inline tags and the
+ * editor's own markup with their known attributes, safe links, escaped
+ * text and balanced tags. Other tags are dropped, keeping their text.
+ */
+function sanitizeHTML(html) {
+  let output = '';
+  const open = [];
+  let skipping = null;
+
+  for (const [token, closing, name, attributes] of String(html).matchAll(HTML_TOKEN)) {
+    if (skipping) {
+      skipping = closing && name.toLowerCase() === skipping ? null : skipping;
+      continue;
+    }
+    if (token.startsWith('<!--')) {
+      continue;
+    }
+    if (!name) {
+      output += escapeHTML(decodeEntities(token));
+      continue;
+    }
+
+    const tag = name.toLowerCase();
+    if (tag === 'br') {
+      output += closing ? '' : '<br>';
+    } else if (!HTML_TAGS[tag] && !EDITOR_TAGS.includes(tag)) {
+      skipping = !closing && RAW_TEXT_TAGS.includes(tag) ? tag : null;
+    } else if (closing) {
+      const index = open.lastIndexOf(tag);
+      if (index !== -1) {
+        output += open.splice(index).reverse().map(openTag => `</${openTag}>`).join('');
+      }
+    } else {
+      output += `<${tag}${sanitizeAttributes(tag, attributes)}>`;
+      open.push(tag);
+    }
+  }
+
+  return output + open.reverse().map(tag => `</${tag}>`).join('');
+}
+
+function toPlainText(runs) {
+  return runs.map(run => run.text).join('');
+}
+
+/**
+ * The plain text of markup, e.g. to measure its length
+ */
+function plainTextOf(text, format = 'text') {
+  return format === 'text' ? text : toPlainText(parseMarkup(text, format).runs);
+}
+
+/**
+ * The runs covering plain-text offsets [start, end)
+ */
+function sliceRuns(runs, start, end) {
+  const slice = [];
+  let offset = 0;
+  for (const run of runs) {
+    const from = Math.max(start - offset, 0);
+    const to = Math.min(end - offset, run.text.length);
+    if (from < to) {
+      slice.push({ ...run, text: run.text.slice(from, to) });
+    }
+    offset += run.text.length;
+  }
+  return slice;
+}
+
+/**
+ * Link targets in the runs, each once, in order
+ */
+function linksOf(runs) {
+  return [...new Set(runs.filter(run => run.href).map(run => run.href))];
+}
+
+export {
+  FORMATS,
+  MARKS,
+  isSafeHref,
+  decodeEntities,
+  appendText,
+  parseHTML,
+  parseMarkdown,
+  parseMarkup,
+  toHTML,
+  sanitizeHTML,
+  toPlainText,
+  plainTextOf,
+  sliceRuns,
+  linksOf
+};
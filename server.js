@@ -1,35 +1,1241 @@
 import 'dotenv/config';
+import path from 'path';
+import { randomUUID } from 'crypto';
 import express from 'express';
 import cors from 'cors';
-import { TextTransformAPI } from './api.js';
+import { TextTransformAPI, MAX_VARIANTS } from './api.js';
+import { StyleGuideStore, validateStyleGuideFields } from './style-guide-store.js';
+import { DocumentStore, parseRevisionParam } from './document-store.js';
+import { BatchJobStore } from './batch-jobs.js';
+import { UsageTracker } from './usage-tracker.js';
+import { validateActionDefinition, normalizeActionName } from './action-registry.js';
+import { diffWords, summarizeDiff } from './text-diff.js';
+import { prepareSamples } from './style-samples.js';
+import { ApiKeyStore, validateKeyDefinition } from './api-key-store.js';
+import { createAuth, currentKey, currentRequestId } from './auth.js';
+import { AuditLog } from './audit-log.js';
+import { ResponseCache, parseTTLSeconds } from './response-cache.js';
+import { validateConstraints } from './output-guardrails.js';
+import { FORMATS } from './rich-text.js';
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Cache of transformation responses: RESPONSE_CACHE=memory (default), disk or off
+const RESPONSE_CACHE = process.env.RESPONSE_CACHE || 'memory';
+if (!['memory', 'disk', 'off'].includes(RESPONSE_CACHE)) {
+  throw new Error('RESPONSE_CACHE must be one of: memory, disk, off');
+}
+const responseCache = RESPONSE_CACHE === 'off' ? null : new ResponseCache({
+  maxEntries: Number(process.env.RESPONSE_CACHE_MAX_ENTRIES) || 500,
+  ttlMs: parseTTLSeconds(process.env.RESPONSE_CACHE_TTL_SECONDS, 86400) * 1000,
+  filePath: RESPONSE_CACHE === 'disk'
+    ? process.env.RESPONSE_CACHE_FILE || path.join(process.env.DATA_DIR || 'data', 'response-cache.json')
+    : null
+});
+
 // Initialize Claude API
-const claudeAPI = new TextTransformAPI();
+const claudeAPI = new TextTransformAPI(null, { cache: responseCache });
+
+// Shared style guide library
+const styleGuides = new StyleGuideStore();
+
+// Saved editor documents and their revision history
+const documents = new DocumentStore();
+
+// Aggregate token usage and cost of every Claude call, per API key
+const usageTracker = new UsageTracker();
+claudeAPI.onUsage = (record) => {
+  usageTracker.record({ ...record, keyId: currentKey()?.id || null })
+    .catch(error => console.error('Usage Tracking Error:', error));
+};
+
+// JSONL audit log of every model call (AUDIT_LOG=off disables it)
+const auditLog = process.env.AUDIT_LOG === 'off'
+  ? null
+  : new AuditLog({ filePath: process.env.AUDIT_LOG || null, payloads: process.env.AUDIT_PAYLOADS || 'store' });
+if (auditLog) {
+  claudeAPI.onAudit = (event) => {
+    auditLog.append(event, { requestId: currentRequestId(), keyId: currentKey()?.id || null })
+      .catch(error => console.error('Audit Log Error:', error));
+  };
+}
+
+// Model calls a request is known to make up front: one per variant, for every item of a batch
+function modelCallsOf(req) {
+  const variantsOf = (options) => Math.min(Math.max(parseInt(options?.variants, 10) || 1, 1), MAX_VARIANTS);
+  const items = req.path === '/api/transform/batch' && Array.isArray(req.body?.items) ? req.body.items : [req.body];
+  return Math.max(items.reduce((sum, item) => sum + variantsOf(item?.options), 0), 1);
+}
+
+// API keys with per-key request rates and daily token quotas (0 = unlimited)
+const AUTH_DISABLED = process.env.AUTH_DISABLED === 'true';
+const apiKeys = new ApiKeyStore();
+const auth = createAuth({
+  keys: apiKeys,
+  usage: usageTracker,
+  adminKey: process.env.ADMIN_API_KEY || null,
+  disabled: AUTH_DISABLED,
+  defaults: {
+    requestsPerMinute: Number(process.env.RATE_LIMIT_PER_MINUTE ?? 30),
+    tokensPerDay: Number(process.env.TOKEN_QUOTA_PER_DAY ?? 0)
+  },
+  costOf: modelCallsOf
+});
+
+// Each model call counts against the rate limit and checks the daily quota,
+// not just the HTTP request that started it
+claudeAPI.beforeCall = async () => {
+  auth.assertRate();
+  await auth.assertQuota();
+};
+
+// Asynchronous batch jobs and batch limits
+const batchJobs = new BatchJobStore();
+const BATCH_SYNC_LIMIT = 50; // Larger batches must run as a job
+const BATCH_MAX_ITEMS = 1000;
+const BATCH_CONCURRENCY = Number(process.env.BATCH_CONCURRENCY) || 4;
+
+// Style guide samples per request; uploaded files make bodies larger than usual
+const STYLE_GUIDE_MAX_SAMPLES = 50;
+const JSON_BODY_LIMIT = process.env.JSON_BODY_LIMIT || '10mb';
+
+// Cross-origin requests only from the comma-separated CORS_ORIGINS
+const corsOrigins = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+
+// Middleware
+app.use(cors({ origin: corsOrigins.length > 0 ? corsOrigins : false }));
+app.use(express.json({ limit: JSON_BODY_LIMIT }));
+
+// Only the browser app is served as static files. The current directory also
+// holds the server code and, depending on DATA_DIR and AUDIT_LOG, API keys,
+// usage and the audit log, none of which may be served.
+const PUBLIC_FILES = [
+  'v1.html',
+  'v2.html',
+  'api-frontend.js',
+  'api-browser.js',
+  'providers/anthropic-http.js',
+  'rich-text.js',
+  'text-diff.js'
+];
+for (const file of PUBLIC_FILES) {
+  app.get(`/${file}`, (req, res) => res.sendFile(path.resolve(file)));
+}
+
+// Tag every API request with an ID for the audit log; clients may pass their own
+app.use('/api', (req, res, next) => {
+  const clientId = req.get('X-Request-Id');
+  req.id = clientId && /^[\w.-]{1,64}$/.test(clientId) ? clientId : randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+});
+
+// Every API route except the health check needs an API key
+app.use('/api', (req, res, next) => req.path === '/health' ? next() : auth.authenticate(req, res, next));
+
+// API Routes
+app.post('/api/generate-style-guide', auth.limitUsage, async (req, res) => {
+  try {
+    const { exampleText = '', samples = [], additionalInstructions = '', model } = req.body;
+
+    if (typeof exampleText !== 'string' || typeof additionalInstructions !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'exampleText and additionalInstructions must be strings'
+      });
+    }
+
+    if (!Array.isArray(samples) || samples.some(sample => !sample || typeof sample !== 'object')) {
+      return res.status(400).json({
+        success: false,
+        error: 'samples must be an array of { name, type, content, weight } objects'
+      });
+    }
+
+    if (!exampleText.trim() && samples.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required field: exampleText or samples'
+      });
+    }
+
+    if (samples.length > STYLE_GUIDE_MAX_SAMPLES) {
+      return res.status(400).json({
+        success: false,
+        error: `Too many samples: ${samples.length}. Maximum is ${STYLE_GUIDE_MAX_SAMPLES}.`
+      });
+    }
+
+    if (model && !claudeAPI.getAvailableModels()[model]) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid model ID: ${model}`
+      });
+    }
+
+    // Pasted text counts as one more sample
+    let prepared;
+    try {
+      prepared = prepareSamples([
+        ...(exampleText.trim() ? [{ name: 'Pasted text', type: 'text', text: exampleText.trim() }] : []),
+        ...samples
+      ]);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    const result = await claudeAPI.generateStyleGuide(prepared, additionalInstructions, { model });
+    res.json(result);
+  } catch (error) {
+    console.error('Style Guide Generation Error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Validate the model and prompt language options, returning an error message or null
+function validateModelOptions(options = {}) {
+  if (options.model && !claudeAPI.getAvailableModels()[options.model]) {
+    return `Invalid model ID: ${options.model}`;
+  }
+
+  const language = options.language || options.locale;
+  if (language && !claudeAPI.prompts.resolveLocale(language)) {
+    return `Unsupported language: ${language}. Available languages: ${claudeAPI.prompts.list().map(set => set.locale).join(', ')}.`;
+  }
+
+  return null;
+}
+
+// Fields of an inline style guide object that hold guide text
+const STYLE_GUIDE_TEXT_FIELDS = ['styleGuide', 'comprehensiveGuide', 'conciseGuide'];
+
+// Validate an inline options.styleGuide: guide text, or an object with at
+// least one of STYLE_GUIDE_TEXT_FIELDS and only strings in them. Returns an
+// error message or null.
+function validateStyleGuideOption(styleGuide) {
+  if (styleGuide === undefined || styleGuide === null || typeof styleGuide === 'string') {
+    return null;
+  }
+  const error = 'options.styleGuide must be a string or an object with styleGuide, comprehensiveGuide or conciseGuide text';
+  if (typeof styleGuide !== 'object' || Array.isArray(styleGuide)) {
+    return error;
+  }
+  const fields = STYLE_GUIDE_TEXT_FIELDS.filter(field => styleGuide[field] !== undefined && styleGuide[field] !== null);
+  if (fields.some(field => typeof styleGuide[field] !== 'string') || !fields.some(field => styleGuide[field].trim())) {
+    return error;
+  }
+  return null;
+}
+
+// Validate options.styleGuideVersion, returning an error message or null
+function validateStyleGuideVersion(version) {
+  return version !== null && Number.isNaN(parseRevisionParam(version))
+    ? 'options.styleGuideVersion must be a positive integer'
+    : null;
+}
+
+// Validate a transform request body, returning an error message or null.
+// With allowTemplate (the JSON template route and batch items), a template
+// (string or parsed JSON) may take the place of text.
+async function validateTransformRequest({ text, template, action, options = {} }, { allowTemplate = false } = {}) {
+  if (!allowTemplate) {
+    template = undefined;
+  }
+
+  if (!(template ?? text) || !action) {
+    return 'Missing required fields: text and action';
+  }
+
+  if (template == null && typeof text !== 'string') {
+    return 'text must be a string';
+  }
+
+  if (template != null && typeof template !== 'string' && typeof template !== 'object') {
+    return 'template must be a JSON string or object';
+  }
+
+  if (typeof action !== 'string') {
+    return 'action must be a string';
+  }
+
+  if (typeof options !== 'object' || options === null || Array.isArray(options)) {
+    return 'options must be an object';
+  }
+
+  const actionDefinition = await claudeAPI.actions.get(action);
+  if (!actionDefinition) {
+    const supported = (await claudeAPI.actions.list()).map(a => a.name);
+    return `Unknown action: ${action}. Supported actions: ${supported.join(', ')}.`;
+  }
+
+  if (actionDefinition.requiresInstruction && !(typeof options.instruction === 'string' && options.instruction.trim())) {
+    return `${actionDefinition.name} action requires instruction in options`;
+  }
+
+  const optionsError = validateModelOptions(options) ||
+    validateStyleGuideOption(options.styleGuide) ||
+    validateStyleGuideVersion(options.styleGuideVersion) ||
+    claudeAPI.validateSamplingParams(options, 'options.');
+  if (optionsError) {
+    return optionsError;
+  }
+
+  if (options.variants !== undefined) {
+    const variants = Number(options.variants);
+    if (!Number.isInteger(variants) || variants < 1 || variants > MAX_VARIANTS) {
+      return `options.variants must be an integer between 1 and ${MAX_VARIANTS}`;
+    }
+  }
+
+  if (options.format !== undefined && !FORMATS.includes(options.format)) {
+    return `options.format must be one of: ${FORMATS.join(', ')}`;
+  }
+
+  // Output constraints, and per field key or path for JSON templates
+  const constraintsError = validateConstraints(options.constraints, 'options.constraints');
+  if (constraintsError) {
+    return constraintsError;
+  }
+
+  const { fieldConstraints } = options;
+  if (fieldConstraints !== undefined) {
+    if (typeof fieldConstraints !== 'object' || fieldConstraints === null || Array.isArray(fieldConstraints)) {
+      return 'options.fieldConstraints must be an object of field keys or paths to constraints';
+    }
+    for (const [field, constraints] of Object.entries(fieldConstraints)) {
+      const error = validateConstraints(constraints, `options.fieldConstraints["${field}"]`);
+      if (error) {
+        return error;
+      }
+    }
+  }
+
+  return null;
+}
+
+// Replace options.styleGuideId with the stored guide, or return null if it doesn't exist
+async function resolveStyleGuide(options = {}) {
+  if (!options.styleGuideId) {
+    return options;
+  }
+
+  const { styleGuideId, styleGuideVersion, ...rest } = options;
+  const styleGuide = await styleGuides.get(styleGuideId, parseRevisionParam(styleGuideVersion ?? undefined));
+  return styleGuide ? { ...rest, styleGuide } : null;
+}
+
+// Style compliance check (ANALYZE): score text against a style guide and list
+// violations with their spans and suggested fixes
+app.post('/api/style-check', auth.limitUsage, async (req, res) => {
+  try {
+    const { text, options = {} } = req.body;
+
+    if (text !== undefined && typeof text !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'text must be a string'
+      });
+    }
+
+    if (typeof options !== 'object' || options === null || Array.isArray(options)) {
+      return res.status(400).json({
+        success: false,
+        error: 'options must be an object'
+      });
+    }
+
+    if (!text || !text.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required field: text'
+      });
+    }
+
+    if (!options.styleGuide && !options.styleGuideId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing style guide: options.styleGuide or options.styleGuideId'
+      });
+    }
+
+    const validationError = validateModelOptions(options) ||
+      validateStyleGuideOption(options.styleGuide) ||
+      validateStyleGuideVersion(options.styleGuideVersion) ||
+      claudeAPI.validateSamplingParams({ max_tokens: options.max_tokens }, 'options.') ||
+      (options.guide && !['comprehensive', 'concise'].includes(options.guide)
+        ? 'options.guide must be one of: comprehensive, concise'
+        : null);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    const resolvedOptions = await resolveStyleGuide(options);
+    if (!resolvedOptions) {
+      return res.status(404).json({
+        success: false,
+        error: `Style guide not found: ${options.styleGuideId}`
+      });
+    }
+
+    const { styleGuide, ...analyzeOptions } = resolvedOptions;
+    const result = await claudeAPI.analyze(text, styleGuide, analyzeOptions);
+    res.json(result);
+  } catch (error) {
+    console.error('Style Check Error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+app.post('/api/transform', auth.limitUsage, async (req, res) => {
+  try {
+    const { text, action, options = {} } = req.body;
+
+    const validationError = await validateTransformRequest(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    const resolvedOptions = await resolveStyleGuide(options);
+    if (!resolvedOptions) {
+      return res.status(404).json({
+        success: false,
+        error: `Style guide not found: ${options.styleGuideId}`
+      });
+    }
+
+    const result = await claudeAPI.runAction(action, text, resolvedOptions);
+    res.json(result);
+  } catch (error) {
+    console.error('API Error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Streaming variant of /api/transform using Server-Sent Events.
+// Emits `delta` events with text chunks, then a single `done` or `error` event.
+app.post('/api/transform/stream', auth.limitUsage, async (req, res) => {
+  const { text, action, options = {} } = req.body;
+
+  let validationError;
+  let resolvedOptions;
+  try {
+    validationError = await validateTransformRequest(req.body);
+    resolvedOptions = validationError ? null : await resolveStyleGuide(options);
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  if (validationError) {
+    return res.status(400).json({
+      success: false,
+      error: validationError
+    });
+  }
+
+  if (!resolvedOptions) {
+    return res.status(404).json({
+      success: false,
+      error: `Style guide not found: ${options.styleGuideId}`
+    });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  const sendEvent = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Cancel the Claude request when the client disconnects mid-stream
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      controller.abort();
+    }
+  });
+
+  try {
+    const result = await claudeAPI.runAction(action, text, {
+      ...resolvedOptions,
+      signal: controller.signal,
+      onText: (delta) => sendEvent('delta', { text: delta })
+    });
+
+    if (!controller.signal.aborted) {
+      sendEvent(result.success ? 'done' : 'error', result);
+    }
+  } catch (error) {
+    console.error('API Stream Error:', error);
+    sendEvent('error', {
+      success: false,
+      error: error.message
+    });
+  }
+
+  res.end();
+});
+
+// JSON template mode: transform copy fields by key or JSONPath, keep structure intact
+app.post('/api/transform/json', auth.limitUsage, async (req, res) => {
+  try {
+    const { template, action, options = {} } = req.body;
+
+    if (!template) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required field: template'
+      });
+    }
+
+    const validationError = await validateTransformRequest({ template, action, options }, { allowTemplate: true });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    if (options.fields !== undefined && !Array.isArray(options.fields)) {
+      return res.status(400).json({
+        success: false,
+        error: 'options.fields must be an array of field names'
+      });
+    }
+
+    if (options.paths !== undefined && !Array.isArray(options.paths)) {
+      return res.status(400).json({
+        success: false,
+        error: 'options.paths must be an array of JSONPath expressions'
+      });
+    }
+
+    const resolvedOptions = await resolveStyleGuide(options);
+    if (!resolvedOptions) {
+      return res.status(404).json({
+        success: false,
+        error: `Style guide not found: ${options.styleGuideId}`
+      });
+    }
+
+    const result = await claudeAPI.transformJSON(template, action, resolvedOptions);
+    res.status(result.success || result.fields ? 200 : 400).json(result);
+  } catch (error) {
+    console.error('JSON Transform Error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Validate and resolve batch items. Invalid items become failed results
+// up front so the rest of the batch still runs.
+async function prepareBatchItems(items) {
+  return await Promise.all(items.map(async (item, index) => {
+    const { text, template, action, options = {} } = item || {};
+    const failure = (error) => ({
+      index,
+      failure: { index, action, success: false, error, timestamp: new Date().toISOString() }
+    });
+
+    const validationError = await validateTransformRequest({ text, template, action, options }, { allowTemplate: true });
+    if (validationError) {
+      return failure(validationError);
+    }
+
+    const resolvedOptions = await resolveStyleGuide(options);
+    if (!resolvedOptions) {
+      return failure(`Style guide not found: ${options.styleGuideId}`);
+    }
+
+    return { index, item: { text, template, action, options: resolvedOptions } };
+  }));
+}
+
+// Run prepared items, reporting each finished entry (in any order) to onItemComplete.
+// Aborting signal cancels the items that haven't finished.
+async function runBatch(prepared, concurrency, onItemComplete = () => {}, signal = null) {
+  const runnable = prepared.filter(entry => entry.item);
+  const results = new Array(prepared.length);
+
+  for (const entry of prepared) {
+    if (entry.failure) {
+      results[entry.index] = entry.failure;
+      onItemComplete(entry.failure);
+    }
+  }
+
+  await claudeAPI.transformBatch(runnable.map(entry => entry.item), {
+    concurrency,
+    signal,
+    onItemComplete: (result) => {
+      // Map the position within the runnable list back to the original index
+      const entry = { ...result, index: runnable[result.index].index };
+      results[entry.index] = entry;
+      onItemComplete(entry);
+    }
+  });
+
+  return results;
+}
+
+function summarizeBatch(results) {
+  return {
+    total: results.length,
+    succeeded: results.filter(result => result && result.success).length,
+    failed: results.filter(result => result && !result.success).length
+  };
+}
+
+// Batch transformation: { items: [{ text | template, action, options }], concurrency, async }
+// With async: true the batch runs as a job; poll GET /api/transform/batch/:jobId for progress.
+app.post('/api/transform/batch', auth.limitUsage, async (req, res) => {
+  try {
+    const { items, async: runAsync = false } = req.body;
+    const concurrency = Math.min(Math.max(Number(req.body.concurrency) || BATCH_CONCURRENCY, 1), 10);
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required field: items (non-empty array)'
+      });
+    }
+
+    if (items.length > BATCH_MAX_ITEMS) {
+      return res.status(400).json({
+        success: false,
+        error: `Too many items: ${items.length}. Maximum is ${BATCH_MAX_ITEMS}.`
+      });
+    }
+
+    if (!runAsync && items.length > BATCH_SYNC_LIMIT) {
+      return res.status(400).json({
+        success: false,
+        error: `Batches over ${BATCH_SYNC_LIMIT} items must run as a job. Set "async": true and poll /api/transform/batch/:jobId.`
+      });
+    }
+
+    const prepared = await prepareBatchItems(items);
+
+    if (runAsync) {
+      const job = batchJobs.create(items.length, { keyId: req.apiKey.id });
+
+      runBatch(prepared, concurrency, (entry) => batchJobs.recordResult(job, entry), job.controller.signal)
+        .then(() => batchJobs.finish(job))
+        .catch((error) => {
+          console.error('Batch Job Error:', error);
+          batchJobs.fail(job, error);
+        });
+
+      return res.status(202).json({
+        success: true,
+        jobId: job.id,
+        status: job.status,
+        total: job.total,
+        statusUrl: `/api/transform/batch/${job.id}`
+      });
+    }
+
+    const results = await runBatch(prepared, concurrency);
+    const summary = summarizeBatch(results);
+
+    res.json({
+      success: summary.failed === 0,
+      ...summary,
+      results,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Batch Error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// A batch job, if it exists and belongs to the caller's key (admins see all jobs)
+function visibleJob(req) {
+  const job = batchJobs.get(req.params.jobId);
+  return job && (job.keyId === req.apiKey.id || req.apiKey.role === 'admin') ? job : null;
+}
+
+app.get('/api/transform/batch/:jobId', (req, res) => {
+  const job = visibleJob(req);
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: `Batch job not found: ${req.params.jobId}`
+    });
+  }
+
+  res.json({
+    success: true,
+    jobId: job.id,
+    status: job.status,
+    total: job.total,
+    completed: job.completed,
+    failed: job.failed,
+    results: job.results,
+    createdAt: job.createdAt,
+    finishedAt: job.finishedAt,
+    ...(job.error && { error: job.error })
+  });
+});
+
+// Stop a batch job: items in flight are aborted, the rest never run
+app.post('/api/transform/batch/:jobId/cancel', (req, res) => {
+  const job = visibleJob(req);
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: `Batch job not found: ${req.params.jobId}`
+    });
+  }
+
+  if (!batchJobs.cancel(job)) {
+    return res.status(409).json({
+      success: false,
+      error: `Batch job already ${job.status}`
+    });
+  }
+
+  res.json({
+    success: true,
+    jobId: job.id,
+    status: job.status,
+    completed: job.completed,
+    total: job.total
+  });
+});
+
+// Style guides and documents are shared: every key can read them, but only the
+// key that created one, or an admin, can change or delete it
+function canModify(key, record) {
+  return key.role === 'admin' || (!!record.ownerKeyId && record.ownerKeyId === key.id);
+}
+
+function requireOwner(store, label) {
+  return async (req, res, next) => {
+    try {
+      const record = await store.get(req.params.id);
+      if (record && !canModify(req.apiKey, record)) {
+        return res.status(403).json({
+          success: false,
+          error: `Only the API key that created this ${label} or an admin can change it`
+        });
+      }
+      next();
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  };
+}
+
+// Style guide library endpoints
+app.get('/api/style-guides', async (req, res) => {
+  try {
+    const guides = await styleGuides.list();
+    res.json({
+      success: true,
+      styleGuides: guides
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+app.post('/api/style-guides', async (req, res) => {
+  try {
+    const validationError = validateStyleGuideFields(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    if (!req.body.styleGuide && !req.body.comprehensiveGuide) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing style guide content: styleGuide or comprehensiveGuide'
+      });
+    }
+
+    const styleGuide = await styleGuides.create({ ...req.body, ownerKeyId: req.apiKey.id });
+    res.status(201).json({
+      success: true,
+      styleGuide
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+app.get('/api/style-guides/:id', async (req, res) => {
+  try {
+    const version = parseRevisionParam(req.query.version);
+    if (Number.isNaN(version)) {
+      return res.status(400).json({
+        success: false,
+        error: 'version must be a positive integer'
+      });
+    }
+
+    const styleGuide = await styleGuides.get(req.params.id, version);
+
+    if (!styleGuide) {
+      return res.status(404).json({
+        success: false,
+        error: `Style guide not found: ${req.params.id}${version ? ` (version ${version})` : ''}`
+      });
+    }
+
+    res.json({
+      success: true,
+      styleGuide
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+app.get('/api/style-guides/:id/versions', async (req, res) => {
+  try {
+    const versions = await styleGuides.getVersions(req.params.id);
+
+    if (!versions) {
+      return res.status(404).json({
+        success: false,
+        error: `Style guide not found: ${req.params.id}`
+      });
+    }
+
+    res.json({
+      success: true,
+      versions
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+app.put('/api/style-guides/:id', requireOwner(styleGuides, 'style guide'), async (req, res) => {
+  try {
+    const validationError = validateStyleGuideFields(req.body, { partial: true });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    const styleGuide = await styleGuides.update(req.params.id, req.body);
+
+    if (!styleGuide) {
+      return res.status(404).json({
+        success: false,
+        error: `Style guide not found: ${req.params.id}`
+      });
+    }
+
+    res.json({
+      success: true,
+      styleGuide
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+app.delete('/api/style-guides/:id', requireOwner(styleGuides, 'style guide'), async (req, res) => {
+  try {
+    const deleted = await styleGuides.delete(req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: `Style guide not found: ${req.params.id}`
+      });
+    }
+
+    res.json({
+      success: true,
+      id: req.params.id
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Document workspace with revision history
+const DOCUMENT_MODES = ['text', 'json'];
+
+// Validate document fields, returning an error message or null
+function validateDocumentFields({ title, mode, content, html }) {
+  if (title !== undefined && typeof title !== 'string') {
+    return 'title must be a string';
+  }
+  if (mode !== undefined && !DOCUMENT_MODES.includes(mode)) {
+    return `mode must be one of: ${DOCUMENT_MODES.join(', ')}`;
+  }
+  if (content !== undefined && typeof content !== 'string') {
+    return 'content must be a string';
+  }
+  if (html !== undefined && html !== null && typeof html !== 'string') {
+    return 'html must be a string';
+  }
+  return null;
+}
+
+app.get('/api/documents', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      documents: await documents.list()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+app.post('/api/documents', async (req, res) => {
+  try {
+    const validationError = validateDocumentFields(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    const document = await documents.create({ ...req.body, ownerKeyId: req.apiKey.id });
+    res.status(201).json({
+      success: true,
+      document
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+app.get('/api/documents/:id', async (req, res) => {
+  try {
+    const revision = parseRevisionParam(req.query.revision);
+    if (Number.isNaN(revision)) {
+      return res.status(400).json({
+        success: false,
+        error: 'revision must be a positive integer'
+      });
+    }
+
+    const document = await documents.get(req.params.id, revision);
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        error: `Document not found: ${req.params.id}${revision ? ` (revision ${revision})` : ''}`
+      });
+    }
+
+    res.json({
+      success: true,
+      document
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+app.put('/api/documents/:id', requireOwner(documents, 'document'), async (req, res) => {
+  try {
+    const validationError = validateDocumentFields(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    const document = await documents.update(req.params.id, req.body);
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        error: `Document not found: ${req.params.id}`
+      });
+    }
+
+    res.json({
+      success: true,
+      document
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+app.delete('/api/documents/:id', requireOwner(documents, 'document'), async (req, res) => {
+  try {
+    const deleted = await documents.delete(req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: `Document not found: ${req.params.id}`
+      });
+    }
+
+    res.json({
+      success: true,
+      id: req.params.id
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+app.get('/api/documents/:id/revisions', async (req, res) => {
+  try {
+    const revisions = await documents.getRevisions(req.params.id);
+
+    if (!revisions) {
+      return res.status(404).json({
+        success: false,
+        error: `Document not found: ${req.params.id}`
+      });
+    }
+
+    res.json({
+      success: true,
+      revisions
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Record a transformation: action, instruction, model, the before/after copy
+// and the document content once the result was applied
+app.post('/api/documents/:id/revisions', requireOwner(documents, 'document'), async (req, res) => {
+  try {
+    const { action, content, instruction, model, before, after } = req.body;
+
+    if (!action || typeof content !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: action and content'
+      });
+    }
+
+    const validationError = validateDocumentFields(req.body) ||
+      ([instruction, model, before, after].some(field => field !== undefined && field !== null && typeof field !== 'string')
+        ? 'instruction, model, before and after must be strings'
+        : null);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    const revision = await documents.addRevision(req.params.id, {
+      ...req.body,
+      action: normalizeActionName(action)
+    });
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        error: `Document not found: ${req.params.id}`
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      revision
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+app.post('/api/documents/:id/restore', requireOwner(documents, 'document'), async (req, res) => {
+  try {
+    const revision = parseRevisionParam(req.body.revision);
+
+    if (!revision) {
+      return res.status(400).json({
+        success: false,
+        error: 'revision must be a positive integer'
+      });
+    }
+
+    const document = await documents.restore(req.params.id, revision);
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        error: `Document not found: ${req.params.id} (revision ${revision})`
+      });
+    }
+
+    res.json({
+      success: true,
+      document
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
 
-// Middleware
-app.use(cors());
-app.use(express.json());
-app.use(express.static('.')); // Serve static files from current directory
+// Word-level diff between two revisions: GET /api/documents/:id/diff?from=2&to=5
+// (to defaults to the latest revision, from to the one before it)
+app.get('/api/documents/:id/diff', async (req, res) => {
+  try {
+    const toParam = parseRevisionParam(req.query.to);
+    const fromParam = parseRevisionParam(req.query.from);
+    if (Number.isNaN(toParam) || Number.isNaN(fromParam)) {
+      return res.status(400).json({
+        success: false,
+        error: 'from and to must be positive integers'
+      });
+    }
 
-// API Routes
-app.post('/api/generate-style-guide', async (req, res) => {
+    const latest = await documents.get(req.params.id);
+
+    if (!latest) {
+      return res.status(404).json({
+        success: false,
+        error: `Document not found: ${req.params.id}`
+      });
+    }
+
+    const to = toParam ?? latest.revision;
+    const from = fromParam ?? Math.max(to - 1, 1);
+    const [fromDocument, toDocument] = await Promise.all([
+      documents.get(req.params.id, from),
+      documents.get(req.params.id, to)
+    ]);
+
+    if (!fromDocument || !toDocument) {
+      return res.status(404).json({
+        success: false,
+        error: `Revision not found: ${!fromDocument ? from : to}`
+      });
+    }
+
+    const parts = diffWords(fromDocument.content, toDocument.content);
+    res.json({
+      success: true,
+      from,
+      to,
+      ...summarizeDiff(parts),
+      parts
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Usage and cost accounting: GET /api/usage?from=YYYY-MM-DD&to=YYYY-MM-DD&model=...&action=...&key=...
+// Admins see all keys; other keys only see their own usage.
+app.get('/api/usage', async (req, res) => {
   try {
-    const { exampleText, additionalInstructions = '' } = req.body;
+    const { from, to, model, action } = req.query;
+    const keyId = req.apiKey.role === 'admin' ? req.query.key : req.apiKey.id;
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
 
-    if (!exampleText || !exampleText.trim()) {
+    if ((from && !datePattern.test(from)) || (to && !datePattern.test(to))) {
       return res.status(400).json({
         success: false,
-        error: 'Missing required field: exampleText'
+        error: 'from and to must be dates in YYYY-MM-DD format'
       });
     }
 
-    const result = await claudeAPI.generateStyleGuide(exampleText.trim(), additionalInstructions);
-    res.json(result);
+    const usage = await usageTracker.summarize({ from, to, model, action, keyId });
+    res.json({
+      success: true,
+      currency: 'USD',
+      ...usage
+    });
   } catch (error) {
-    console.error('Style Guide Generation Error:', error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -37,45 +1243,313 @@ app.post('/api/generate-style-guide', async (req, res) => {
   }
 });
 
-app.post('/api/transform', async (req, res) => {
+// Audit log entries, most recent last: GET /api/audit?since=ISO&type=...&action=...&requestId=...&outcome=...&limit=100
+app.get('/api/audit', auth.requireAdmin, async (req, res) => {
   try {
-    const { text, action, options = {} } = req.body;
+    if (!auditLog) {
+      return res.status(404).json({
+        success: false,
+        error: 'The audit log is disabled (AUDIT_LOG=off)'
+      });
+    }
+
+    const { since, type, action, requestId, outcome } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+    res.json({
+      success: true,
+      entries: await auditLog.read({ since, type, action, requestId, outcome, limit })
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Response cache hit/miss statistics
+app.get('/api/cache', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      enabled: !!responseCache,
+      ...(responseCache && { stats: await responseCache.getStats() })
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
 
-    if (!text || !action) {
+// Drop all cached responses
+app.delete('/api/cache', auth.requireAdmin, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      removed: responseCache ? await responseCache.clear() : 0
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// API keys. Keys are shown once, on creation; only admins can manage them.
+app.get('/api/keys/me', async (req, res) => {
+  try {
+    const key = req.apiKey;
+    res.json({
+      success: true,
+      key: key,
+      limits: auth.limitsFor(key),
+      tokensUsedToday: key.id ? await usageTracker.tokensUsed({ keyId: key.id, day: new Date().toISOString().slice(0, 10) }) : 0
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+app.get('/api/keys', auth.requireAdmin, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      keys: await apiKeys.list()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+app.post('/api/keys', auth.requireAdmin, async (req, res) => {
+  try {
+    const validationError = validateKeyDefinition(req.body);
+    if (validationError) {
       return res.status(400).json({
         success: false,
-        error: 'Missing required fields: text and action'
+        error: validationError
       });
     }
 
-    let result;
+    const { key, apiKey } = await apiKeys.create(req.body);
+    res.status(201).json({
+      success: true,
+      key,
+      apiKey
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
 
-    switch (action) {
-      case 'ARTICULATE':
-        result = await claudeAPI.articulate(text, options);
-        break;
-      case 'REFINE':
-        result = await claudeAPI.refine(text, options);
-        break;
-      case 'EDIT':
-        if (!options.instruction) {
-          return res.status(400).json({
-            success: false,
-            error: 'EDIT action requires instruction in options'
-          });
-        }
-        result = await claudeAPI.edit(text, options.instruction, options);
-        break;
-      default:
-        return res.status(400).json({
-          success: false,
-          error: `Unknown action: ${action}. Supported actions: ARTICULATE, REFINE, EDIT.`
-        });
+app.put('/api/keys/:id', auth.requireAdmin, async (req, res) => {
+  try {
+    const validationError = validateKeyDefinition(req.body, { partial: true });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
     }
 
-    res.json(result);
+    const key = await apiKeys.update(req.params.id, req.body);
+    if (!key) {
+      return res.status(404).json({
+        success: false,
+        error: `API key not found: ${req.params.id}`
+      });
+    }
+
+    res.json({
+      success: true,
+      key
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+app.delete('/api/keys/:id', auth.requireAdmin, async (req, res) => {
+  try {
+    const deleted = await apiKeys.delete(req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: `API key not found: ${req.params.id}`
+      });
+    }
+
+    res.json({
+      success: true,
+      id: req.params.id
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Action registry: built-in actions plus team-defined custom actions
+app.get('/api/actions', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      actions: await claudeAPI.actions.list()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+app.post('/api/actions', auth.requireAdmin, async (req, res) => {
+  try {
+    const validationError = validateActionDefinition(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    if (await claudeAPI.actions.get(req.body.name)) {
+      return res.status(400).json({
+        success: false,
+        error: `Action already exists: ${normalizeActionName(req.body.name)}`
+      });
+    }
+
+    const action = await claudeAPI.actions.create(req.body);
+    res.status(201).json({
+      success: true,
+      action
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+app.put('/api/actions/:name', auth.requireAdmin, async (req, res) => {
+  try {
+    if (claudeAPI.actions.isBuiltIn(req.params.name)) {
+      return res.status(400).json({
+        success: false,
+        error: `Built-in actions can't be changed: ${normalizeActionName(req.params.name)}`
+      });
+    }
+
+    const validationError = validateActionDefinition(req.body, { partial: true });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    const action = await claudeAPI.actions.update(req.params.name, req.body);
+    if (!action) {
+      return res.status(404).json({
+        success: false,
+        error: `Action not found: ${req.params.name}`
+      });
+    }
+
+    res.json({
+      success: true,
+      action
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+app.delete('/api/actions/:name', auth.requireAdmin, async (req, res) => {
+  try {
+    if (claudeAPI.actions.isBuiltIn(req.params.name)) {
+      return res.status(400).json({
+        success: false,
+        error: `Built-in actions can't be deleted: ${normalizeActionName(req.params.name)}`
+      });
+    }
+
+    const deleted = await claudeAPI.actions.delete(req.params.name);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: `Action not found: ${req.params.name}`
+      });
+    }
+
+    res.json({
+      success: true,
+      name: normalizeActionName(req.params.name)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Prompt sets per language, selected per request with options.language
+app.get('/api/prompts', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      defaultLanguage: claudeAPI.prompts.defaultLocale,
+      promptSets: claudeAPI.prompts.list()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Full prompt set including its templates, e.g. for reviewing prompt changes
+app.get('/api/prompts/:language', (req, res) => {
+  try {
+    const locale = claudeAPI.prompts.resolveLocale(req.params.language);
+    if (!locale) {
+      return res.status(404).json({
+        success: false,
+        error: `Prompt set not found: ${req.params.language}`
+      });
+    }
+
+    res.json({
+      success: true,
+      promptSet: claudeAPI.prompts.get(locale)
+    });
   } catch (error) {
-    console.error('API Error:', error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -101,7 +1575,8 @@ app.get('/api/models', (req, res) => {
   }
 });
 
-app.post('/api/models/set', (req, res) => {
+// Sets the server-wide default model; individual requests can override it with options.model
+app.post('/api/models/set', auth.requireAdmin, (req, res) => {
   try {
     const { modelId } = req.body;
 
@@ -134,12 +1609,31 @@ app.post('/api/models/set', (req, res) => {
 });
 
 // Health check endpoint
-app.get('/api/health', async (req, res) => {
+// Liveness only: the health check needs no API key, so it must not call the model
+app.get('/api/health', (req, res) => {
+  res.json({
+    status: 'ok',
+    timestamp: new Date().toISOString(),
+    auth: !AUTH_DISABLED,
+    provider: claudeAPI.provider.name
+  });
+});
+
+// Model connection check (a paid request), for API keys only and reused for a minute
+const MODEL_CHECK_TTL_MS = 60 * 1000;
+let modelCheck = null;
+
+app.get('/api/health/model', async (req, res) => {
   try {
-    const validation = await claudeAPI.validateConnection();
+    if (!modelCheck || Date.now() - modelCheck.checkedAt > MODEL_CHECK_TTL_MS) {
+      modelCheck = { checkedAt: Date.now(), result: claudeAPI.validateConnection() };
+    }
+    const check = modelCheck;
+    const validation = await check.result;
     res.json({
-      status: 'ok',
+      status: validation.success ? 'ok' : 'error',
       timestamp: new Date().toISOString(),
+      checkedAt: new Date(check.checkedAt).toISOString(),
       claude: validation
     });
   } catch (error) {
@@ -156,11 +1650,26 @@ app.get('/', (req, res) => {
   res.redirect('/v2.html');
 });
 
+// On a first start with auth on and no keys at all, create an admin key so
+// the server can be used (and more keys created) right away
+async function ensureAdminKey() {
+  if (AUTH_DISABLED || process.env.ADMIN_API_KEY || (await apiKeys.list()).length > 0) {
+    return;
+  }
+  const { apiKey } = await apiKeys.create({ name: 'admin', role: 'admin' });
+  console.log(`🔑 Created an admin API key (shown only once, store it safely): ${apiKey}`);
+}
+
 // Start server
 app.listen(PORT, () => {
   console.log(`🚀 Copy Refinery server running at http://localhost:${PORT}`);
   console.log(`📝 Open http://localhost:${PORT}/v2.html to use the app`);
   console.log(`🔧 API health check: http://localhost:${PORT}/api/health`);
+  console.log(`🤖 LLM provider: ${claudeAPI.provider.name}`);
+  console.log(`🌐 Prompt languages: ${claudeAPI.prompts.list().map(set => set.locale).join(', ')} (default: ${claudeAPI.prompts.defaultLocale})`);
+  console.log(AUTH_DISABLED ? '⚠️  Authentication disabled (AUTH_DISABLED=true)' : '🔒 API requires a bearer API key');
+  console.log(`🗄️  Response cache: ${RESPONSE_CACHE}`);
+  ensureAdminKey().catch(error => console.error('API Key Setup Error:', error));
 });
 
 export default app;
\ No newline at end of file
@@ -0,0 +1,112 @@
+/**
+ * Style Guide Schema
+ *
+ * Generated style guides come back from the model as JSON with two tiers:
+ * a comprehensive guide for drafting (ARTICULATE) and a concise one for
+ * refining (REFINE/EDIT). This module validates that JSON and renders the
+ * text form that prompts and the UI use.
+ */
+
+const STYLE_GUIDE_TIERS = ['comprehensive', 'concise'];
+
+// Field name -> 'text' (a non-empty string) or 'list' (non-empty strings)
+const TIER_FIELDS = {
+  tone: 'text',
+  sentenceStructure: 'text',
+  vocabulary: 'text',
+  formality: 'text',
+  rules: 'list',
+  examples: 'list',
+  avoid: 'list'
+};
+
+const MAX_LIST_ITEMS = 30;
+
+const TIER_HEADINGS = {
+  comprehensive: 'UMFASSENDER STYLE GUIDE (für Grund-Textentwicklung)',
+  concise: 'PRÄZISER STYLE GUIDE (für Textverfeinerung)'
+};
+
+const FIELD_LABELS = {
+  tone: 'TON',
+  sentenceStructure: 'SATZSTRUKTUR',
+  vocabulary: 'WORTWAHL',
+  formality: 'FORMALITÄT',
+  rules: 'SCHREIBREGELN',
+  examples: 'BEISPIELE (ausschließlich zum Stilverständnis, nicht inhaltlich übernehmen)',
+  avoid: 'VERMEIDEN'
+};
+
+/**
+ * Validate style guide data against the schema. Returns { data, errors }:
+ * data is a trimmed copy without unknown fields, or null if there are errors.
+ */
+function parseStyleGuideData(input) {
+  const errors = [];
+  const data = {};
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { data: null, errors: ['Style guide must be a JSON object'] };
+  }
+
+  for (const tier of STYLE_GUIDE_TIERS) {
+    const section = input[tier];
+    if (!section || typeof section !== 'object' || Array.isArray(section)) {
+      errors.push(`${tier}: missing object`);
+      continue;
+    }
+
+    data[tier] = {};
+    for (const [field, kind] of Object.entries(TIER_FIELDS)) {
+      const value = section[field];
+
+      if (kind === 'text') {
+        if (typeof value !== 'string' || !value.trim()) {
+          errors.push(`${tier}.${field}: must be a non-empty string`);
+        } else {
+          data[tier][field] = value.trim();
+        }
+      } else if (!Array.isArray(value) || value.length === 0 || value.length > MAX_LIST_ITEMS) {
+        errors.push(`${tier}.${field}: must be a list of 1-${MAX_LIST_ITEMS} strings`);
+      } else if (value.some(item => typeof item !== 'string' || !item.trim())) {
+        errors.push(`${tier}.${field}: list items must be non-empty strings`);
+      } else {
+        data[tier][field] = value.map(item => item.trim());
+      }
+    }
+  }
+
+  return errors.length > 0 ? { data: null, errors } : { data, errors };
+}
+
+/**
+ * Render one tier of validated style guide data as text
+ */
+function renderStyleGuideTier(section) {
+  return Object.entries(TIER_FIELDS).map(([field, kind]) => kind === 'text'
+    ? `● ${FIELD_LABELS[field]}: ${section[field]}`
+    : `● ${FIELD_LABELS[field]}:\n${section[field].map(item => `  - ${field === 'examples' ? `"${item}"` : item}`).join('\n')}`
+  ).join('\n');
+}
+
+/**
+ * Render validated style guide data as the dual text guide
+ */
+function renderStyleGuide(data) {
+  const comprehensiveGuide = renderStyleGuideTier(data.comprehensive);
+  const conciseGuide = renderStyleGuideTier(data.concise);
+
+  return {
+    comprehensiveGuide,
+    conciseGuide,
+    fullResponse: `=== ${TIER_HEADINGS.comprehensive} ===\n\n${comprehensiveGuide}\n\n=== ${TIER_HEADINGS.concise} ===\n\n${conciseGuide}`
+  };
+}
+
+export {
+  STYLE_GUIDE_TIERS,
+  TIER_FIELDS,
+  parseStyleGuideData,
+  renderStyleGuideTier,
+  renderStyleGuide
+};
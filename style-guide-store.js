@@ -0,0 +1,297 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { WriteQueue, writeFileAtomic } from './json-store.js';
+import { parseStyleGuideData } from './style-guide-schema.js';
+
+/**
+ * Style Guide Store
+ *
+ * Persists named, versioned style guides in a local JSON file so the whole
+ * team can share them. Every update appends a new version; older versions
+ * stay available for reference.
+ */
+
+// Fields of a generated or manual style guide that are stored per version
+const CONTENT_FIELDS = [
+  'styleGuide',
+  'comprehensiveGuide',
+  'conciseGuide',
+  'structuredGuide',
+  'fullResponse',
+  'exampleText',
+  'sources',
+  'additionalInstructions',
+  'model',
+  'isManual'
+];
+
+// Content fields stored as text
+const TEXT_FIELDS = [
+  'styleGuide',
+  'comprehensiveGuide',
+  'conciseGuide',
+  'fullResponse',
+  'exampleText',
+  'additionalInstructions',
+  'model'
+];
+
+// Validate one entry of the sources list, returning an error message or null
+function validateSource(source, index) {
+  if (!source || typeof source !== 'object' || Array.isArray(source)) {
+    return `sources[${index}] must be an object`;
+  }
+  if (typeof source.name !== 'string' || typeof source.type !== 'string') {
+    return `sources[${index}].name and type must be strings`;
+  }
+  if (!Number.isFinite(source.weight)) {
+    return `sources[${index}].weight must be a number`;
+  }
+  for (const field of ['chars', 'usedChars']) {
+    if (source[field] !== undefined && !(Number.isInteger(source[field]) && source[field] >= 0)) {
+      return `sources[${index}].${field} must be a non-negative integer`;
+    }
+  }
+  if (source.truncated !== undefined && typeof source.truncated !== 'boolean') {
+    return `sources[${index}].truncated must be a boolean`;
+  }
+  return null;
+}
+
+/**
+ * Validate the fields of a style guide to create or update, returning an
+ * error message or null. With partial, name may be left out.
+ */
+function validateStyleGuideFields(fields = {}, { partial = false } = {}) {
+  const { name, description, structuredGuide, sources, isManual } = fields;
+
+  if ((!partial || name !== undefined) && (typeof name !== 'string' || !name.trim())) {
+    return partial ? 'Style guide name cannot be empty' : 'Missing required field: name';
+  }
+  if (description !== undefined && typeof description !== 'string') {
+    return 'description must be a string';
+  }
+  for (const field of TEXT_FIELDS) {
+    if (fields[field] !== undefined && fields[field] !== null && typeof fields[field] !== 'string') {
+      return `${field} must be a string`;
+    }
+  }
+  if (isManual !== undefined && typeof isManual !== 'boolean') {
+    return 'isManual must be a boolean';
+  }
+  if (structuredGuide !== undefined && structuredGuide !== null) {
+    const { errors } = parseStyleGuideData(structuredGuide);
+    if (errors.length > 0) {
+      return `structuredGuide is invalid: ${errors.join('; ')}`;
+    }
+  }
+  if (sources !== undefined && sources !== null) {
+    if (!Array.isArray(sources)) {
+      return 'sources must be an array';
+    }
+    for (const [index, source] of sources.entries()) {
+      const error = validateSource(source, index);
+      if (error) {
+        return error;
+      }
+    }
+  }
+  return null;
+}
+
+function pickContent(data = {}) {
+  const content = {};
+  for (const field of CONTENT_FIELDS) {
+    if (data[field] !== undefined) {
+      content[field] = data[field];
+    }
+  }
+  return content;
+}
+
+class StyleGuideStore {
+  constructor(filePath = null) {
+    this.filePath = filePath || path.join(process.env.DATA_DIR || 'data', 'style-guides.json');
+    this.guides = null;
+    this.loading = null;
+    this.writeQueue = new WriteQueue();
+  }
+
+  /**
+   * Load guides from disk on first access
+   */
+  async load() {
+    // Share one read between concurrent callers
+    this.loading = this.loading || (async () => {
+      try {
+        const raw = await fs.readFile(this.filePath, 'utf8');
+        this.guides = JSON.parse(raw).guides || {};
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          this.loading = null;
+          throw error;
+        }
+        this.guides = {};
+      }
+      return this.guides;
+    })();
+
+    return await this.loading;
+  }
+
+  /**
+   * Write all guides to disk
+   */
+  async save() {
+    const data = JSON.stringify({ guides: this.guides }, null, 2);
+
+    return await this.writeQueue.run(() => writeFileAtomic(this.filePath, data));
+  }
+
+  /**
+   * Flatten a stored guide into its latest (or a specific) version
+   */
+  toGuide(record, version = null) {
+    const entry = version
+      ? record.versions.find(v => v.version === version)
+      : record.versions[record.versions.length - 1];
+
+    if (!entry) {
+      return null;
+    }
+
+    return {
+      id: record.id,
+      name: record.name,
+      description: record.description,
+      ownerKeyId: record.ownerKeyId ?? null,
+      version: entry.version,
+      latestVersion: record.versions.length,
+      createdAt: record.createdAt,
+      updatedAt: entry.timestamp,
+      ...entry.content
+    };
+  }
+
+  /**
+   * List all guides without their full content
+   */
+  async list() {
+    const guides = await this.load();
+    return Object.values(guides)
+      .map(record => ({
+        id: record.id,
+        name: record.name,
+        description: record.description,
+        version: record.versions.length,
+        createdAt: record.createdAt,
+        updatedAt: record.updatedAt
+      }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Get a guide by ID, optionally at a specific version
+   */
+  async get(id, version = null) {
+    const guides = await this.load();
+    const record = guides[id];
+    return record ? this.toGuide(record, version) : null;
+  }
+
+  /**
+   * Get all versions of a guide
+   */
+  async getVersions(id) {
+    const guides = await this.load();
+    const record = guides[id];
+    return record ? record.versions.map(v => this.toGuide(record, v.version)) : null;
+  }
+
+  /**
+   * Create a new guide from a name and style guide content. ownerKeyId is the
+   * API key that may change it besides admins.
+   */
+  async create({ name, description = '', ownerKeyId = null, ...data }) {
+    const validationError = validateStyleGuideFields({ name, description, ...data });
+    if (validationError) {
+      throw new Error(validationError);
+    }
+
+    const guides = await this.load();
+    const now = new Date().toISOString();
+    const record = {
+      id: randomUUID(),
+      name: name.trim(),
+      description,
+      ownerKeyId,
+      createdAt: now,
+      updatedAt: now,
+      versions: [{ version: 1, timestamp: now, content: pickContent(data) }]
+    };
+
+    guides[record.id] = record;
+    await this.save();
+    return this.toGuide(record);
+  }
+
+  /**
+   * Update a guide. Content changes are stored as a new version, while
+   * name/description changes apply to the guide as a whole.
+   */
+  async update(id, { name, description, ...data }) {
+    const validationError = validateStyleGuideFields({ name, description, ...data }, { partial: true });
+    if (validationError) {
+      throw new Error(validationError);
+    }
+
+    const guides = await this.load();
+    const record = guides[id];
+    if (!record) {
+      return null;
+    }
+
+    const now = new Date().toISOString();
+    if (name !== undefined) {
+      record.name = name.trim();
+    }
+    if (description !== undefined) {
+      record.description = description;
+    }
+
+    // A new version carries the previous content forward, so updating only
+    // the structured guide keeps the text guide and sources
+    const changes = pickContent(data);
+    if (Object.keys(changes).length > 0) {
+      const previous = record.versions[record.versions.length - 1];
+      record.versions.push({
+        version: record.versions.length + 1,
+        timestamp: now,
+        content: { ...previous?.content, ...changes }
+      });
+    }
+
+    record.updatedAt = now;
+    await this.save();
+    return this.toGuide(record);
+  }
+
+  /**
+   * Delete a guide and all its versions
+   */
+  async delete(id) {
+    const guides = await this.load();
+    if (!guides[id]) {
+      return false;
+    }
+
+    delete guides[id];
+    await this.save();
+    return true;
+  }
+}
+
+export { StyleGuideStore, validateStyleGuideFields };
+
+export default StyleGuideStore;
@@ -0,0 +1,242 @@
+import { findCopyFields } from './json-template.js';
+import { decodeEntities } from './rich-text.js';
+
+/**
+ * Style Samples
+ *
+ * Turns pasted text and uploaded files (.txt, .md, .html and JSON templates)
+ * into plain-text samples for style guide generation, and fits a set of
+ * samples into a character budget according to their weights.
+ */
+
+const SAMPLE_TYPES = ['text', 'markdown', 'html', 'json'];
+
+const EXTENSION_TYPES = {
+  txt: 'text',
+  text: 'text',
+  md: 'markdown',
+  markdown: 'markdown',
+  html: 'html',
+  htm: 'html',
+  json: 'json'
+};
+
+// Marks the places where paragraphs were left out of a sample
+const OMISSION = '\n\n[…]\n\n';
+
+/**
+ * Detect a sample's type from its explicit type or its file extension
+ */
+function detectSampleType({ type, name = '' }) {
+  if (type) {
+    return SAMPLE_TYPES.includes(type) ? type : null;
+  }
+  const extension = name.includes('.') ? name.split('.').pop().toLowerCase() : '';
+  return EXTENSION_TYPES[extension] || 'text';
+}
+
+// Collapse runs of spaces (including non-breaking ones) and limit blank lines to one between paragraphs
+function tidy(text) {
+  return text
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t\f\v\u00a0]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+function htmlToText(html) {
+  return tidy(decodeEntities(html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(head|script|style|noscript|template|svg)\b[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/?(p|div|section|article|header|footer|aside|h[1-6]|li|ul|ol|tr|table|blockquote|figcaption)\b[^>]*>/gi, '\n\n')
+    .replace(/<[^>]+>/g, '')));
+}
+
+function markdownToText(markdown) {
+  return tidy(markdown
+    .replace(/^---\n[\s\S]*?\n---\n/, '') // Front matter
+    .replace(/^(```|~~~)[\s\S]*?^\1/gm, '') // Code blocks
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, '') // Images
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1') // Links
+    .replace(/^\s{0,3}#{1,6}\s+/gm, '') // Headings
+    .replace(/^\s{0,3}>\s?/gm, '') // Quotes
+    .replace(/^\s*([-*+]|\d+\.)\s+/gm, '') // List markers
+    .replace(/^\s*([-*_]\s*){3,}$/gm, '') // Horizontal rules
+    .replace(/(\*\*|__)(.+?)\1/g, '$2')
+    .replace(/(\*|_)(\S.*?)\1/g, '$2')
+    .replace(/`([^`]+)`/g, '$1')
+    .replace(/<[^>]+>/g, ''));
+}
+
+// Only the copy fields of a JSON template say anything about the style
+function jsonToText(json, name) {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch (error) {
+    throw new Error(`${name}: invalid JSON (${error.message})`);
+  }
+
+  const fields = findCopyFields(data);
+  if (fields.length === 0) {
+    throw new Error(`${name}: no copy fields found in JSON template`);
+  }
+  return fields.map(field => field.value.trim()).join('\n\n');
+}
+
+/**
+ * Extract the plain text of a sample { name, type, content, weight }.
+ * Samples that already carry extracted `text` are passed through.
+ */
+function prepareSample(sample, index = 0) {
+  const name = String(sample.name || `Sample ${index + 1}`);
+  const type = detectSampleType({ type: sample.type, name });
+  const weight = sample.weight === undefined ? 1 : Number(sample.weight);
+
+  if (!type) {
+    throw new Error(`${name}: unsupported sample type ${sample.type}. Supported types: ${SAMPLE_TYPES.join(', ')}`);
+  }
+  if (!Number.isFinite(weight) || weight <= 0) {
+    throw new Error(`${name}: weight must be a positive number`);
+  }
+
+  let text = sample.text;
+  if (typeof text !== 'string') {
+    if (typeof sample.content !== 'string') {
+      throw new Error(`${name}: content must be a string`);
+    }
+    text = type === 'html' ? htmlToText(sample.content)
+      : type === 'markdown' ? markdownToText(sample.content)
+        : type === 'json' ? jsonToText(sample.content, name)
+          : tidy(sample.content);
+  }
+
+  if (!text.trim()) {
+    throw new Error(`${name}: sample contains no text`);
+  }
+
+  return { name, type, weight, text };
+}
+
+function prepareSamples(samples) {
+  return samples.map((sample, index) => prepareSample(sample, index));
+}
+
+/**
+ * Order paragraph indices so that any prefix is spread evenly over the text:
+ * the start first, then the middle, then the quarters, and so on
+ */
+function spreadOrder(count) {
+  const order = [];
+  const seen = new Set();
+
+  for (let parts = 1; order.length < count; parts *= 2) {
+    for (let i = 0; i < parts; i++) {
+      const index = Math.floor(i * count / parts);
+      if (!seen.has(index)) {
+        seen.add(index);
+        order.push(index);
+      }
+    }
+  }
+
+  return order;
+}
+
+/**
+ * Shorten a text to at most `limit` characters by keeping whole paragraphs
+ * from across the text, so one sample still shows its opening, middle and end
+ */
+function excerpt(text, limit) {
+  if (text.length <= limit) {
+    return text;
+  }
+
+  const paragraphs = text.split(/\n\s*\n/).map(paragraph => paragraph.trim()).filter(Boolean);
+  const picked = [];
+  let used = 0;
+
+  for (const index of spreadOrder(paragraphs.length)) {
+    const cost = paragraphs[index].length + OMISSION.length;
+    if (used + cost <= limit) {
+      picked.push(index);
+      used += cost;
+    }
+  }
+
+  // Not even one paragraph fits: cut the first one at a word boundary
+  if (picked.length === 0) {
+    return paragraphs[0].slice(0, Math.max(limit - 2, 0)).replace(/\s+\S*$/, '') + ' …';
+  }
+
+  picked.sort((a, b) => a - b);
+  return picked.reduce((result, index, i) => {
+    if (i === 0) {
+      return (index > 0 ? OMISSION.trimStart() : '') + paragraphs[index];
+    }
+    return result + (index === picked[i - 1] + 1 ? '\n\n' : OMISSION) + paragraphs[index];
+  }, '') + (picked[picked.length - 1] < paragraphs.length - 1 ? OMISSION.trimEnd() : '');
+}
+
+/**
+ * Fit prepared samples into a character budget. Each sample gets a share of
+ * the budget proportional to its weight; samples shorter than their share
+ * are kept whole and the rest of their share goes to the others.
+ */
+function fitSamples(samples, maxChars) {
+  const limits = new Array(samples.length).fill(null);
+  let remaining = maxChars;
+  let open = samples.map((sample, index) => index);
+
+  while (open.length > 0) {
+    const totalWeight = open.reduce((sum, index) => sum + samples[index].weight, 0);
+    const fitting = open.filter(index => samples[index].text.length <= remaining * samples[index].weight / totalWeight);
+
+    if (fitting.length === 0) {
+      open.forEach(index => {
+        limits[index] = Math.floor(remaining * samples[index].weight / totalWeight);
+      });
+      break;
+    }
+
+    fitting.forEach(index => {
+      limits[index] = samples[index].text.length;
+      remaining -= samples[index].text.length;
+    });
+    open = open.filter(index => !fitting.includes(index));
+  }
+
+  return samples.map((sample, index) => {
+    const text = excerpt(sample.text, limits[index]);
+    return {
+      ...sample,
+      text,
+      chars: sample.text.length,
+      usedChars: text.length,
+      truncated: text !== sample.text
+    };
+  });
+}
+
+/**
+ * What a generated style guide records about each source it was built from
+ */
+function describeSources(samples) {
+  return samples.map(({ name, type, weight, chars, usedChars, truncated }) => ({
+    name, type, weight, chars, usedChars, truncated
+  }));
+}
+
+export {
+  SAMPLE_TYPES,
+  detectSampleType,
+  htmlToText,
+  markdownToText,
+  prepareSample,
+  prepareSamples,
+  excerpt,
+  fitSamples,
+  describeSources
+};
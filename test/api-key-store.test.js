@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'fs/promises';
+import { ApiKeyStore, validateKeyDefinition } from '../api-key-store.js';
+import { withStoreFile } from './helpers/temp-dir.js';
+
+function withStore(run) {
+  return withStoreFile('api-keys.json', filePath => new ApiKeyStore(filePath), run);
+}
+
+test('stores only a hash of the key and authenticates with the key itself', async () => {
+  await withStore(async (store, filePath) => {
+    const { key, apiKey } = await store.create({ name: ' Redaktion ', limits: { tokensPerDay: 5000 } });
+
+    assert.match(apiKey, /^cr_/);
+    assert.equal(key.name, 'Redaktion');
+    assert.equal(key.keyHash, undefined);
+    assert.deepEqual(key.limits, { requestsPerMinute: null, tokensPerDay: 5000 });
+
+    const raw = await readFile(filePath, 'utf8');
+    assert.ok(!raw.includes(apiKey));
+    assert.ok(raw.includes(key.prefix));
+
+    // A fresh store reads the hash back from disk
+    const reloaded = new ApiKeyStore(filePath);
+    assert.deepEqual(await reloaded.authenticate(apiKey), key);
+    assert.equal(await reloaded.authenticate(`${apiKey}x`), null);
+    assert.equal(await reloaded.authenticate(apiKey.slice(3)), null);
+    assert.equal(await reloaded.authenticate(42), null);
+  });
+});
+
+test('a deleted key no longer authenticates', async () => {
+  await withStore(async (store) => {
+    const { key, apiKey } = await store.create({ name: 'Temp' });
+
+    assert.equal(await store.delete(key.id), true);
+    assert.equal(await store.authenticate(apiKey), null);
+  });
+});
+
+test('validates key definitions', () => {
+  assert.equal(validateKeyDefinition({ name: 'Redaktion', role: 'user', limits: { requestsPerMinute: 10 } }), null);
+  assert.equal(validateKeyDefinition({ role: 'admin' }, { partial: true }), null);
+
+  assert.match(validateKeyDefinition({}), /name/);
+  assert.match(validateKeyDefinition({ name: 'x', role: 'root' }), /role/);
+  assert.match(validateKeyDefinition({ name: 'x', limits: [] }), /limits/);
+  assert.match(validateKeyDefinition({ name: 'x', limits: { tokensPerDay: -1 } }), /tokensPerDay/);
+});
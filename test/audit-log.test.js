@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AuditLog } from '../audit-log.js';
+
+const event = {
+  type: 'transform',
+  action: 'PRODUCT_TEASER',
+  model: 'claude-sonnet-4-5-20250929',
+  latencyMs: 120,
+  outcome: 'success',
+  text: 'Unser neuer Kaffee',
+  instruction: 'Schreibe einen Teaser',
+  output: 'Kaffee, neu gedacht.',
+  options: {
+    action: 'PRODUCT_TEASER',
+    temperature: 0.3,
+    format: 'text',
+    instruction: 'Schreibe einen Teaser',
+    productName: 'Bohne Nr. 7',
+    claim: 'Der beste Kaffee der Stadt',
+    onText: () => {}
+  }
+};
+
+test('redacted entries keep only the known settings of a call', () => {
+  const entry = new AuditLog({ filePath: '/dev/null', payloads: 'redact' }).toEntry(event);
+
+  assert.deepEqual(entry.options, { action: 'PRODUCT_TEASER', temperature: 0.3, format: 'text' });
+  assert.equal(entry.text.redacted, true);
+  assert.ok(!JSON.stringify(entry).includes('Bohne'));
+  assert.ok(!JSON.stringify(entry).includes('Der beste Kaffee'));
+});
+
+test('stored entries keep custom template variables as settings', () => {
+  const entry = new AuditLog({ filePath: '/dev/null', payloads: 'store' }).toEntry(event);
+
+  assert.equal(entry.options.productName, 'Bohne Nr. 7');
+  assert.equal(entry.options.instruction, undefined);
+  assert.equal(entry.text, 'Unser neuer Kaffee');
+});
+
+test('the options hash does not depend on the payload mode', () => {
+  const stored = new AuditLog({ filePath: '/dev/null' }).toEntry(event);
+  const redacted = new AuditLog({ filePath: '/dev/null', payloads: 'redact' }).toEntry(event);
+
+  assert.equal(stored.optionsHash, redacted.optionsHash);
+});
@@ -0,0 +1,197 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAuth, currentKey, requestContext, RateLimiter, ENV_ADMIN_KEY } from '../auth.js';
+import { TextTransformAPI } from '../api.js';
+import { MockProvider } from '../providers/mock.js';
+
+const USER_KEY = { id: 'key-1', name: 'Redaktion', role: 'user', limits: { requestsPerMinute: null, tokensPerDay: null } };
+const ADMIN_KEY = { id: 'key-2', name: 'Admin', role: 'admin', limits: { requestsPerMinute: null, tokensPerDay: null } };
+
+// Key store that knows one token per key
+function keyStore(tokens) {
+  return { authenticate: async (token) => tokens[token] || null };
+}
+
+// Usage tracker with a fixed number of tokens used today per key
+function usageTracker(used = {}) {
+  return { tokensUsed: async ({ keyId }) => used[keyId] || 0 };
+}
+
+function request({ token = null, apiKey = null, body = {} } = {}) {
+  return {
+    apiKey,
+    body,
+    get: (name) => name === 'Authorization' && token ? `Bearer ${token}` : undefined
+  };
+}
+
+// Express response that records status, headers and body
+function response() {
+  const res = { statusCode: 200, headers: {}, body: null };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.set = (name, value) => {
+    Object.assign(res.headers, typeof name === 'object' ? name : { [name]: value });
+    return res;
+  };
+  res.json = (body) => { res.body = body; return res; };
+  return res;
+}
+
+// Run a middleware and report whether it called next()
+async function run(middleware, req) {
+  const res = response();
+  let nextCalled = false;
+  await middleware(req, res, () => { nextCalled = true; });
+  return { res, nextCalled };
+}
+
+function createTestAuth({ used = {}, defaults = {}, limiter, costOf } = {}) {
+  return createAuth({
+    keys: keyStore({ 'cr_user': USER_KEY, 'cr_admin': ADMIN_KEY }),
+    usage: usageTracker(used),
+    adminKey: 'env-secret',
+    defaults,
+    limiter,
+    costOf
+  });
+}
+
+test('rejects requests without or with an unknown API key', async () => {
+  const auth = createTestAuth();
+
+  const missing = await run(auth.authenticate, request());
+  assert.equal(missing.res.statusCode, 401);
+  assert.equal(missing.res.headers['WWW-Authenticate'], 'Bearer');
+  assert.equal(missing.nextCalled, false);
+
+  const unknown = await run(auth.authenticate, request({ token: 'cr_unknown' }));
+  assert.equal(unknown.res.statusCode, 401);
+  assert.equal(unknown.nextCalled, false);
+});
+
+test('runs the request in the context of the stored or environment key', async () => {
+  const auth = createTestAuth();
+
+  for (const [token, key] of [['cr_user', USER_KEY], ['env-secret', ENV_ADMIN_KEY]]) {
+    const req = request({ token });
+    let keyInContext = null;
+    await auth.authenticate(req, response(), () => { keyInContext = currentKey(); });
+
+    assert.equal(req.apiKey, key);
+    assert.equal(keyInContext, key);
+  }
+});
+
+test('lets every request through as an anonymous admin when disabled', async () => {
+  const auth = createAuth({ keys: keyStore({}), usage: usageTracker(), disabled: true });
+  const req = request();
+
+  const { nextCalled } = await run(auth.authenticate, req);
+
+  assert.equal(nextCalled, true);
+  assert.equal(req.apiKey.role, 'admin');
+});
+
+test('requireAdmin answers 403 for user keys', async () => {
+  const auth = createTestAuth();
+
+  const user = await run(auth.requireAdmin, request({ apiKey: USER_KEY }));
+  assert.equal(user.res.statusCode, 403);
+  assert.equal(user.nextCalled, false);
+
+  const admin = await run(auth.requireAdmin, request({ apiKey: ADMIN_KEY }));
+  assert.equal(admin.nextCalled, true);
+});
+
+test('answers 429 with Retry-After once the model calls fill the rate limit', async () => {
+  let now = 0;
+  const auth = createTestAuth({ defaults: { requestsPerMinute: 2 }, limiter: new RateLimiter({ now: () => now }) });
+  const req = request({ apiKey: USER_KEY });
+
+  // The route check counts nothing by itself; each model call does
+  assert.equal((await run(auth.limitUsage, req)).nextCalled, true);
+  auth.assertRate(USER_KEY);
+  auth.assertRate(USER_KEY);
+
+  now = 15 * 1000;
+  const limited = await run(auth.limitUsage, req);
+  assert.equal(limited.res.statusCode, 429);
+  assert.equal(limited.res.headers['Retry-After'], '45');
+  assert.equal(limited.res.headers['X-RateLimit-Remaining'], '0');
+  assert.throws(() => auth.assertRate(USER_KEY), (error) => error.status === 429 && error.retryAfter === 45);
+
+  // The window resets after a minute
+  now = 60 * 1000;
+  assert.equal((await run(auth.limitUsage, req)).nextCalled, true);
+  auth.assertRate(USER_KEY);
+});
+
+test('needs room for a batch up front and refuses batches larger than the limit', async () => {
+  const costOf = (req) => req.body.items?.length || 1;
+  const auth = createTestAuth({ defaults: { requestsPerMinute: 5 }, limiter: new RateLimiter({ now: () => 0 }), costOf });
+  auth.assertRate(USER_KEY);
+  auth.assertRate(USER_KEY);
+
+  const batch = await run(auth.limitUsage, request({ apiKey: USER_KEY, body: { items: [1, 2, 3] } }));
+  assert.equal(batch.nextCalled, true);
+  assert.equal(batch.res.headers['X-RateLimit-Remaining'], '3');
+
+  const next = await run(auth.limitUsage, request({ apiKey: USER_KEY, body: { items: [1, 2, 3, 4] } }));
+  assert.equal(next.res.statusCode, 429);
+
+  const tooLarge = await run(auth.limitUsage, request({ apiKey: USER_KEY, body: { items: [1, 2, 3, 4, 5, 6] } }));
+  assert.equal(tooLarge.res.statusCode, 400);
+});
+
+test('every model call of a JSON template counts against the rate limit', async () => {
+  const auth = createTestAuth({ defaults: { requestsPerMinute: 2 }, limiter: new RateLimiter({ now: () => 0 }) });
+  const provider = new MockProvider();
+  const api = new TextTransformAPI(null, { provider, fallbackModels: [], retry: { maxRetries: 0 } });
+  api.beforeCall = async () => auth.assertRate();
+  const template = { headline: 'Eins', subheadline: 'Zwei', body: 'Drei' };
+
+  const result = await requestContext.run({ key: USER_KEY }, () => api.transformJSON(template, 'REFINE', { concurrency: 1 }));
+
+  assert.equal(provider.requests.length, 2);
+  assert.equal(result.fieldsFailed, 1);
+  assert.match(result.fields[2].error, /Rate limit exceeded/);
+});
+
+test('answers 429 when the daily token quota is used up', async () => {
+  const key = { ...USER_KEY, limits: { requestsPerMinute: 0, tokensPerDay: 1000 } };
+  const auth = createTestAuth({ used: { [key.id]: 1000 } });
+
+  const { res, nextCalled } = await run(auth.limitUsage, request({ apiKey: key }));
+
+  assert.equal(nextCalled, false);
+  assert.equal(res.statusCode, 429);
+  assert.equal(res.headers['X-TokenQuota-Remaining'], '0');
+  assert.ok(Number(res.headers['Retry-After']) > 0);
+});
+
+test('assertQuota throws a 429 error once a key is over its quota', async () => {
+  const key = { ...USER_KEY, limits: { requestsPerMinute: 0, tokensPerDay: 1000 } };
+
+  await createTestAuth({ used: { [key.id]: 999 } }).assertQuota(key);
+  await assert.rejects(createTestAuth({ used: { [key.id]: 1200 } }).assertQuota(key), (error) => error.status === 429);
+
+  // Keys without a quota, and calls outside a request, are never stopped
+  await createTestAuth({ used: { [USER_KEY.id]: 10 ** 9 } }).assertQuota(USER_KEY);
+  await createTestAuth().assertQuota();
+});
+
+test('the rate limiter drops windows that have expired', () => {
+  let now = 0;
+  const limiter = new RateLimiter({ windowMs: 1000, now: () => now });
+
+  limiter.hit('a', 10);
+  limiter.hit('b', 10);
+  now = 500;
+  limiter.hit('c', 10);
+  assert.equal(limiter.windows.size, 3);
+
+  now = 1200;
+  limiter.hit('c', 10);
+  assert.deepEqual([...limiter.windows.keys()], ['c']);
+  assert.equal(limiter.windows.get('c').count, 2);
+});
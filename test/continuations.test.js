@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TextTransformAPI } from '../api.js';
+import { MockProvider } from '../providers/mock.js';
+
+// 100 characters: the mock cuts responses off after 4 characters per token
+const LONG_TEXT = 'Ein Satz, der nicht in zehn Tokens passt. '.repeat(3).slice(0, 100);
+
+function createAPI({ maxContinuations = 3, supportsPrefill } = {}) {
+  const provider = new MockProvider({ respond: () => LONG_TEXT });
+  if (supportsPrefill !== undefined) {
+    provider.supportsPrefill = supportsPrefill;
+  }
+  const api = new TextTransformAPI(null, { provider, maxContinuations, chunkMaxChars: 0 });
+  return { api, provider };
+}
+
+function request(api) {
+  return {
+    model: api.model,
+    max_tokens: 10,
+    messages: [{ role: 'user', content: 'Schreib den Satz.' }]
+  };
+}
+
+test('continues a response cut off at max_tokens until it is complete', async () => {
+  const { api, provider } = createAPI();
+
+  const result = await api.createCompleteMessage(request(api), { action: 'TEST' });
+
+  assert.equal(result.text, LONG_TEXT);
+  assert.equal(result.continuations, 2);
+  assert.equal(result.truncated, false);
+  assert.equal(provider.requests.length, 3);
+
+  // Each continuation sends the text so far as the start of the assistant turn
+  const last = provider.requests[2].messages;
+  assert.equal(last.length, 2);
+  assert.equal(last[1].role, 'assistant');
+  assert.equal(last[1].content, LONG_TEXT.slice(0, 80).trimEnd());
+  assert.equal(result.usage.outputTokens, 25);
+});
+
+test('marks the text truncated once the continuations run out', async () => {
+  const { api, provider } = createAPI({ maxContinuations: 1 });
+
+  const result = await api.createCompleteMessage(request(api), { action: 'TEST' });
+
+  assert.equal(result.text, LONG_TEXT.slice(0, 80));
+  assert.equal(result.continuations, 1);
+  assert.equal(result.truncated, true);
+  assert.equal(provider.requests.length, 2);
+});
+
+test('returns a cut-off response as truncated when the provider cannot continue it', async () => {
+  const { api, provider } = createAPI({ supportsPrefill: false });
+
+  const result = await api.createCompleteMessage(request(api), { action: 'TEST' });
+
+  assert.equal(result.text, LONG_TEXT.slice(0, 40));
+  assert.equal(result.continuations, 0);
+  assert.equal(result.truncated, true);
+  assert.equal(provider.requests.length, 1);
+});
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DocumentStore, parseRevisionParam } from '../document-store.js';
+import { withStoreFile } from './helpers/temp-dir.js';
+
+function withStore(run) {
+  return withStoreFile('documents.json', filePath => new DocumentStore(filePath), run);
+}
+
+test('sanitizes the editor markup of every revision before storing it', async () => {
+  await withStore(async (store, filePath) => {
+    const document = await store.create({
+      content: 'Hallo',
+      html: '<div onclick="x()">Hallo<script>alert(1)</script></div>'
+    });
+    assert.equal(document.html, '<div>Hallo</div>');
+
+    await store.addRevision(document.id, {
+      content: 'Hallo Welt',
+      html: '<a href="javascript:alert(1)">Hallo Welt</a>',
+      action: 'REFINE'
+    });
+
+    const reloaded = new DocumentStore(filePath);
+    assert.equal((await reloaded.get(document.id)).html, '<a>Hallo Welt</a>');
+  });
+});
+
+test('restoring a revision adds it as a new revision and keeps the history', async () => {
+  await withStore(async (store) => {
+    const { id } = await store.create({ content: 'Erste Fassung', html: '<p>Erste Fassung</p>' });
+    await store.addRevision(id, { content: 'Zweite Fassung', action: 'REFINE', before: 'Erste', after: 'Zweite' });
+
+    const restored = await store.restore(id, 1);
+
+    assert.equal(restored.revision, 3);
+    assert.equal(restored.content, 'Erste Fassung');
+    assert.equal(restored.html, '<p>Erste Fassung</p>');
+    assert.deepEqual((await store.getRevisions(id)).map(entry => [entry.type, entry.restoredFrom]), [
+      ['create', undefined],
+      ['transform', undefined],
+      ['restore', 1]
+    ]);
+    assert.equal((await store.get(id, 2)).content, 'Zweite Fassung');
+  });
+});
+
+test('unknown revisions are not found', async () => {
+  await withStore(async (store) => {
+    const { id } = await store.create({ content: 'Text' });
+
+    assert.equal(await store.get(id, 5), null);
+    assert.equal(await store.restore(id, 5), null);
+    assert.equal(await store.restore('missing', 1), null);
+    assert.equal((await store.getRevisions(id)).length, 1);
+  });
+});
+
+test('parseRevisionParam accepts only positive integers', () => {
+  assert.equal(parseRevisionParam(undefined), null);
+  assert.equal(parseRevisionParam(''), null);
+  assert.equal(parseRevisionParam('3'), 3);
+  assert.equal(parseRevisionParam(2), 2);
+
+  for (const value of ['0', '-1', '1.5', 'abc', 'latest', true, null, ['1', '2'], {}]) {
+    assert.ok(Number.isNaN(parseRevisionParam(value)), JSON.stringify(value));
+  }
+});
@@ -0,0 +1,28 @@
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+
+/**
+ * Run `run(dir)` with a fresh temporary directory, removed afterwards
+ */
+async function withTempDir(prefix, run) {
+  const dir = await mkdtemp(path.join(tmpdir(), prefix));
+  try {
+    return await run(dir);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Run `run(store, filePath)` with a store created by `createStore(filePath)`
+ * on a file in a fresh temporary directory
+ */
+function withStoreFile(fileName, createStore, run) {
+  return withTempDir(`${path.parse(fileName).name}-`, (dir) => {
+    const filePath = path.join(dir, fileName);
+    return run(createStore(filePath), filePath);
+  });
+}
+
+export { withTempDir, withStoreFile };
@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findCopyFields, queryJSONPath, locateStrings, replaceStrings } from '../json-template.js';
+import { TextTransformAPI } from '../api.js';
+import { MockProvider } from '../providers/mock.js';
+
+const TEMPLATE = {
+  id: 'promo-7',
+  headline: 'Sommer-Sale',
+  image: 'hero.png',
+  meta: { id: 5, color: '#ff0000', link: 'https://example.com' },
+  sections: [
+    { title: 'Frische Ideen', body: 'Jetzt entdecken', cta: 'Mehr erfahren' },
+    { title: 'Gratis Versand', body: '' }
+  ]
+};
+
+test('findCopyFields finds copy by key and skips values that are not copy', () => {
+  const fields = findCopyFields(TEMPLATE);
+
+  assert.deepEqual(fields.map(field => field.path), [
+    '$.headline',
+    '$.sections[0].title',
+    '$.sections[0].body',
+    '$.sections[1].title'
+  ]);
+  assert.deepEqual(fields[1].keys, ['sections', 0, 'title']);
+});
+
+test('findCopyFields uses only the given keys or JSONPaths', () => {
+  assert.deepEqual(findCopyFields(TEMPLATE, { fields: ['CTA'] }).map(field => field.path), ['$.sections[0].cta']);
+  assert.deepEqual(findCopyFields(TEMPLATE, { paths: ['$.sections[*].cta', '$.headline'] }).map(field => field.path), [
+    '$.sections[0].cta',
+    '$.headline'
+  ]);
+});
+
+test('queryJSONPath supports children, indexes, wildcards and descendants', () => {
+  const paths = (expression) => queryJSONPath(TEMPLATE, expression).map(match => match.path);
+
+  assert.deepEqual(paths('$.sections[1].title'), [['sections', 1, 'title']]);
+  assert.deepEqual(paths("$['meta'].*"), [['meta', 'id'], ['meta', 'color'], ['meta', 'link']]);
+  assert.deepEqual(paths('$..title'), [['sections', 0, 'title'], ['sections', 1, 'title']]);
+  assert.deepEqual(paths('$.missing.title'), []);
+  assert.throws(() => queryJSONPath(TEMPLATE, 'sections'), /must start with \$/);
+  assert.throws(() => queryJSONPath(TEMPLATE, '$.sections[?(@.title)]'), /Unsupported JSONPath/);
+});
+
+test('replaceStrings changes only the given strings and keeps the formatting', () => {
+  const json = '{\n    "meta": {"id": 5, "tags": []},\n    "headline" : "Alt \\"zitiert\\" \\u00fc",\n' +
+    '    "items": [ {"text": "eins"}, {"text":"zwei"} ], "n": -1.5e3\n}\n';
+
+  assert.deepEqual([...locateStrings(json).keys()], ['["headline"]', '["items",0,"text"]', '["items",1,"text"]']);
+
+  const output = replaceStrings(json, [
+    { keys: ['headline'], value: 'Neu "zitiert"' },
+    { keys: ['items', 1, 'text'], value: 'drei' }
+  ]);
+
+  assert.equal(output, json.replace('"Alt \\"zitiert\\" \\u00fc"', '"Neu \\"zitiert\\""').replace('"zwei"', '"drei"'));
+  assert.equal(replaceStrings(json, []), json);
+});
+
+test('replaceStrings follows JSON.parse for repeated keys', () => {
+  const json = '{"title": "erster", "title": "zweiter"}';
+
+  assert.equal(replaceStrings(json, [{ keys: ['title'], value: 'neu' }]), '{"title": "erster", "title": "neu"}');
+});
+
+test('transformJSON keeps the formatting of untouched parts of a template', async () => {
+  const provider = new MockProvider({ respond: (params) => provider.defaultResponse(params).replace('Sale', 'Schlussverkauf') });
+  const api = new TextTransformAPI(null, { provider });
+  const template = '{\n  "meta": {"id": 5},\n  "headline": "Sommer-Sale",\n  "sections": [{"title": "Frische Ideen"}]\n}';
+
+  const result = await api.transformJSON(template, 'REFINE');
+
+  assert.equal(result.success, true);
+  assert.equal(result.fieldsChanged, 1);
+  assert.equal(result.template, template.replace('Sommer-Sale', 'Sommer-Schlussverkauf'));
+  assert.equal(result.data.headline, 'Sommer-Schlussverkauf');
+});
@@ -0,0 +1,136 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { cleanOutput, checkConstraints } from '../output-guardrails.js';
+import { TextTransformAPI } from '../api.js';
+import { MockProvider } from '../providers/mock.js';
+
+test('strips a courtesy line the model put in front of the copy', () => {
+  const result = cleanOutput('Gerne!\nUnser neuer Kaffee schmeckt besser.', { input: 'Unser neuer Kaffee ist lecker.' });
+
+  assert.equal(result.text, 'Unser neuer Kaffee schmeckt besser.');
+  assert.deepEqual(result.cleaned, ['preamble']);
+});
+
+test('keeps a courtesy line that is part of the copy', () => {
+  const cases = [
+    ['Klar!\nMit uns sparen Sie Zeit.', 'Klar! Mit uns sparst du Zeit.'],
+    ['Natürlich.\nOhne Zusatzstoffe.', 'natürlich. ohne zusatzstoffe'],
+    ['Sure!\nWe ship tomorrow.', 'Sure! We will ship tomorrow.'],
+    ['Of course.\nIt is free.', 'Of course. It is free.']
+  ];
+
+  for (const [output, input] of cases) {
+    assert.deepEqual(cleanOutput(output, { input }), { text: output, cleaned: [] }, input);
+  }
+});
+
+test('strips the courtesy line when the input only starts with a longer word', () => {
+  const result = cleanOutput('Sicher!\nSicherheit geht vor.', { input: 'Sicherheit zuerst.' });
+
+  assert.equal(result.text, 'Sicherheit geht vor.');
+});
+
+// API whose model answers every repair request with the next of `responses`
+function createAPI(responses) {
+  const provider = new MockProvider({ respond: () => responses.shift() });
+  const api = new TextTransformAPI(null, { provider, chunkMaxChars: 0, guardrailRetries: 2 });
+  const requestParams = { model: api.model, max_tokens: 200, messages: [{ role: 'user', content: 'Schreib einen Button-Text.' }] };
+  return { api, provider, guardrails: { promptSet: api.getPromptSet(), requestParams, action: 'TEST', model: api.model } };
+}
+
+test('re-prompts with the violations until the result meets its constraints', async () => {
+  const { api, provider, guardrails } = createAPI(['Jetzt für 9,99 € kaufen und sparen', 'Jetzt für 9,99 € kaufen']);
+
+  const result = await api.enforceGuardrails('Hier ist der Text: Jetzt kaufen', {
+    ...guardrails,
+    input: 'Jetzt kaufen für nur 9,99 €',
+    constraints: { maxChars: 25, keepPrices: true }
+  });
+
+  assert.equal(result.text, 'Jetzt für 9,99 € kaufen');
+  assert.deepEqual(result.violations, []);
+  assert.deepEqual(result.cleaned, ['preamble']);
+  assert.equal(result.repairs, 2);
+  assert.equal(provider.requests.length, 2);
+
+  // The model sees its previous answer and what was wrong with it
+  const [, answer, repair] = provider.requests[0].messages;
+  assert.deepEqual(answer, { role: 'assistant', content: 'Jetzt kaufen' });
+  assert.match(repair.content, /„9,99 €“ unverändert übernehmen \(fehlt\)/);
+  assert.match(provider.requests[1].messages[4].content, /höchstens 25 Zeichen \(aktuell 34\)/);
+});
+
+test('returns the remaining violations once the retries run out', async () => {
+  const { api, provider, guardrails } = createAPI(['Viel zu lang für den Button']);
+
+  const result = await api.enforceGuardrails('Noch immer zu lang für den Button', {
+    ...guardrails,
+    input: 'Jetzt kaufen',
+    constraints: { maxChars: 20, maxRetries: 1 }
+  });
+
+  assert.equal(result.text, 'Viel zu lang für den Button');
+  assert.deepEqual(result.violations, [{ rule: 'maxChars', limit: 20, actual: 27 }]);
+  assert.equal(result.repairs, 1);
+  assert.equal(provider.requests.length, 1);
+});
+
+test('does not re-prompt with maxRetries 0', async () => {
+  const { api, provider, guardrails } = createAPI([]);
+
+  const result = await api.enforceGuardrails('Viel zu lang für den Button', {
+    ...guardrails,
+    input: 'Jetzt kaufen',
+    constraints: { maxWords: 3, maxRetries: 0 }
+  });
+
+  assert.deepEqual(result.violations, [{ rule: 'maxWords', limit: 3, actual: 6 }]);
+  assert.equal(result.repairs, 0);
+  assert.equal(provider.requests.length, 0);
+});
+
+test('checks length limits on the text without markup', () => {
+  const constraints = { maxChars: 12, maxWords: 2 };
+
+  assert.deepEqual(checkConstraints('**Jetzt** *kaufen*', { constraints, format: 'markdown' }), []);
+  assert.deepEqual(checkConstraints('Jetzt sofort kaufen', { constraints }), [
+    { rule: 'maxChars', limit: 12, actual: 19 },
+    { rule: 'maxWords', limit: 2, actual: 3 }
+  ]);
+});
+
+test('flags mustKeep tokens and prices that went missing', () => {
+  const input = 'Der Kaffee Arabica Gold kostet 12,50 € statt $15.';
+  const constraints = { mustKeep: ['Arabica Gold'], keepPrices: true };
+
+  assert.deepEqual(checkConstraints('Arabica Gold für 12,50€ statt $15.', { input, constraints }), []);
+  assert.deepEqual(checkConstraints('Unser Kaffee für 12 Euro.', { input, constraints }), [
+    { rule: 'mustKeep', token: 'Arabica Gold', actual: 'missing' },
+    { rule: 'mustKeep', token: '12,50 €', actual: 'missing' },
+    { rule: 'mustKeep', token: '$15', actual: 'missing' }
+  ]);
+  assert.deepEqual(checkConstraints('Unser Kaffee.', { input, constraints: {} }), []);
+});
+
+test('keeps placeholders unless keepPlaceholders is false', () => {
+  const input = 'Hallo {{name}}, Ihr Code lautet %s.';
+
+  assert.deepEqual(checkConstraints('Hi name, Code: %s', { input }), [
+    { rule: 'placeholder', token: '{{name}}', actual: 'missing' }
+  ]);
+  assert.deepEqual(checkConstraints('Hallo, hier ist Ihr Code.', { input, constraints: { keepPlaceholders: false } }), []);
+});
+
+test('flags broken markup and changed links', () => {
+  const input = 'Mehr im [Shop](https://example.com/shop).';
+
+  assert.deepEqual(checkConstraints('Mehr im [Shop](https://example.com/shop).', { input, format: 'markdown' }), []);
+  assert.deepEqual(
+    checkConstraints('Mehr im [Shop](https://evil.example).', { input, format: 'markdown' }).map(violation => violation.rule),
+    ['link', 'newLink']
+  );
+  assert.deepEqual(
+    checkConstraints('<p>Mehr im <b>Shop</p>', { input: '<p>Mehr im Shop</p>', format: 'html' }).map(violation => violation.rule),
+    ['markup']
+  );
+});
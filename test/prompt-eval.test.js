@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import { loadFixtures, runEval, compareReports } from '../prompt-eval.js';
+import { TextTransformAPI } from '../api.js';
+import { MockProvider } from '../providers/mock.js';
+import { RecordedProvider } from '../providers/recorded.js';
+
+const FIXTURES_DIR = fileURLToPath(new URL('../evals/fixtures', import.meta.url));
+
+function createAPI(provider) {
+  return new TextTransformAPI(null, { provider, fallbackModels: [], retry: { maxRetries: 0 } });
+}
+
+test('every fixture has an id, an action and a text or template', async () => {
+  const cases = await loadFixtures(FIXTURES_DIR);
+
+  assert.ok(cases.length > 0);
+  assert.equal(new Set(cases.map(testCase => testCase.id)).size, cases.length);
+});
+
+test('a recorded run replays the recordings offline and reports regressions', async () => {
+  const cases = (await loadFixtures(FIXTURES_DIR)).filter(testCase => testCase.id === 'refine-de-newsletter');
+  const model = new MockProvider({
+    respond: (params) => model.defaultResponse(params).replace('mitzuteilen das', 'mitzuteilen, dass')
+  });
+
+  // Record once from the scripted model...
+  const recordings = {};
+  const recorded = await runEval({ api: createAPI(new RecordedProvider({ recordings, provider: model })), cases });
+  assert.equal(recorded.summary.passed, 1);
+
+  // ...then replay without it
+  const replayProvider = new RecordedProvider({ recordings });
+  const replayed = await runEval({ api: createAPI(replayProvider), cases });
+  assert.equal(replayed.summary.passed, 1);
+  assert.ok(replayProvider.hits > 0);
+  assert.equal(model.requests.length, replayProvider.hits);
+
+  // A response that brings the mistake back is a regression
+  for (const recording of Object.values(recordings)) {
+    recording.text = recording.text.replace('mitzuteilen, dass', 'mitzuteilen das');
+  }
+  const regressed = await runEval({ api: createAPI(new RecordedProvider({ recordings })), cases });
+  assert.equal(regressed.summary.failed, 1);
+  assert.deepEqual(compareReports(replayed, regressed).regressions, [{ id: 'refine-de-newsletter', before: 'pass', after: 'fail' }]);
+});
+
+test('a case with an unsupported language fails on its own', async () => {
+  const cases = [
+    { id: 'bad-language', action: 'REFINE', language: 'xx', text: 'Hallo' },
+    { id: 'good', action: 'REFINE', language: 'de', text: 'Hallo Welt' }
+  ];
+
+  const report = await runEval({ api: createAPI(new RecordedProvider()), cases });
+
+  assert.deepEqual(report.cases.map(result => [result.id, result.status]), [['bad-language', 'error'], ['good', 'skipped']]);
+  assert.match(report.cases[0].error, /xx/);
+});
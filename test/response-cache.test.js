@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { ResponseCache, cacheKey, parseTTLSeconds } from '../response-cache.js';
+import { withTempDir } from './helpers/temp-dir.js';
+
+const MINUTE = 60 * 1000;
+
+// Clock that only moves when the test advances it
+function fakeClock(start = Date.parse('2026-01-01T00:00:00Z')) {
+  let time = start;
+  const now = () => time;
+  now.advance = (ms) => { time += ms; };
+  return now;
+}
+
+test('evicts the least recently used entry beyond maxEntries', async () => {
+  const cache = new ResponseCache({ maxEntries: 2, now: fakeClock() });
+
+  await cache.set('a', { text: 'A' });
+  await cache.set('b', { text: 'B' });
+  await cache.get('a'); // a is now more recently used than b
+  await cache.set('c', { text: 'C' });
+
+  assert.equal((await cache.get('a')).text, 'A');
+  assert.equal(await cache.get('b'), null);
+  assert.equal((await cache.get('c')).text, 'C');
+  assert.equal((await cache.getStats()).evictions, 1);
+});
+
+test('entries expire after the TTL', async () => {
+  const now = fakeClock();
+  const cache = new ResponseCache({ ttlMs: 10 * MINUTE, now });
+
+  await cache.set('a', { text: 'A' });
+  now.advance(10 * MINUTE);
+  assert.equal((await cache.get('a')).text, 'A');
+
+  now.advance(1);
+  assert.equal(await cache.get('a'), null);
+
+  const stats = await cache.getStats();
+  assert.equal(stats.expired, 1);
+  assert.equal(stats.size, 0);
+});
+
+test('a TTL of 0 keeps entries forever', async () => {
+  const now = fakeClock();
+  const cache = new ResponseCache({ ttlMs: 0, now });
+
+  await cache.set('a', { text: 'A' });
+  now.advance(365 * 24 * 60 * MINUTE);
+
+  assert.equal((await cache.get('a')).text, 'A');
+});
+
+test('falls back to the default TTL for an invalid setting', () => {
+  assert.equal(parseTTLSeconds('3600', 86400), 3600);
+  assert.equal(parseTTLSeconds('0', 86400), 0);
+  assert.equal(parseTTLSeconds(' 1.5 ', 86400), 1.5);
+
+  for (const value of [undefined, '', '  ', 'abc', '-1', 'Infinity', '1h']) {
+    assert.equal(parseTTLSeconds(value, 86400), 86400, JSON.stringify(value));
+  }
+});
+
+test('reloads persisted entries, dropping expired ones and keeping the LRU order', async () => {
+  await withTempDir('response-cache-', async (dir) => {
+    const filePath = path.join(dir, 'cache.json');
+    const now = fakeClock();
+    const cache = new ResponseCache({ filePath, ttlMs: 10 * MINUTE, now });
+
+    await cache.set('old', { text: 'Alt' });
+    now.advance(6 * MINUTE);
+    await cache.set('a', { text: 'A' });
+    await cache.set('b', { text: 'B' });
+    now.advance(5 * MINUTE);
+
+    const reloaded = new ResponseCache({ filePath, ttlMs: 10 * MINUTE, maxEntries: 1, now });
+
+    assert.equal(await reloaded.get('old'), null);
+    assert.equal(await reloaded.get('a'), null);
+    assert.deepEqual(await reloaded.get('b'), { text: 'B', cachedAt: new Date(now() - 5 * MINUTE).toISOString() });
+  });
+});
+
+test('keys ignore whitespace differences but not the settings', () => {
+  const base = { text: 'Hallo  Welt\r\n', action: 'REFINE', model: 'm', temperature: 0.3, maxTokens: 100 };
+
+  assert.equal(cacheKey(base), cacheKey({ ...base, text: 'Hallo Welt' }));
+  assert.notEqual(cacheKey(base), cacheKey({ ...base, temperature: 0 }));
+  assert.notEqual(cacheKey(base), cacheKey({ ...base, styleGuide: 'Kurz.' }));
+});
@@ -0,0 +1,154 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Anthropic from '@anthropic-ai/sdk';
+import { TextTransformAPI } from '../api.js';
+import { RecordedProvider } from '../providers/recorded.js';
+
+const SONNET = 'claude-sonnet-4-5-20250929';
+const HAIKU = 'claude-3-5-haiku-20241022';
+
+function statusError(status, headers = {}) {
+  const error = new Error(`API Error ${status}`);
+  error.status = status;
+  error.headers = headers;
+  return error;
+}
+
+function message(model, text = 'ok') {
+  return {
+    type: 'message',
+    role: 'assistant',
+    model,
+    content: [{ type: 'text', text }],
+    stop_reason: 'end_turn',
+    usage: { input_tokens: 10, output_tokens: 2 }
+  };
+}
+
+/**
+ * Mocked Anthropic client: each call takes the next outcome from `outcomes`
+ * (an error to throw or a text to return) and is logged in `calls`
+ */
+function mockClient(outcomes) {
+  const calls = [];
+  return {
+    calls,
+    messages: {
+      create: async (params) => {
+        calls.push(params.model);
+        const outcome = outcomes.shift();
+        if (outcome instanceof Error) {
+          throw outcome;
+        }
+        return message(params.model, outcome);
+      }
+    }
+  };
+}
+
+// API with a mocked client whose sleeps are recorded instead of waited for
+function createAPI(client, { retry = {}, fallbackModels = [] } = {}) {
+  const delays = [];
+  const api = new TextTransformAPI(null, {
+    client,
+    fallbackModels,
+    retry: { sleep: async (ms) => { delays.push(ms); }, ...retry }
+  });
+  return { api, delays };
+}
+
+const request = { model: SONNET, max_tokens: 100, messages: [{ role: 'user', content: 'Hallo' }] };
+
+test('retries retryable statuses with capped exponential backoff', async () => {
+  const client = mockClient([statusError(529), statusError(503), statusError(429), 'fertig']);
+  const { api, delays } = createAPI(client, { retry: { baseDelayMs: 100, maxDelayMs: 300 } });
+
+  const result = await api.createMessage(request);
+
+  assert.equal(result.message.content[0].text, 'fertig');
+  assert.equal(result.attempts, 4);
+  assert.equal(result.fallbackUsed, false);
+  assert.deepEqual(client.calls, [SONNET, SONNET, SONNET, SONNET]);
+  assert.equal(delays.length, 3);
+  [100, 200, 300].forEach((bound, i) => assert.ok(delays[i] >= 0 && delays[i] <= bound, `delay ${i}: ${delays[i]}`));
+});
+
+test('waits at least as long as retry-after, up to maxDelayMs', async () => {
+  const client = mockClient([statusError(429, { 'retry-after': '2' }), statusError(429, { 'retry-after': '60' }), 'ok']);
+  const { api, delays } = createAPI(client, { retry: { baseDelayMs: 10, maxDelayMs: 5000 } });
+
+  await api.createMessage(request);
+
+  assert.deepEqual(delays, [2000, 5000]);
+});
+
+test('retries SDK connection errors and network error codes', async () => {
+  const reset = new TypeError('fetch failed');
+  reset.cause = { code: 'ECONNRESET' };
+  const client = mockClient([new Anthropic.APIConnectionError({ message: 'Connection error.' }), reset, 'ok']);
+  const { api } = createAPI(client);
+
+  const result = await api.createMessage(request);
+
+  assert.equal(result.attempts, 3);
+});
+
+test('does not retry client errors, programming errors or missing recordings', async () => {
+  for (const error of [statusError(400), statusError(401), new TypeError("Cannot read properties of undefined (reading 'text')")]) {
+    const client = mockClient([error, 'ok']);
+    const { api, delays } = createAPI(client, { fallbackModels: [HAIKU] });
+
+    await assert.rejects(api.createMessage(request), error);
+    assert.equal(client.calls.length, 1);
+    assert.equal(delays.length, 0);
+  }
+
+  const recorded = new RecordedProvider();
+  const api = new TextTransformAPI(null, { provider: recorded, retry: { sleep: async () => assert.fail('should not retry') } });
+  await assert.rejects(api.createMessage(request), { code: 'NO_RECORDING' });
+});
+
+test('falls back to the next model once the requested one is out of retries', async () => {
+  const client = mockClient([statusError(529), statusError(529), statusError(529), 'vom Fallback']);
+  const { api } = createAPI(client, { retry: { maxRetries: 2 }, fallbackModels: [HAIKU] });
+
+  const result = await api.createMessage(request);
+
+  assert.deepEqual(client.calls, [SONNET, SONNET, SONNET, HAIKU]);
+  assert.equal(result.model, HAIKU);
+  assert.equal(result.fallbackUsed, true);
+  assert.equal(result.attempts, 4);
+  assert.equal(result.message.content[0].text, 'vom Fallback');
+});
+
+test('throws the last error with the attempt count when every model fails', async () => {
+  const last = statusError(503);
+  const client = mockClient([statusError(529), statusError(529), statusError(529), last]);
+  const { api } = createAPI(client, { retry: { maxRetries: 1 }, fallbackModels: [HAIKU] });
+
+  await assert.rejects(api.createMessage(request), (error) => error === last && error.attempts === 4);
+});
+
+test('ignores an invalid ANTHROPIC_MAX_RETRIES', async () => {
+  const previous = process.env.ANTHROPIC_MAX_RETRIES;
+  try {
+    for (const value of ['abc', '-1', '1.5', '']) {
+      process.env.ANTHROPIC_MAX_RETRIES = value;
+      const { api } = createAPI(mockClient([]));
+      assert.equal(api.retry.maxRetries, 3, `ANTHROPIC_MAX_RETRIES=${value}`);
+    }
+
+    process.env.ANTHROPIC_MAX_RETRIES = '0';
+    const error = statusError(529);
+    const client = mockClient([error, 'ok']);
+    const { api } = createAPI(client);
+    await assert.rejects(api.createMessage(request), error);
+    assert.equal(client.calls.length, 1);
+  } finally {
+    if (previous === undefined) {
+      delete process.env.ANTHROPIC_MAX_RETRIES;
+    } else {
+      process.env.ANTHROPIC_MAX_RETRIES = previous;
+    }
+  }
+});
@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { sanitizeHTML, parseHTML, parseMarkdown, toHTML, isSafeHref, decodeEntities } from '../rich-text.js';
+import { htmlToText } from '../style-samples.js';
+
+test('sanitizeHTML drops scripts and styles along with their contents', () => {
+  assert.equal(sanitizeHTML('<p>Hallo<script>alert(1)</script> Welt</p>'), '<p>Hallo Welt</p>');
+  assert.equal(sanitizeHTML('<style>body { display: none }</style>Text'), 'Text');
+  assert.equal(sanitizeHTML('<SCRIPT type="module">import "x"</SCRIPT>ok'), 'ok');
+});
+
+test('sanitizeHTML drops event handlers and other unknown attributes', () => {
+  assert.equal(sanitizeHTML('<img src=x onerror=alert(1)>Text'), 'Text');
+  assert.equal(
+    sanitizeHTML('<span class="mark evil" style="color:red" onmouseover="x()" data-fn="REFINE">Satz</span>'),
+    '<span class="mark" data-fn="REFINE">Satz</span>'
+  );
+  assert.equal(sanitizeHTML('<span contenteditable="true">x</span>'), '<span>x</span>');
+  assert.equal(sanitizeHTML('<strong onclick="x()">fett</strong>'), '<strong>fett</strong>');
+});
+
+test('sanitizeHTML drops javascript: and data: link targets', () => {
+  assert.equal(sanitizeHTML('<a href="javascript:alert(1)">Link</a>'), '<a>Link</a>');
+  assert.equal(sanitizeHTML('<a href=" java\tscript:alert(1)">Link</a>'), '<a>Link</a>');
+  assert.equal(sanitizeHTML('<a href="&#106;avascript:alert(1)">Link</a>'), '<a>Link</a>');
+  assert.equal(sanitizeHTML('<a href="data:text/html,<b>x</b>">Link</a>'), '<a>Link</a>');
+  assert.equal(isSafeHref('mailto:team@example.com'), true);
+  assert.equal(isSafeHref('/docs#intro'), true);
+});
+
+test('sanitizeHTML keeps the allowed tags and balances them', () => {
+  const html = '<div><strong>fett</strong> <em>kursiv</em> <u>u</u> <s>s</s> <code>c</code><br>' +
+    '<a href="https://example.com/?a=1&amp;b=2">Link</a></div>';
+
+  assert.equal(sanitizeHTML(html), html);
+  assert.equal(sanitizeHTML(sanitizeHTML(html)), html);
+  assert.equal(sanitizeHTML('<b>offen <i>x'), '<b>offen <i>x</i></b>');
+  assert.equal(sanitizeHTML('a < b &amp; c'), 'a &lt; b &amp; c');
+  assert.equal(sanitizeHTML('<!-- note -->Text</p>'), 'Text');
+});
+
+test('parseHTML and toHTML round-trip the allowed inline formatting', () => {
+  const html = '<strong>Fett</strong> und <em>kursiv <a href="https://example.com">verlinkt</a></em><br>neue Zeile';
+
+  const { runs, errors } = parseHTML(html);
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(runs[0], { text: 'Fett', marks: ['strong'] });
+  assert.deepEqual(runs[3], { text: 'verlinkt', marks: ['link', 'em'], href: 'https://example.com' });
+  assert.equal(toHTML(runs), '<strong>Fett</strong> und <em>kursiv </em><a href="https://example.com"><em>verlinkt</em></a><br>neue Zeile');
+  assert.deepEqual(parseHTML(toHTML(runs)).runs, runs);
+});
+
+test('parseHTML reports disallowed tags and unsafe links and keeps their text', () => {
+  const { runs, errors } = parseHTML('<script>x()</script>Hallo <a href="javascript:x()">Welt</a><blink>!</blink>');
+
+  assert.deepEqual(runs, [{ text: 'Hallo Welt!', marks: [] }]);
+  assert.deepEqual(errors, ['<script>', 'javascript:x()', '<blink>', '</blink>']);
+});
+
+test('parseMarkdown reads the same runs as the equivalent HTML', () => {
+  const markdown = parseMarkdown('**Fett** und *kursiv* mit [Link](https://example.com)');
+  const html = parseHTML('<strong>Fett</strong> und <em>kursiv</em> mit <a href="https://example.com">Link</a>');
+
+  assert.deepEqual(markdown, html);
+});
+
+test('decodes named entities case-sensitively and numeric ones, keeping unknown ones', () => {
+  assert.equal(decodeEntities('&Auml;rger &auml;ndert &AMP; &#8222;Preis&#x201C; &euro;5 &unknown;'), 'Ärger ändert & „Preis“ €5 &unknown;');
+  assert.equal(htmlToText('<p>5&nbsp;&euro; &bdquo;nur&ldquo;</p>'), '5 € „nur“');
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TextTransformAPI } from '../api.js';
+import { MockProvider } from '../providers/mock.js';
+
+function createAPI() {
+  const provider = new MockProvider();
+  const api = new TextTransformAPI(null, { provider, chunkMaxChars: 0 });
+  return { api, provider };
+}
+
+test('accepts max_tokens up to the configured output limit', () => {
+  const { api } = createAPI();
+  const limit = api.defaultParams.max_tokens;
+
+  assert.equal(api.validateSamplingParams({}), null);
+  assert.equal(api.validateSamplingParams({ max_tokens: 1 }), null);
+  assert.equal(api.validateSamplingParams({ max_tokens: limit }), null);
+});
+
+test('rejects max_tokens that are not a positive integer within the limit', () => {
+  const { api } = createAPI();
+  const limit = api.defaultParams.max_tokens;
+
+  for (const maxTokens of [0, -5, 1.5, '100', null, limit + 1]) {
+    assert.match(api.validateSamplingParams({ max_tokens: maxTokens }, 'options.'), /^options\.max_tokens must be/, String(maxTokens));
+  }
+});
+
+test('fails a transform with invalid max_tokens without calling the model', async () => {
+  const { api, provider } = createAPI();
+
+  const result = await api.transform('Hallo Welt', 'Verfeinere', { max_tokens: -5 });
+
+  assert.equal(result.success, false);
+  assert.match(result.error, /max_tokens/);
+  assert.equal(provider.requests.length, 0);
+});
+
+test('accepts temperatures from 0 to 1', () => {
+  const { api } = createAPI();
+
+  for (const temperature of [0, 0.3, 1]) {
+    assert.equal(api.validateSamplingParams({ temperature, temperatureSpread: temperature }), null);
+  }
+});
+
+test('rejects temperatures that are not a number between 0 and 1', () => {
+  const { api } = createAPI();
+
+  for (const temperature of ['hot', '0.5', 5, -0.1, NaN, null]) {
+    assert.match(api.validateSamplingParams({ temperature }, 'options.'), /^options\.temperature must be/, String(temperature));
+    assert.match(api.validateSamplingParams({ temperatureSpread: temperature }), /^temperatureSpread must be/, String(temperature));
+  }
+});
+
+test('sends a requested temperature of 0 to the model', async () => {
+  const { api, provider } = createAPI();
+
+  await api.transform('Hallo Welt', 'Verfeinere', { temperature: 0 });
+
+  assert.equal(provider.requests[0].temperature, 0);
+});
@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { StyleGuideStore, validateStyleGuideFields } from '../style-guide-store.js';
+import { withStoreFile } from './helpers/temp-dir.js';
+
+const source = { name: 'about.md', type: 'markdown', weight: 2, chars: 120, usedChars: 80, truncated: true };
+
+function withStore(run) {
+  return withStoreFile('style-guides.json', filePath => new StyleGuideStore(filePath), run);
+}
+
+test('accepts a guide with text fields and described sources', () => {
+  assert.equal(validateStyleGuideFields({ name: 'Brand', styleGuide: 'Kurz.', sources: [source], isManual: false }), null);
+  assert.equal(validateStyleGuideFields({ description: 'Neu' }, { partial: true }), null);
+});
+
+test('rejects fields of the wrong type', () => {
+  const cases = [
+    [{ name: 5 }, /name/],
+    [{ name: '  ' }, /name/],
+    [{ name: 'Brand', description: {} }, /description/],
+    [{ name: 'Brand', styleGuide: ['Kurz.'] }, /styleGuide/],
+    [{ name: 'Brand', isManual: 'yes' }, /isManual/],
+    [{ name: 'Brand', structuredGuide: { comprehensive: {} } }, /structuredGuide/],
+    [{ name: 'Brand', sources: 'about.md' }, /sources/],
+    [{ name: 'Brand', sources: [{ ...source, name: 1 }] }, /sources\[0\]/],
+    [{ name: 'Brand', sources: [{ ...source, weight: '<img src=x onerror=alert(1)>' }] }, /weight/],
+    [{ name: 'Brand', sources: [{ ...source, chars: -1 }] }, /chars/]
+  ];
+
+  for (const [fields, message] of cases) {
+    assert.match(validateStyleGuideFields(fields) || '', message, JSON.stringify(fields));
+  }
+  assert.match(validateStyleGuideFields({ name: 7 }, { partial: true }), /name/);
+});
+
+test('create and update refuse invalid content without storing it', async () => {
+  await withStore(async (store) => {
+    await assert.rejects(store.create({ name: 'Brand', styleGuide: 'Kurz.', sources: [{ ...source, weight: 'x' }] }), /weight/);
+    assert.deepEqual(await store.list(), []);
+
+    const guide = await store.create({ name: 'Brand', styleGuide: 'Kurz.', sources: [source] });
+    await assert.rejects(store.update(guide.id, { styleGuide: 42 }), /styleGuide/);
+
+    assert.equal((await store.get(guide.id)).version, 1);
+  });
+});
+
+test('update keeps fields it does not change in the new version', async () => {
+  await withStore(async (store) => {
+    const guide = await store.create({ name: 'Brand', styleGuide: 'Kurz.', sources: [source] });
+    const updated = await store.update(guide.id, { isManual: true });
+
+    assert.equal(updated.version, 2);
+    assert.equal(updated.styleGuide, 'Kurz.');
+    assert.deepEqual(updated.sources, [source]);
+    assert.equal(updated.isManual, true);
+    assert.equal((await store.get(guide.id, 1)).isManual, undefined);
+  });
+});
@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { splitIntoChunks, joinChunks } from '../text-chunks.js';
+
+// The chunks joined back with their separators
+function rejoin(chunks) {
+  return joinChunks(chunks.map(chunk => chunk.text), chunks);
+}
+
+test('keeps text that starts with punctuation', () => {
+  const text = '…und dann? ?! Ja. „Nein!“ Doch… na gut.  Ende';
+
+  const chunks = splitIntoChunks(text, 12);
+
+  assert.equal(rejoin(chunks), text);
+  assert.deepEqual(chunks.map(chunk => chunk.text), ['…und dann?', '?! Ja.', '„Nein!“', 'Doch…', 'na gut.', 'Ende']);
+});
+
+test('joined chunks equal the input for every chunk size', () => {
+  const text = [
+    '„Schon wieder?“, fragte sie. …Ja! Wirklich?! (Ganz sicher.) Dann eben nicht.',
+    '...und weiter: ein sehr langer Satz ohne jedes Satzzeichen, der nur an Wortgrenzen geteilt werden kann und deshalb',
+    '!!! Am Ende. ?'
+  ].join('\n\n  \n');
+
+  for (let maxChars = 10; maxChars <= text.length; maxChars += 7) {
+    const chunks = splitIntoChunks(text, maxChars);
+
+    assert.equal(rejoin(chunks), text, `maxChars ${maxChars}`);
+    chunks.forEach(chunk => assert.ok(chunk.text.length <= maxChars, `maxChars ${maxChars}: "${chunk.text}"`));
+  }
+});
+
+test('returns text that fits as one trimmed chunk', () => {
+  assert.deepEqual(splitIntoChunks('  Kurz.  ', 100), [{ text: 'Kurz.', separator: '' }]);
+});
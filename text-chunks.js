@@ -0,0 +1,117 @@
+/**
+ * Text Chunks
+ *
+ * Splits copy that is too long for one transformation into chunks at
+ * paragraph boundaries, falling back to sentence and then word boundaries
+ * for paragraphs that don't fit on their own. Each chunk keeps the
+ * whitespace that followed it, so the transformed chunks can be joined
+ * back with the original paragraph breaks.
+ */
+
+// Sentence boundaries: after closing punctuation, quotes and the following whitespace
+const SENTENCE_BOUNDARY = /(?<=[.!?…]["'“”»)\]]*\s+)(?=\S)/;
+
+/**
+ * Cut a piece that is still too long at the last whitespace before maxChars
+ */
+function splitAtWords(text, maxChars) {
+  const pieces = [];
+  let rest = text;
+  while (rest.length > maxChars) {
+    const cut = rest.lastIndexOf(' ', maxChars);
+    const end = cut > maxChars / 2 ? cut + 1 : maxChars;
+    pieces.push(rest.slice(0, end));
+    rest = rest.slice(end);
+  }
+  return rest ? [...pieces, rest] : pieces;
+}
+
+/**
+ * Split one paragraph into pieces of at most maxChars, packing whole sentences
+ */
+function splitParagraph(paragraph, maxChars) {
+  const sentences = paragraph.split(SENTENCE_BOUNDARY)
+    .flatMap(sentence => sentence.length > maxChars ? splitAtWords(sentence, maxChars) : [sentence]);
+
+  const pieces = [];
+  let current = '';
+  for (const sentence of sentences) {
+    if (current && current.length + sentence.length > maxChars) {
+      pieces.push(current);
+      current = '';
+    }
+    current += sentence;
+  }
+  return current ? [...pieces, current] : pieces;
+}
+
+/**
+ * Split text into [{ text, separator }] chunks of at most maxChars each,
+ * where separator is the whitespace between a chunk and the next one.
+ * Text that fits is returned as a single chunk.
+ */
+function splitIntoChunks(text, maxChars) {
+  const trimmed = text.trim();
+  if (trimmed.length <= maxChars) {
+    return [{ text: trimmed, separator: '' }];
+  }
+
+  // Paragraphs and the blank lines after them: [paragraph, break, paragraph, ...]
+  const parts = trimmed.split(/(\n[ \t]*\n\s*)/);
+  const units = [];
+  for (let i = 0; i < parts.length; i += 2) {
+    const pieces = parts[i].length > maxChars ? splitParagraph(parts[i], maxChars) : [parts[i]];
+    pieces.forEach((piece, index) => {
+      const content = piece.trimEnd();
+      const trailing = piece.slice(content.length);
+      units.push({ text: content, separator: index === pieces.length - 1 ? (parts[i + 1] || '') : trailing });
+    });
+  }
+
+  // Pack units into chunks; a chunk's separator is its last unit's
+  const chunks = [];
+  let current = null;
+  for (const unit of units) {
+    if (current && current.text.length + current.separator.length + unit.text.length > maxChars) {
+      chunks.push(current);
+      current = null;
+    }
+    current = current
+      ? { text: current.text + current.separator + unit.text, separator: unit.separator }
+      : { ...unit };
+  }
+  chunks.push(current);
+
+  return chunks;
+}
+
+/**
+ * Join transformed chunks with the separators of the original chunks
+ */
+function joinChunks(texts, chunks) {
+  return texts.map((text, index) => text + (index < texts.length - 1 ? chunks[index].separator : '')).join('');
+}
+
+/**
+ * The first maxChars of a text, cut at a word boundary
+ */
+function headOf(text, maxChars) {
+  if (text.length <= maxChars) {
+    return text;
+  }
+  const cut = text.lastIndexOf(' ', maxChars);
+  return `${text.slice(0, cut > 0 ? cut : maxChars).trimEnd()} […]`;
+}
+
+/**
+ * The last maxChars of a text, cut at a word boundary
+ */
+function tailOf(text, maxChars) {
+  if (text.length <= maxChars) {
+    return text;
+  }
+  const start = text.indexOf(' ', text.length - maxChars);
+  return `[…] ${text.slice(start >= 0 ? start : text.length - maxChars).trimStart()}`;
+}
+
+export { splitIntoChunks, joinChunks, headOf, tailOf };
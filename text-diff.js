@@ -0,0 +1,119 @@
+/**
+ * Text Diff
+ *
+ * Word-level diff shared by the editor (tracked changes) and the server
+ * (document revision diffs). Plain ES module without dependencies, so the
+ * browser can import it as is.
+ */
+
+const MAX_DIFF_CELLS = 2000000; // Larger changes become a single hunk
+
+/**
+ * Split text into words (keeping inner apostrophes and hyphens), whitespace
+ * runs and single symbols
+ */
+function tokenizeWords(text) {
+  return text.match(/\s+|[\p{L}\p{N}_]+(?:['’-][\p{L}\p{N}_]+)*|[^\s\p{L}\p{N}_]/gu) || [];
+}
+
+/**
+ * Word-level diff as a list of { type: 'equal', text } and
+ * { type: 'hunk', del, ins } parts
+ */
+function diffWords(original, transformed) {
+  const a = tokenizeWords(original);
+  const b = tokenizeWords(transformed);
+
+  // Skip the common prefix and suffix so the table only covers the changed middle
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const ops = a.slice(0, start).map(text => ({ type: 'equal', text }));
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+
+  if (midA.length * midB.length > MAX_DIFF_CELLS) {
+    ops.push(...midA.map(text => ({ type: 'del', text })), ...midB.map(text => ({ type: 'ins', text })));
+  } else {
+    // Longest common subsequence lengths, filled from the end
+    const lcs = Array.from({ length: midA.length + 1 }, () => new Uint32Array(midB.length + 1));
+    for (let i = midA.length - 1; i >= 0; i--) {
+      for (let j = midB.length - 1; j >= 0; j--) {
+        lcs[i][j] = midA[i] === midB[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < midA.length && j < midB.length) {
+      if (midA[i] === midB[j]) {
+        ops.push({ type: 'equal', text: midA[i++] });
+        j++;
+      } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+        ops.push({ type: 'del', text: midA[i++] });
+      } else {
+        ops.push({ type: 'ins', text: midB[j++] });
+      }
+    }
+    ops.push(...midA.slice(i).map(text => ({ type: 'del', text })), ...midB.slice(j).map(text => ({ type: 'ins', text })));
+  }
+
+  ops.push(...a.slice(endA).map(text => ({ type: 'equal', text })));
+
+  // Group into hunks. Changes separated only by whitespace form one hunk,
+  // so a rewritten phrase reads as one change instead of word salad.
+  const parts = [];
+  for (const op of ops) {
+    const last = parts[parts.length - 1];
+    if (op.type === 'equal') {
+      if (last && last.type === 'equal') {
+        last.text += op.text;
+      } else {
+        parts.push({ type: 'equal', text: op.text });
+      }
+      continue;
+    }
+
+    let hunk = last && last.type === 'hunk' ? last : null;
+    const beforeLast = parts[parts.length - 2];
+    if (!hunk && last && !last.text.trim() && beforeLast && beforeLast.type === 'hunk') {
+      parts.pop();
+      hunk = beforeLast;
+      hunk.del += last.text;
+      hunk.ins += last.text;
+    }
+    if (!hunk) {
+      hunk = { type: 'hunk', del: '', ins: '' };
+      parts.push(hunk);
+    }
+    hunk[op.type] += op.text;
+  }
+
+  return parts;
+}
+
+/**
+ * Count changed hunks and the words they add and remove
+ */
+function summarizeDiff(parts) {
+  const countWords = (text) => tokenizeWords(text).filter(token => /[\p{L}\p{N}]/u.test(token)).length;
+  return parts
+    .filter(part => part.type === 'hunk')
+    .reduce((summary, hunk) => ({
+      changes: summary.changes + 1,
+      added: summary.added + countWords(hunk.ins),
+      removed: summary.removed + countWords(hunk.del)
+    }), { changes: 0, added: 0, removed: 0 });
+}
+
+export {
+  tokenizeWords,
+  diffWords,
+  summarizeDiff
+};
@@ -0,0 +1,124 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { WriteQueue, writeFileAtomic } from './json-store.js';
+
+/**
+ * Usage Tracker
+ *
+ * Aggregates token usage and estimated cost per day, model, action and API
+ * key in a local JSON file, so the team can see where the Claude budget goes.
+ */
+
+function emptyTotals() {
+  return { requests: 0, inputTokens: 0, outputTokens: 0, totalTokens: 0, cost: 0 };
+}
+
+function addTo(totals, entry) {
+  totals.requests += entry.requests;
+  totals.inputTokens += entry.inputTokens;
+  totals.outputTokens += entry.outputTokens;
+  totals.totalTokens += entry.totalTokens;
+  totals.cost = Math.round((totals.cost + entry.cost) * 1_000_000) / 1_000_000;
+  return totals;
+}
+
+class UsageTracker {
+  constructor(filePath = null) {
+    this.filePath = filePath || path.join(process.env.DATA_DIR || 'data', 'usage.json');
+    this.buckets = null;
+    this.loading = null;
+    this.writeQueue = new WriteQueue();
+  }
+
+  /**
+   * Load aggregated buckets from disk on first access
+   */
+  async load() {
+    // Share one read between concurrent callers
+    this.loading = this.loading || (async () => {
+      try {
+        const raw = await fs.readFile(this.filePath, 'utf8');
+        this.buckets = JSON.parse(raw).buckets || {};
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          this.loading = null;
+          throw error;
+        }
+        this.buckets = {};
+      }
+      return this.buckets;
+    })();
+
+    return await this.loading;
+  }
+
+  /**
+   * Write buckets to disk
+   */
+  async save() {
+    const data = JSON.stringify({ buckets: this.buckets }, null, 2);
+
+    return await this.writeQueue.run(() => writeFileAtomic(this.filePath, data));
+  }
+
+  /**
+   * Add a single call's usage to its day/model/action(/key) bucket
+   */
+  async record({ model, action, keyId = null, inputTokens = 0, outputTokens = 0, cost = 0, timestamp = new Date().toISOString() }) {
+    const buckets = await this.load();
+    const day = timestamp.slice(0, 10);
+    const key = `${day}|${model}|${action}${keyId ? `|${keyId}` : ''}`;
+
+    buckets[key] = addTo(buckets[key] || { day, model, action, ...(keyId && { keyId }), ...emptyTotals() }, {
+      requests: 1,
+      inputTokens,
+      outputTokens,
+      totalTokens: inputTokens + outputTokens,
+      cost: cost || 0
+    });
+
+    await this.save();
+  }
+
+  /**
+   * Total tokens used by an API key on one day (YYYY-MM-DD)
+   */
+  async tokensUsed({ keyId, day }) {
+    const buckets = await this.load();
+    return Object.values(buckets)
+      .filter(entry => entry.day === day && entry.keyId === keyId)
+      .reduce((sum, entry) => sum + entry.totalTokens, 0);
+  }
+
+  /**
+   * Summarize usage between two days (inclusive, YYYY-MM-DD), grouped by
+   * model, action, day and API key
+   */
+  async summarize({ from = null, to = null, model = null, action = null, keyId = null } = {}) {
+    const buckets = await this.load();
+    const entries = Object.values(buckets)
+      .filter(entry => (!from || entry.day >= from) && (!to || entry.day <= to))
+      .filter(entry => (!model || entry.model === model) && (!action || entry.action === action))
+      .filter(entry => !keyId || entry.keyId === keyId)
+      .sort((a, b) => a.day.localeCompare(b.day) || a.model.localeCompare(b.model) || a.action.localeCompare(b.action));
+
+    const groupBy = (field) => entries.reduce((groups, entry) => {
+      const group = entry[field] ?? 'unattributed';
+      groups[group] = addTo(groups[group] || emptyTotals(), entry);
+      return groups;
+    }, {});
+
+    return {
+      totals: entries.reduce((totals, entry) => addTo(totals, entry), emptyTotals()),
+      byModel: groupBy('model'),
+      byAction: groupBy('action'),
+      byDay: groupBy('day'),
+      byKey: groupBy('keyId'),
+      entries
+    };
+  }
+}
+
+export { UsageTracker };
+
+export default UsageTracker;